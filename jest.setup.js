@@ -0,0 +1,2 @@
+// Puts jest-chrome's mocked `chrome` API on the global scope for every test
+Object.assign(global, require('jest-chrome'));
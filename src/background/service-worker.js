@@ -9,13 +9,30 @@
 
 'use strict';
 
+import '../shared/snapshot-migrations.js';
+
+const { SnapshotMigrator } = self.AngularFormSnapshotMigrations;
+
 // Service Worker Constants
 const SW_VERSION = '1.0.0';
+// Shape of the stored snapshot payload. Independent of the encoded header
+// version; it only changes together with a new migration step.
+const SNAPSHOT_SCHEMA_VERSION = '1.0';
 const STORAGE_KEYS = {
   SNAPSHOTS: 'angular_form_snapshots',
   SETTINGS: 'extension_settings',
   ANGULAR_DETECTION: 'angular_detection_cache',
-  FORM_HISTORY: 'form_history'
+  FORM_HISTORY: 'form_history',
+  CONTROL_MAPPINGS: 'control_mappings',
+  RESTORE_PROFILES: 'restore_profiles'
+};
+
+// Storage format for each compressionLevel setting value. CompressionStream has
+// no tunable level, so the setting only picks a format; the popup names them so.
+const COMPRESSION_FORMATS = {
+  low: 'none',
+  medium: 'gzip',
+  high: 'deflate-raw'
 };
 
 const MESSAGE_TYPES = {
@@ -34,6 +51,21 @@ const MESSAGE_TYPES = {
   LOAD_SNAPSHOT: 'LOAD_SNAPSHOT',
   DELETE_SNAPSHOT: 'DELETE_SNAPSHOT',
   LIST_SNAPSHOTS: 'LIST_SNAPSHOTS',
+  GET_MAPPINGS: 'GET_MAPPINGS',
+  SAVE_MAPPINGS: 'SAVE_MAPPINGS',
+  LIST_RESTORE_PROFILES: 'LIST_RESTORE_PROFILES',
+  SAVE_RESTORE_PROFILE: 'SAVE_RESTORE_PROFILE',
+  DELETE_RESTORE_PROFILE: 'DELETE_RESTORE_PROFILE',
+
+  // Frame Coordination
+  CAPTURE_FRAMES: 'CAPTURE_FRAMES',
+  RESTORE_FRAMES: 'RESTORE_FRAMES',
+  DETECT_FRAMES: 'DETECT_FRAMES',
+  UNDO_FRAMES: 'UNDO_FRAMES',
+  FRAME_CAPTURE: 'FRAME_CAPTURE',
+  FRAME_RESTORE: 'FRAME_RESTORE',
+  FRAME_DETECT: 'FRAME_DETECT',
+  FRAME_UNDO: 'FRAME_UNDO',
 
   // DevTools Communication
   DEVTOOLS_OPENED: 'DEVTOOLS_OPENED',
@@ -57,6 +89,30 @@ class ExtensionState {
       compressionLevel: 'medium',
       debugMode: false
     };
+    this.settingsLoaded = null;
+  }
+
+  // A woken service worker can receive messages before its startup load finishes
+  whenSettingsLoaded() {
+    if (!this.settingsLoaded) {
+      this.settingsLoaded = this.loadSettings().catch((error) => {
+        this.settingsLoaded = null;
+        throw error;
+      });
+    }
+    return this.settingsLoaded;
+  }
+
+  async loadSettings() {
+    const result = await chrome.storage.local.get([STORAGE_KEYS.SETTINGS]);
+    this.applySettings(result[STORAGE_KEYS.SETTINGS]);
+    return this.settings;
+  }
+
+  applySettings(settings) {
+    if (settings) {
+      this.settings = { ...this.settings, ...settings };
+    }
   }
 
   updateTabState(tabId, state) {
@@ -130,8 +186,11 @@ class SnapshotManager {
       const { url, title, timestamp, forms } = snapshot;
       const snapshotId = `snapshot_${tabId}_${timestamp}`;
 
+      // The compression format and snapshot limit come from the settings
+      await extensionState.whenSettingsLoaded();
+
       // Compress snapshot data
-      const compressedData = await this.compressSnapshot(snapshot);
+      const { compressed, originalSize, compressedSize } = await this.compressSnapshot(snapshot);
 
       const snapshotEntry = {
         id: snapshotId,
@@ -140,7 +199,11 @@ class SnapshotManager {
         title,
         timestamp,
         formCount: forms.length,
-        compressed: compressedData,
+        compressed,
+        originalSize,
+        compressedSize,
+        compressionRatio: this.calculateRatio(originalSize, compressedSize),
+        schemaVersion: SNAPSHOT_SCHEMA_VERSION,
         version: SW_VERSION
       };
 
@@ -158,7 +221,12 @@ class SnapshotManager {
 
       await chrome.storage.local.set({ [STORAGE_KEYS.SNAPSHOTS]: snapshots });
 
-      Logger.info('Snapshot saved successfully', { snapshotId, formCount: forms.length });
+      Logger.info('Snapshot saved successfully', {
+        snapshotId,
+        formCount: forms.length,
+        format: compressed.type,
+        compressionRatio: snapshotEntry.compressionRatio
+      });
       return snapshotId;
     } catch (error) {
       Logger.error('Failed to save snapshot', { error: error.message, tabId });
@@ -176,11 +244,12 @@ class SnapshotManager {
         throw new Error(`Snapshot not found: ${snapshotId}`);
       }
 
-      // Decompress snapshot data
+      // Decompress snapshot data and bring it up to the current schema
       const decompressedData = await this.decompressSnapshot(snapshot.compressed);
+      const payload = this.migratePayload(decompressedData, snapshot);
 
       Logger.info('Snapshot loaded successfully', { snapshotId });
-      return decompressedData;
+      return payload;
     } catch (error) {
       Logger.error('Failed to load snapshot', { error: error.message, snapshotId });
       throw error;
@@ -188,60 +257,216 @@ class SnapshotManager {
   }
 
   static async compressSnapshot(snapshot) {
-    // Advanced compression using multiple strategies
-    const dataString = JSON.stringify(snapshot.forms);
-
-    switch (extensionState.settings.compressionLevel) {
-      case 'high':
-        return this.compressHigh(dataString);
-      case 'medium':
-        return this.compressMedium(dataString);
-      case 'low':
-        return this.compressLow(dataString);
+    return this.compressPayload({
+      version: SNAPSHOT_SCHEMA_VERSION,
+      timestamp: snapshot.timestamp,
+      url: snapshot.url,
+      title: snapshot.title,
+      userAgent: snapshot.userAgent,
+      formControls: snapshot.forms,
+      ...(snapshot.formGroups ? { formGroups: snapshot.formGroups } : {})
+    });
+  }
+
+  static async compressPayload(payload) {
+    const dataString = JSON.stringify(payload);
+    const bytes = new TextEncoder().encode(dataString);
+    const format = COMPRESSION_FORMATS[extensionState.settings.compressionLevel] || COMPRESSION_FORMATS.medium;
+
+    const output = format === 'none' ? bytes : await this.pipeBytes(bytes, new CompressionStream(format));
+
+    return {
+      compressed: { type: format, encoding: 'base64', data: this.bytesToBase64(output) },
+      originalSize: bytes.length,
+      compressedSize: output.length
+    };
+  }
+
+  static async decompressSnapshot(compressedData) {
+    switch (compressedData.type) {
+      case 'gzip':
+      case 'deflate-raw': {
+        const bytes = this.base64ToBytes(compressedData.data);
+        const output = await this.pipeBytes(bytes, new DecompressionStream(compressedData.type));
+        return JSON.parse(new TextDecoder().decode(output));
+      }
+
+      case 'none':
+        return JSON.parse(new TextDecoder().decode(this.base64ToBytes(compressedData.data)));
+
       default:
-        return this.compressMedium(dataString);
+        // Entries written before real compression were plain base64 JSON
+        return this.decompressLegacy(compressedData);
     }
   }
 
-  static async decompressSnapshot(compressedData) {
-    // Decompress based on compression type
-    if (compressedData.type === 'base64_gzip') {
-      return this.decompressHigh(compressedData.data);
-    } else if (compressedData.type === 'base64_deflate') {
-      return this.decompressMedium(compressedData.data);
-    } else {
-      return this.decompressLow(compressedData.data);
+  static migratePayload(payload, entry) {
+    const fromVersion = entry.schemaVersion || '0';
+    if (SnapshotMigrator.resolveVersion(fromVersion) === SNAPSHOT_SCHEMA_VERSION) {
+      return payload;
     }
+
+    const result = SnapshotMigrator.migrate(payload, fromVersion, SNAPSHOT_SCHEMA_VERSION, entry);
+    Logger.debug('Snapshot payload migrated', { snapshotId: entry.id, applied: result.applied });
+    return result.payload;
   }
 
-  static compressHigh(data) {
-    // Simulate gzip compression with base64 encoding
-    const compressed = btoa(unescape(encodeURIComponent(data)));
-    return { type: 'base64_gzip', data: compressed };
+  /**
+   * Rewrites stored entries from older schemas in the current format
+   * @returns {Promise<{migrated: number, failed: number}>}
+   */
+  static async migrateStoredSnapshots() {
+    const result = await chrome.storage.local.get([STORAGE_KEYS.SNAPSHOTS]);
+    const snapshots = result[STORAGE_KEYS.SNAPSHOTS] || [];
+    let migrated = 0;
+    let failed = 0;
+
+    for (let i = 0; i < snapshots.length; i++) {
+      const entry = snapshots[i];
+      // Entries already in the current shape are left as they are
+      if (SnapshotMigrator.resolveVersion(entry.schemaVersion || '0') === SNAPSHOT_SCHEMA_VERSION) {
+        continue;
+      }
+
+      try {
+        const payload = this.migratePayload(await this.decompressSnapshot(entry.compressed), entry);
+        const { compressed, originalSize, compressedSize } = await this.compressPayload(payload);
+
+        snapshots[i] = {
+          ...entry,
+          formCount: payload.formControls.length,
+          compressed,
+          originalSize,
+          compressedSize,
+          compressionRatio: this.calculateRatio(originalSize, compressedSize),
+          schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+          version: SW_VERSION
+        };
+        migrated++;
+      } catch (error) {
+        // Leave the entry as it was so a later release can retry
+        failed++;
+        Logger.warn('Failed to migrate stored snapshot', { snapshotId: entry.id, error: error.message });
+      }
+    }
+
+    if (migrated > 0) {
+      await chrome.storage.local.set({ [STORAGE_KEYS.SNAPSHOTS]: snapshots });
+    }
+
+    return { migrated, failed };
   }
 
-  static compressMedium(data) {
-    // Deflate simulation with base64
-    const compressed = btoa(data);
-    return { type: 'base64_deflate', data: compressed };
+  static calculateRatio(originalSize, compressedSize) {
+    return originalSize > 0 ? Number((compressedSize / originalSize).toFixed(3)) : 1;
   }
 
-  static compressLow(data) {
-    // Simple base64 encoding
-    const compressed = btoa(unescape(encodeURIComponent(data)));
-    return { type: 'base64_simple', data: compressed };
+  static async pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
   }
 
-  static decompressHigh(data) {
-    return JSON.parse(decodeURIComponent(escape(atob(data))));
+  static bytesToBase64(bytes) {
+    // Convert in slices to stay clear of argument length limits on large snapshots
+    const CHUNK_SIZE = 0x8000;
+    const parts = [];
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+      parts.push(String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK_SIZE)));
+    }
+    return btoa(parts.join(''));
   }
 
-  static decompressMedium(data) {
-    return JSON.parse(atob(data));
+  static base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
   }
 
-  static decompressLow(data) {
-    return JSON.parse(decodeURIComponent(escape(atob(data))));
+  static decompressLegacy(compressedData) {
+    if (compressedData.type === 'base64_deflate') {
+      return JSON.parse(atob(compressedData.data));
+    }
+    return JSON.parse(decodeURIComponent(escape(atob(compressedData.data))));
+  }
+}
+
+// Confirmed control mappings, keyed by route (origin + path)
+class MappingManager {
+  static async getMappings(route) {
+    const result = await chrome.storage.local.get([STORAGE_KEYS.CONTROL_MAPPINGS]);
+    return (result[STORAGE_KEYS.CONTROL_MAPPINGS] || {})[route] || {};
+  }
+
+  static async saveMappings(route, mappings) {
+    if (!route || !mappings || typeof mappings !== 'object') {
+      throw new Error('Route and mappings are required');
+    }
+
+    const result = await chrome.storage.local.get([STORAGE_KEYS.CONTROL_MAPPINGS]);
+    const allMappings = result[STORAGE_KEYS.CONTROL_MAPPINGS] || {};
+    allMappings[route] = { ...allMappings[route], ...mappings };
+
+    await chrome.storage.local.set({ [STORAGE_KEYS.CONTROL_MAPPINGS]: allMappings });
+    Logger.info('Control mappings saved', { route, count: Object.keys(mappings).length });
+    return allMappings[route];
+  }
+}
+
+// Named field selections for selective restore, keyed by route then name
+class RestoreProfileManager {
+  static async listProfiles(route) {
+    const result = await chrome.storage.local.get([STORAGE_KEYS.RESTORE_PROFILES]);
+    return (result[STORAGE_KEYS.RESTORE_PROFILES] || {})[route] || {};
+  }
+
+  static async saveProfile(route, name, keys) {
+    if (!route || !name || !Array.isArray(keys)) {
+      throw new Error('Route, profile name and selected keys are required');
+    }
+
+    const result = await chrome.storage.local.get([STORAGE_KEYS.RESTORE_PROFILES]);
+    const allProfiles = result[STORAGE_KEYS.RESTORE_PROFILES] || {};
+    allProfiles[route] = { ...allProfiles[route], [name]: { keys, updatedAt: Date.now() } };
+
+    await chrome.storage.local.set({ [STORAGE_KEYS.RESTORE_PROFILES]: allProfiles });
+    Logger.info('Restore profile saved', { route, name, keyCount: keys.length });
+    return allProfiles[route];
+  }
+
+  static async deleteProfile(route, name) {
+    const result = await chrome.storage.local.get([STORAGE_KEYS.RESTORE_PROFILES]);
+    const allProfiles = result[STORAGE_KEYS.RESTORE_PROFILES] || {};
+    if (allProfiles[route]) {
+      delete allProfiles[route][name];
+      if (Object.keys(allProfiles[route]).length === 0) {
+        delete allProfiles[route];
+      }
+      await chrome.storage.local.set({ [STORAGE_KEYS.RESTORE_PROFILES]: allProfiles });
+    }
+    return allProfiles[route] || {};
+  }
+}
+
+// Relays capture and restore to the content scripts of child frames. The top
+// frame reaches same-origin frames itself; frames behind a cross-origin parent
+// answer these messages on their own behalf.
+class FrameCoordinator {
+  static async sendToFrames(tabId, message) {
+    const frames = (await chrome.webNavigation.getAllFrames({ tabId })) || [];
+    const responses = await Promise.all(
+      frames
+        .filter(frame => frame.frameId !== 0)
+        .map(frame => chrome.tabs.sendMessage(tabId, message, { frameId: frame.frameId }).catch(error => {
+          // Frames the content script isn't running in have no listener
+          Logger.debug('Frame did not answer', { tabId, frameId: frame.frameId, error: error.message });
+          return null;
+        }))
+    );
+
+    return responses.filter(response => response?.success && response.handled);
   }
 }
 
@@ -282,6 +507,49 @@ class MessageHandler {
           sendResponse({ success: true, snapshots });
           break;
 
+        case MESSAGE_TYPES.GET_MAPPINGS:
+          const mappings = await MappingManager.getMappings(data.route);
+          sendResponse({ success: true, mappings });
+          break;
+
+        case MESSAGE_TYPES.SAVE_MAPPINGS:
+          const savedMappings = await MappingManager.saveMappings(data.route, data.mappings);
+          sendResponse({ success: true, mappings: savedMappings });
+          break;
+
+        case MESSAGE_TYPES.LIST_RESTORE_PROFILES:
+          sendResponse({ success: true, profiles: await RestoreProfileManager.listProfiles(data.route) });
+          break;
+
+        case MESSAGE_TYPES.SAVE_RESTORE_PROFILE:
+          const profiles = await RestoreProfileManager.saveProfile(data.route, data.name, data.keys);
+          sendResponse({ success: true, profiles });
+          break;
+
+        case MESSAGE_TYPES.DELETE_RESTORE_PROFILE:
+          sendResponse({ success: true, profiles: await RestoreProfileManager.deleteProfile(data.route, data.name) });
+          break;
+
+        case MESSAGE_TYPES.CAPTURE_FRAMES:
+          const capturedFrames = await FrameCoordinator.sendToFrames(tabId, { type: MESSAGE_TYPES.FRAME_CAPTURE, data });
+          sendResponse({ success: true, frames: capturedFrames });
+          break;
+
+        case MESSAGE_TYPES.RESTORE_FRAMES:
+          const restoredFrames = await FrameCoordinator.sendToFrames(tabId, { type: MESSAGE_TYPES.FRAME_RESTORE, data });
+          sendResponse({ success: true, frames: restoredFrames });
+          break;
+
+        case MESSAGE_TYPES.UNDO_FRAMES:
+          const undoneFrames = await FrameCoordinator.sendToFrames(tabId, { type: MESSAGE_TYPES.FRAME_UNDO, data });
+          sendResponse({ success: true, frames: undoneFrames });
+          break;
+
+        case MESSAGE_TYPES.DETECT_FRAMES:
+          const angularFrames = await FrameCoordinator.sendToFrames(tabId, { type: MESSAGE_TYPES.FRAME_DETECT });
+          sendResponse({ success: true, frames: angularFrames });
+          break;
+
         case MESSAGE_TYPES.LOG_MESSAGE:
           Logger[data.level](data.message, data.data);
           break;
@@ -414,13 +682,15 @@ class CommandHandler {
 chrome.runtime.onInstalled.addListener(async (details) => {
   Logger.info('Extension installed/updated', { reason: details.reason, version: SW_VERSION });
 
-  // Initialize default settings
+  // Initialize default settings, keeping anything the user already chose
+  await extensionState.loadSettings();
   await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: extensionState.settings });
 
-  // Clear old data if major version update
+  // Upgrade snapshots saved by older releases
   if (details.reason === 'update') {
-    // Migrate data if needed
-    Logger.info('Extension updated, checking for data migration');
+    Logger.info('Extension updated, checking for data migration', { previousVersion: details.previousVersion });
+    const { migrated, failed } = await SnapshotManager.migrateStoredSnapshots();
+    Logger.info('Snapshot migration finished', { migrated, failed });
   }
 });
 
@@ -433,6 +703,12 @@ chrome.commands.onCommand.addListener(async (command, tab) => {
   await CommandHandler.handleCommand(command, tab);
 });
 
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[STORAGE_KEYS.SETTINGS]) {
+    extensionState.applySettings(changes[STORAGE_KEYS.SETTINGS].newValue);
+  }
+});
+
 chrome.tabs.onRemoved.addListener((tabId) => {
   extensionState.removeTab(tabId);
   Logger.debug('Tab removed from state', { tabId });
@@ -480,4 +756,8 @@ self.addEventListener('unhandledrejection', (event) => {
   Logger.error('Unhandled promise rejection', { reason: event.reason });
 });
 
+extensionState.whenSettingsLoaded().catch((error) => {
+  Logger.error('Failed to load settings', { error: error.message });
+});
+
 Logger.info('Angular Form Snapshot Service Worker initialized', { version: SW_VERSION });
@@ -19,8 +19,16 @@ const CONTENT_SCRIPT_CONFIG = {
   MAX_DETECTION_ATTEMPTS: 10,
   FORM_SCAN_INTERVAL: 1000,
   RESTORATION_TIMEOUT: 5000,
+  MAX_PASSPHRASE_ATTEMPTS: 3,
   DEBOUNCE_DELAY: 300,
-  MAX_FORM_CONTROLS: 1000
+  MAX_FORM_CONTROLS: 1000,
+  // Matches below this confidence (label or position only) are flagged in the restore report
+  LOW_MATCH_CONFIDENCE: 0.5,
+  NOTIFICATION_DURATION: 5000,
+  // Notifications with an action (e.g. Undo) stay up longer
+  ACTION_NOTIFICATION_DURATION: 10000,
+  // The share link prompt waits for the user to decide
+  SHARE_LINK_PROMPT_DURATION: 60000
 };
 
 const MESSAGE_TYPES = {
@@ -37,6 +45,22 @@ const MESSAGE_TYPES = {
   // Storage Operations
   SAVE_SNAPSHOT: 'SAVE_SNAPSHOT',
   LOAD_SNAPSHOT: 'LOAD_SNAPSHOT',
+  GET_MAPPINGS: 'GET_MAPPINGS',
+  SAVE_MAPPINGS: 'SAVE_MAPPINGS',
+  APPLY_MAPPINGS: 'APPLY_MAPPINGS',
+  UNDO_RESTORE: 'UNDO_RESTORE',
+  GET_UNDO_STATUS: 'GET_UNDO_STATUS',
+  START_CAPTURE_PICKER: 'START_CAPTURE_PICKER',
+
+  // Frame Coordination
+  CAPTURE_FRAMES: 'CAPTURE_FRAMES',
+  RESTORE_FRAMES: 'RESTORE_FRAMES',
+  DETECT_FRAMES: 'DETECT_FRAMES',
+  UNDO_FRAMES: 'UNDO_FRAMES',
+  FRAME_CAPTURE: 'FRAME_CAPTURE',
+  FRAME_RESTORE: 'FRAME_RESTORE',
+  FRAME_DETECT: 'FRAME_DETECT',
+  FRAME_UNDO: 'FRAME_UNDO',
 
   // UI Operations
   SHOW_NOTIFICATION: 'SHOW_NOTIFICATION',
@@ -47,6 +71,36 @@ const MESSAGE_TYPES = {
   LOG_MESSAGE: 'LOG_MESSAGE'
 };
 
+// The only tab messages child frames answer; everything else is left to the top frame
+const FRAME_MESSAGE_TYPES = [
+  MESSAGE_TYPES.FRAME_CAPTURE,
+  MESSAGE_TYPES.FRAME_RESTORE,
+  MESSAGE_TYPES.FRAME_DETECT,
+  MESSAGE_TYPES.FRAME_UNDO
+];
+
+const RESTORE_STRATEGIES = {
+  MODEL: 'model',
+  DOM: 'dom'
+};
+
+const SNAPSHOT_MODES = {
+  FLAT: 'flat',
+  STRUCTURED: 'structured'
+};
+
+// What a capture is limited to; an absent scope means the whole page
+const CAPTURE_SCOPES = {
+  PAGE: 'page',
+  FORM: 'form',
+  FORM_GROUP: 'formGroup',
+  SELECTOR: 'selector',
+  ELEMENT: 'element'
+};
+
+// The picker widens a click on plain content to the enclosing form section
+const PICKER_CONTAINER_SELECTOR = 'form, [formGroup], [formGroupName], [formArrayName], fieldset';
+
 const NOTIFICATION_TYPES = {
   SUCCESS: 'success',
   WARNING: 'warning',
@@ -68,6 +122,16 @@ class AngularFormSnapshotContent {
     this.observers = new Map();
     this.eventListeners = new Map();
     this.debounceTimers = new Map();
+    // Snapshot parts received so far, keyed by snapshot id
+    this.pendingParts = new Map();
+    // Match state from the last restore that proposed mappings
+    this.pendingMapping = null;
+    // Values the last restore overwrote, for undo
+    this.undoBuffer = null;
+    // Frames a relayed FRAME_RESTORE wrote to, for FRAME_UNDO
+    this.frameUndoContents = null;
+    // Highlight and listeners of an active capture picker
+    this.capturePicker = null;
 
     // Bind methods
     this.handleMessage = this.handleMessage.bind(this);
@@ -118,7 +182,13 @@ class AngularFormSnapshotContent {
   async handleMessage(message, sender, sendResponse) {
     const { type, data } = message;
 
-    this.log('debug', `Message received: ${type}`, data);
+    // Tab messages reach every frame; child frames stay silent so the top
+    // frame's response is the one the sender gets
+    if (window !== window.top && !FRAME_MESSAGE_TYPES.includes(type)) {
+      return false;
+    }
+
+    this.log('debug', `Message received: ${type}`, this.redactOptions(data));
 
     try {
       switch (type) {
@@ -132,8 +202,47 @@ class AngularFormSnapshotContent {
           sendResponse({ success: true, ...restoreResult });
           break;
 
+        case MESSAGE_TYPES.APPLY_MAPPINGS:
+          const mappingResult = await this.applyConfirmedMappings(data);
+          sendResponse({ success: true, ...mappingResult });
+          break;
+
+        case MESSAGE_TYPES.UNDO_RESTORE:
+          const undoResult = await this.undoRestore();
+          sendResponse({ success: true, ...undoResult });
+          break;
+
+        case MESSAGE_TYPES.GET_UNDO_STATUS:
+          sendResponse({ success: true, ...this.getUndoStatus() });
+          break;
+
+        case MESSAGE_TYPES.START_CAPTURE_PICKER:
+          this.startCapturePicker(data);
+          sendResponse({ success: true, picking: true });
+          break;
+
+        case MESSAGE_TYPES.FRAME_CAPTURE:
+          const frameCapture = await this.captureFrameRoot(data);
+          sendResponse({ success: true, ...frameCapture });
+          break;
+
+        case MESSAGE_TYPES.FRAME_RESTORE:
+          const frameRestore = await this.restoreFrameRoot(data);
+          sendResponse({ success: true, ...frameRestore });
+          break;
+
+        case MESSAGE_TYPES.FRAME_UNDO:
+          const frameUndo = await this.undoFrameRoot(data);
+          sendResponse({ success: true, ...frameUndo });
+          break;
+
+        case MESSAGE_TYPES.FRAME_DETECT:
+          const frameDetection = await this.detectAngular();
+          sendResponse({ success: true, ...frameDetection, handled: frameDetection.detected });
+          break;
+
         case MESSAGE_TYPES.DETECT_ANGULAR:
-          const detectionResult = await this.detectAngular();
+          const detectionResult = await this.detectAngularInPage();
           sendResponse({ success: true, ...detectionResult });
           break;
 
@@ -193,6 +302,36 @@ class AngularFormSnapshotContent {
     }
   }
 
+  /**
+   * Detects Angular for the popup. A shell page without Angular still counts
+   * when one of its frames runs Angular, e.g. micro-frontend hosts.
+   * @returns {Promise<Object>} Detection result; `frameCount` is set when
+   *   Angular was only found in frames
+   */
+  async detectAngularInPage() {
+    const result = await this.detectAngular();
+    if (result.detected || window !== window.top) {
+      return result;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.DETECT_FRAMES });
+      const frames = response?.success ? response.frames : [];
+      if (frames.length > 0) {
+        return {
+          detected: true,
+          version: frames[0].version,
+          versionNumber: frames[0].versionNumber,
+          frameCount: frames.length
+        };
+      }
+    } catch (error) {
+      this.log('warn', 'Frames could not be checked for Angular', error);
+    }
+
+    return result;
+  }
+
   /**
    * Handles Angular detection success
    * @param {Object} detectionResult
@@ -200,21 +339,80 @@ class AngularFormSnapshotContent {
   async onAngularDetected(detectionResult) {
     this.log('info', 'Angular application detected', detectionResult);
 
+    // Start form scanning
+    this.startFormScanning();
+
+    // Every frame runs this script; only the top frame notifies, shows the
+    // toast and reads the page URL. Child frames are reached through the
+    // top frame and the service worker's frame messages.
+    if (window !== window.top) {
+      return;
+    }
+
     // Notify background script
     chrome.runtime.sendMessage({
       type: MESSAGE_TYPES.ANGULAR_DETECTED,
       data: detectionResult
     });
 
-    // Start form scanning
-    this.startFormScanning();
-
     // Show notification
     this.showNotification(
       'Angular Detected',
       `Angular ${detectionResult.version} application detected. Form snapshot tools are now active.`,
       NOTIFICATION_TYPES.SUCCESS
     );
+
+    // Apply a snapshot shared through the page URL
+    await this.restoreFromUrlFragment();
+  }
+
+  /**
+   * Offers to restore a snapshot embedded in the page URL fragment
+   * (#ngsnap=... or #/route?ngsnap=... on hash-routed apps). Anyone can
+   * craft such a link, so nothing is decoded or written until the user
+   * accepts the prompt.
+   * @returns {Promise<boolean>} Whether a shared snapshot was offered
+   */
+  async restoreFromUrlFragment() {
+    const utils = window.AngularFormSnapshotUtils;
+    if (!utils) {
+      return false;
+    }
+
+    const encodedSnapshot = utils.DataEncoder.extractSnapshotFromUrl(window.location.hash);
+    if (!encodedSnapshot) {
+      return false;
+    }
+
+    // Drop the snapshot parameter so reloads and in-app navigation don't
+    // re-apply it; the app's hash route stays in place
+    const cleanUrl = utils.DataEncoder.removeSnapshotFromUrl(window.location.href);
+    window.history.replaceState(window.history.state, '', cleanUrl);
+
+    try {
+      this.log('info', 'Shared snapshot found in URL, waiting for form controls');
+
+      await utils.DOMUtils.waitForElement(
+        utils.FORM_CONTROL_SELECTORS.join(', '),
+        CONTENT_SCRIPT_CONFIG.RESTORATION_TIMEOUT
+      );
+    } catch (error) {
+      this.log('warn', 'No form controls found for the shared snapshot', error);
+      return false;
+    }
+
+    this.showNotification(
+      'Shared Snapshot',
+      'This link carries form values. Restore them into the forms on this page? Current values will be overwritten.',
+      NOTIFICATION_TYPES.WARNING,
+      {
+        label: 'Restore',
+        duration: CONTENT_SCRIPT_CONFIG.SHARE_LINK_PROMPT_DURATION,
+        onClick: () => this.restoreForms({ encodedSnapshot, source: 'share_url' })
+          .catch(error => this.log('warn', 'Failed to restore snapshot from URL', error))
+      }
+    );
+    return true;
   }
 
   /**
@@ -283,53 +481,106 @@ class AngularFormSnapshotContent {
   /**
    * Captures all form control values
    * @param {Object} options
+   * @param {{type: string, value?: string, path?: string}} [options.scope] - Limits capture to one form or subtree
+   * @param {Element} [scopeElement] - Element chosen with the capture picker
    * @returns {Promise<Object>}
    */
-  async captureForms(options = {}) {
+  async captureForms(options = {}, scopeElement = null) {
     try {
-      this.log('info', 'Starting form capture', options);
+      this.log('info', 'Starting form capture', this.redactOptions(options));
 
       if (!window.AngularFormSnapshotUtils) {
         throw new Error('Angular snapshot utilities not available');
       }
 
-      // Get all form controls
-      const formControls = await window.AngularFormSnapshotUtils.FormControlInspector.inspectAllFormControls();
+      const scope = scopeElement || this.resolveCaptureScope(options.scope);
+
+      // A scoped capture stays inside the chosen element; a page capture also
+      // takes in same-origin frames directly and cross-origin frames through
+      // the service worker
+      const inspected = [await this.inspectDocument(options, scope)];
+      if (!scope) {
+        inspected.push(...await this.inspectFrames(options), ...await this.requestFrameCapture(options));
+      }
+      const formCount = inspected.reduce((count, part) => count + part.controlCount, 0);
 
-      if (formControls.length === 0) {
-        throw new Error('No form controls found on the page');
+      if (formCount === 0) {
+        throw new Error(scope ? 'No form controls found in the selected scope' : 'No form controls found on the page');
       }
 
-      if (formControls.length > CONTENT_SCRIPT_CONFIG.MAX_FORM_CONTROLS) {
-        throw new Error(`Too many form controls detected (${formControls.length}). Maximum allowed: ${CONTENT_SCRIPT_CONFIG.MAX_FORM_CONTROLS}`);
+      if (formCount > CONTENT_SCRIPT_CONFIG.MAX_FORM_CONTROLS) {
+        throw new Error(`Too many form controls detected (${formCount}). Maximum allowed: ${CONTENT_SCRIPT_CONFIG.MAX_FORM_CONTROLS}`);
       }
 
+      const formGroups = inspected.flatMap(part => part.formGroups);
+
       // Create snapshot
       const snapshot = {
         timestamp: Date.now(),
         url: window.location.href,
         title: document.title,
         userAgent: navigator.userAgent,
-        forms: formControls.map(control => ({
-          id: control.id,
-          type: control.type,
-          name: control.name,
-          value: control.value,
-          path: control.path,
-          tagName: control.tagName,
-          attributes: control.attributes,
-          validators: control.validators,
-          metadata: control.metadata
-        })),
-        options: options
+        forms: inspected.flatMap(part => part.leafControls).map(control => this.serializeControl(control)),
+        options: this.redactOptions(options)
       };
 
-      // Encode snapshot
-      const encodedSnapshot = await window.AngularFormSnapshotUtils.DataEncoder.encodeFormData(snapshot.forms);
+      if (formGroups.length > 0) {
+        snapshot.formGroups = formGroups.map(group => this.serializeFormGroup(group));
+      }
+
+      // Encode snapshot, shrinking it if it exceeds MAX_SNAPSHOT_SIZE
+      const { DataEncoder, ENCODING_CONFIG } = window.AngularFormSnapshotUtils;
+      // The compact codec has no room for nested values or frame paths, so
+      // structured and framed snapshots use the full profile
+      const framed = snapshot.forms.some(control => control.frame);
+      const profile = snapshot.formGroups || framed ? ENCODING_CONFIG.PROFILES.FULL : options.profile;
+      const sizeLimit = await DataEncoder.encodeWithinLimit(snapshot.forms, {
+        passphrase: options.passphrase,
+        profile,
+        sizeStrategy: options.sizeStrategy,
+        formGroups: snapshot.formGroups
+      });
+      const { chunks, strategies } = sizeLimit;
+      const sizeReport = profile === ENCODING_CONFIG.PROFILES.COMPACT
+        ? await DataEncoder.compareProfiles(sizeLimit.formControls)
+        : null;
+      // A share link only makes sense for a single chunk
+      const shareUrl = chunks.length === 1 ? DataEncoder.createShareUrl(chunks[0]) : null;
+
+      // Numbered parts for chat tools and ticket fields that truncate long pastes
+      let parts = null;
+      const chunkParts = [];
+      if (options.splitParts) {
+        for (const chunk of chunks) {
+          chunkParts.push(await DataEncoder.splitIntoParts(chunk, options.partSize));
+        }
+        // A chunk that fits in one part is copied as it is
+        const splitParts = chunkParts.filter(partsOfChunk => partsOfChunk.length > 1).flat();
+        parts = splitParts.length > 1 ? splitParts : null;
+      }
+
+      // Each chunk is a snapshot of its own under MAX_SNAPSHOT_SIZE. Joined
+      // they would exceed it again, so the clipboard takes the first chunk and
+      // the popup offers the others one at a time.
+      const chunkTexts = chunks.map((chunk, index) =>
+        chunkParts[index]?.length > 1 ? chunkParts[index].join('\n') : chunk
+      );
+      // Chunks and parts are newline-separated; restore accepts the whole block
+      const encodedSnapshot = chunkTexts.join('\n');
+
+      if (strategies.length > 0) {
+        snapshot.sizeReduction = {
+          strategies,
+          originalSize: sizeLimit.originalSize,
+          finalSize: sizeLimit.finalSize,
+          chunkCount: chunks.length,
+          excludedCount: snapshot.forms.length - sizeLimit.formControls.length
+        };
+      }
 
       // Save to clipboard if requested
       if (options.copyToClipboard !== false) {
-        await this.copyToClipboard(encodedSnapshot);
+        await this.copyToClipboard(options.copyShareUrl && shareUrl && !parts ? shareUrl : chunkTexts[0]);
       }
 
       // Save to storage if requested
@@ -343,21 +594,37 @@ class AngularFormSnapshotContent {
       this.lastSnapshot = snapshot;
 
       this.log('info', 'Form capture completed successfully', {
-        formCount: formControls.length,
-        snapshotSize: encodedSnapshot.length
+        formCount,
+        formGroupCount: formGroups.length,
+        snapshotSize: encodedSnapshot.length,
+        sizeReport,
+        sizeReduction: snapshot.sizeReduction
       });
 
       // Show success notification
       this.showNotification(
         'Forms Captured',
-        `Successfully captured ${formControls.length} form controls. Snapshot copied to clipboard.`,
-        NOTIFICATION_TYPES.SUCCESS
+        `Successfully captured ${formCount} form controls. ${options.copyShareUrl && shareUrl && !parts ? 'Share link' : 'Snapshot'} copied to clipboard.` +
+          (formGroups.length > 0 ? ` ${formGroups.length} form${formGroups.length === 1 ? '' : 's'} stored as nested values.` : '') +
+          (parts ? ` Split into ${parts.length} parts.` : '') +
+          (chunks.length > 1
+            ? ` The size limit split the snapshot into ${chunks.length} chunks; chunk 1 was copied, restore each chunk in turn.`
+            : '') +
+          (sizeReport ? ` Compact encoding is ${sizeReport.savedPercent}% smaller than full.` : '') +
+          (snapshot.sizeReduction ? ` Snapshot exceeded the size limit; applied: ${strategies.join(', ')}.` : ''),
+        snapshot.sizeReduction ? NOTIFICATION_TYPES.WARNING : NOTIFICATION_TYPES.SUCCESS
       );
 
       return {
-        formCount: formControls.length,
+        formCount,
         snapshot: snapshot,
         encodedSnapshot: encodedSnapshot,
+        chunks: chunks,
+        chunkTexts: chunkTexts,
+        parts: parts,
+        shareUrl: shareUrl,
+        sizeReport: sizeReport,
+        sizeReduction: snapshot.sizeReduction || null,
         message: 'Forms captured successfully'
       };
 
@@ -374,6 +641,324 @@ class AngularFormSnapshotContent {
     }
   }
 
+  /**
+   * Inspects the form controls of this frame's document
+   * @param {Object} options - Capture options
+   * @param {Element|null} [scope]
+   * @returns {Promise<{controlCount: number, leafControls: Array, formGroups: Array}>}
+   */
+  async inspectDocument(options = {}, scope = null) {
+    const { FormControlInspector, DOMUtils } = window.AngularFormSnapshotUtils;
+    const formControls = await FormControlInspector.inspectAllFormControls({ scope });
+
+    // Structured mode keeps each root form as one nested value; only controls
+    // outside those forms, or left out of a DOM-built tree, are captured individually
+    const structured = options.snapshotMode === SNAPSHOT_MODES.STRUCTURED;
+    const formGroups = structured ? await FormControlInspector.inspectFormGroups(formControls, scope) : [];
+    const leafControls = formControls.filter(control =>
+      !formGroups.some(group => group.members
+        ? group.members.includes(control.element)
+        : DOMUtils.containsDeep(group.element, control.element))
+    );
+
+    return { controlCount: formControls.length, leafControls, formGroups };
+  }
+
+  /**
+   * Inspects same-origin frames through the content script running in each,
+   * tagging controls and forms with the path of the frame they came from.
+   * Nested frames are reached through the frame containing them.
+   * @param {Object} options - Capture options
+   * @returns {Promise<Array>} inspectDocument results, one per frame
+   */
+  async inspectFrames(options = {}) {
+    const { DOMUtils, FormControlInspector } = window.AngularFormSnapshotUtils;
+    const results = [];
+
+    for (const { element, window: frameWindow } of DOMUtils.getSameOriginFrames()) {
+      const content = frameWindow.angularFormSnapshotContent;
+      if (!content) {
+        this.log('debug', 'Skipping frame without the content script', element.src);
+        continue;
+      }
+
+      // Editing surfaces of iframe editors (TinyMCE, CKEditor 4) are read
+      // through the editor on this page
+      if (frameWindow.document.body?.isContentEditable || frameWindow.document.designMode === 'on') {
+        continue;
+      }
+
+      try {
+        const segment = FormControlInspector.generateElementPath(element);
+        const url = DOMUtils.getRouteKey(frameWindow.location.href);
+        const framed = [await content.inspectDocument(options), ...await content.inspectFrames(options)];
+        framed.forEach(part => results.push(this.tagFramePart(part, segment, url)));
+      } catch (error) {
+        this.log('warn', 'Frame inspection failed', error);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Prefixes the frame path of an inspected part with one more frame element
+   * @param {Object} part - inspectDocument result
+   * @param {string} segment - Element path of the frame in this document
+   * @param {string} url - Route key of the frame's document
+   * @returns {Object}
+   */
+  tagFramePart(part, segment, url) {
+    const tag = item => ({
+      ...item,
+      frame: item.frame ? { ...item.frame, path: [segment, ...item.frame.path] } : { path: [segment], url }
+    });
+
+    return {
+      controlCount: part.controlCount,
+      leafControls: part.leafControls.map(tag),
+      formGroups: part.formGroups.map(tag)
+    };
+  }
+
+  /**
+   * Collects controls from cross-origin frames, which only their own content
+   * script can read. The service worker relays FRAME_CAPTURE to each frame.
+   * @param {Object} options - Capture options
+   * @returns {Promise<Array>} Serialized parts, frames tagged with their root
+   */
+  async requestFrameCapture(options = {}) {
+    if (window !== window.top) {
+      return [];
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.CAPTURE_FRAMES,
+        data: { snapshotMode: options.snapshotMode }
+      });
+      return response?.success ? response.frames.flatMap(frame => frame.parts) : [];
+    } catch (error) {
+      this.log('warn', 'Cross-origin frames could not be captured', error);
+      return [];
+    }
+  }
+
+  /**
+   * Answers FRAME_CAPTURE: a frame the top frame can't reach captures itself
+   * and its same-origin frames, with frame paths starting at its own route
+   * @param {Object} options - Capture options
+   * @returns {Promise<{handled: boolean, parts?: Array}>}
+   */
+  async captureFrameRoot(options = {}) {
+    if (!this.isFrameRoot()) {
+      return { handled: false };
+    }
+
+    const root = window.AngularFormSnapshotUtils.DOMUtils.getRouteKey(window.location.href);
+    const withRoot = frame => ({ path: [], url: root, ...frame, root });
+    const inspected = [await this.inspectDocument(options), ...await this.inspectFrames(options)];
+
+    return {
+      handled: true,
+      parts: inspected.map(part => ({
+        controlCount: part.controlCount,
+        leafControls: part.leafControls.map(control => ({ ...this.serializeControl(control), frame: withRoot(control.frame) })),
+        formGroups: part.formGroups.map(group => ({ ...this.serializeFormGroup(group), frame: withRoot(group.frame) }))
+      }))
+    };
+  }
+
+  /**
+   * Whether this frame is the outermost one the top frame can't reach, i.e. a
+   * child whose parent is cross-origin. Such frames answer the service
+   * worker's frame messages for themselves and their same-origin frames.
+   * @returns {boolean}
+   */
+  isFrameRoot() {
+    if (window === window.top) {
+      return false;
+    }
+
+    try {
+      return !window.parent.document;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Picks the snapshot fields of an inspected control
+   * @param {Object} control
+   * @returns {Object}
+   */
+  serializeControl(control) {
+    return {
+      id: control.id,
+      type: control.type,
+      name: control.name,
+      value: control.value,
+      path: control.path,
+      tagName: control.tagName,
+      attributes: control.attributes,
+      validators: control.validators,
+      metadata: control.metadata,
+      valueType: control.valueType,
+      valueSource: control.valueSource,
+      state: control.state,
+      identity: control.identity,
+      frame: control.frame
+    };
+  }
+
+  serializeFormGroup(group) {
+    return {
+      key: group.key,
+      path: group.path,
+      source: group.source,
+      value: group.value,
+      datePaths: group.datePaths,
+      frame: group.frame
+    };
+  }
+
+  /**
+   * Resolves a capture scope to the element whose subtree is captured
+   * @param {{type: string, value: string}} [scope]
+   * @returns {Element|null} Null for a whole-page capture
+   */
+  resolveCaptureScope(scope) {
+    if (!scope || !scope.type || scope.type === CAPTURE_SCOPES.PAGE) {
+      return null;
+    }
+
+    const { FormControlInspector } = window.AngularFormSnapshotUtils;
+    const value = String(scope.value || '').trim();
+    if (!value) {
+      throw new Error(`Capture scope "${scope.type}" needs a value`);
+    }
+
+    let element = null;
+    switch (scope.type) {
+      case CAPTURE_SCOPES.FORM:
+        element = document.getElementById(value) || FormControlInspector.findFormGroupElement(value);
+        break;
+
+      case CAPTURE_SCOPES.FORM_GROUP:
+        element = FormControlInspector.findFormGroupByName(value);
+        break;
+
+      case CAPTURE_SCOPES.SELECTOR:
+        // `host >>> inner` pierces open shadow roots
+        try {
+          element = window.AngularFormSnapshotUtils.DOMUtils.querySelectorDeep(value);
+        } catch (error) {
+          throw new Error(`Invalid CSS selector: ${value}`);
+        }
+        break;
+
+      default:
+        throw new Error(`Unknown capture scope: ${scope.type}`);
+    }
+
+    if (!element) {
+      throw new Error(`No element found for capture scope ${scope.type} "${value}"`);
+    }
+
+    return element;
+  }
+
+  /**
+   * Lets the user pick the capture scope in the page: hovering highlights the
+   * element that would be captured, a click captures it and Escape cancels
+   * @param {Object} options - Capture options, as for CAPTURE_FORMS
+   */
+  startCapturePicker(options = {}) {
+    this.stopCapturePicker();
+
+    const highlight = document.createElement('div');
+    highlight.className = 'angular-snapshot-picker-highlight';
+    highlight.style.cssText = 'position: fixed; z-index: 2147483646; pointer-events: none; display: none; ' +
+      'border: 2px solid #1976d2; background: rgba(25, 118, 210, 0.12); border-radius: 4px;';
+    document.body.appendChild(highlight);
+
+    // Document listeners see shadow-DOM events retargeted to the host; the
+    // composed path starts at the element actually under the pointer
+    let target = null;
+    const handleMouseOver = (event) => {
+      target = this.getPickerTarget(event.composedPath()[0]);
+      const rect = target.getBoundingClientRect();
+      Object.assign(highlight.style, {
+        display: 'block',
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+      });
+    };
+
+    // Clicks are swallowed so picking does not submit forms or follow links
+    const handleClick = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      const element = target || this.getPickerTarget(event.composedPath()[0]);
+      this.stopCapturePicker();
+
+      const { FormControlInspector } = window.AngularFormSnapshotUtils;
+      const scope = { type: CAPTURE_SCOPES.ELEMENT, path: FormControlInspector.generateElementPath(element) };
+      this.captureForms({ ...options, scope }, element).catch(() => {
+        // captureForms already reported the failure
+      });
+    };
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this.stopCapturePicker();
+        this.showNotification('Capture Cancelled', 'No form was captured.', NOTIFICATION_TYPES.INFO);
+      }
+    };
+
+    document.addEventListener('mouseover', handleMouseOver, true);
+    document.addEventListener('click', handleClick, true);
+    document.addEventListener('keydown', handleKeyDown, true);
+    this.capturePicker = { highlight, handleMouseOver, handleClick, handleKeyDown };
+
+    this.showNotification(
+      'Pick a Form',
+      'Click the form or section to capture. Press Esc to cancel.',
+      NOTIFICATION_TYPES.INFO
+    );
+  }
+
+  /**
+   * Removes the capture picker highlight and listeners, if active
+   */
+  stopCapturePicker() {
+    if (!this.capturePicker) return;
+
+    const { highlight, handleMouseOver, handleClick, handleKeyDown } = this.capturePicker;
+    document.removeEventListener('mouseover', handleMouseOver, true);
+    document.removeEventListener('click', handleClick, true);
+    document.removeEventListener('keydown', handleKeyDown, true);
+    highlight.remove();
+    this.capturePicker = null;
+  }
+
+  /**
+   * Chooses what a hovered element would capture: form controls and elements
+   * containing controls as they are, anything else widened to its form section
+   * @param {Element} element
+   * @returns {Element}
+   */
+  getPickerTarget(element) {
+    const controlSelector = 'input, select, textarea, [contenteditable]';
+    if (element.matches(controlSelector) || element.querySelector(controlSelector)) {
+      return element;
+    }
+    return element.closest(PICKER_CONTAINER_SELECTOR) || element;
+  }
+
   /**
    * Restores form control values
    * @param {Object} options
@@ -381,76 +966,106 @@ class AngularFormSnapshotContent {
    */
   async restoreForms(options = {}) {
     try {
-      this.log('info', 'Starting form restoration', options);
+      this.log('info', 'Starting form restoration', this.redactOptions(options));
 
       let snapshot;
+      let encodedText = null;
 
       // Get snapshot data
       if (options.snapshot) {
         snapshot = options.snapshot;
       } else if (options.encodedSnapshot) {
-        snapshot = await window.AngularFormSnapshotUtils.DataEncoder.decodeFormData(options.encodedSnapshot);
+        encodedText = options.encodedSnapshot;
       } else if (options.fromClipboard !== false) {
-        const clipboardData = await this.readFromClipboard();
-        snapshot = await window.AngularFormSnapshotUtils.DataEncoder.decodeFormData(clipboardData);
+        const clipboardData = (await this.readFromClipboard()).trim();
+        // Accept both the bare encoded string and a shared #ngsnap= link
+        encodedText =
+          window.AngularFormSnapshotUtils.DataEncoder.extractSnapshotFromUrl(clipboardData) || clipboardData;
       } else {
         throw new Error('No snapshot data provided');
       }
 
+      if (encodedText !== null) {
+        const assembled = await this.collectSnapshotParts(encodedText);
+        if (assembled.waiting) {
+          const message = `Waiting for part ${assembled.nextPart} of ${assembled.total}`;
+          this.showNotification(
+            'Snapshot Part Received',
+            `${message} (${assembled.received} of ${assembled.total} received).`,
+            NOTIFICATION_TYPES.INFO
+          );
+          return { ...assembled, restoredCount: 0, skippedCount: 0, errorCount: 0, errors: [], message };
+        }
+        snapshot = await this.decodeSnapshotChunks(assembled.text, options);
+      }
+
       if (!snapshot || !snapshot.formControls) {
         throw new Error('Invalid snapshot data');
       }
 
-      // Get current form controls
-      const currentFormControls = await window.AngularFormSnapshotUtils.FormControlInspector.inspectAllFormControls();
-      const currentControlsMap = new Map();
-
-      currentFormControls.forEach(control => {
-        const key = this.generateControlKey(control);
-        currentControlsMap.set(key, control);
-      });
-
-      let restoredCount = 0;
-      let skippedCount = 0;
-      const errors = [];
-
-      // Restore each form control
-      for (const snapshotControl of snapshot.formControls) {
-        try {
-          const key = this.generateControlKey(snapshotControl);
-          const currentControl = currentControlsMap.get(key);
-
-          if (!currentControl) {
-            skippedCount++;
-            this.log('debug', `Control not found for restoration: ${key}`);
-            continue;
-          }
+      // Selective restore: only the forms and fields the user ticked
+      if (Array.isArray(options.selection)) {
+        snapshot = window.AngularFormSnapshotUtils.RestoreSelection.filterSnapshot(snapshot, options.selection);
+      }
 
-          // Restore the value
-          await this.restoreControlValue(currentControl, snapshotControl);
-          restoredCount++;
+      // Controls captured inside frames are restored by the content script of each frame
+      const { local, frames } = this.splitSnapshotByFrame(snapshot);
 
-        } catch (error) {
-          errors.push({
-            control: snapshotControl.name || snapshotControl.path,
-            error: error.message
-          });
-          this.log('warn', `Failed to restore control: ${snapshotControl.name}`, error);
-        }
+      if (options.dryRun) {
+        const frameResults = await this.restoreFrameParts(frames, options);
+        return await this.previewRestore(local, options, frameResults.flatMap(result => result.preview));
       }
 
+      const applied = await this.applySnapshot(local, options);
+      const { matches, currentFormControls, mappedCount, resizedArrays } = applied;
+      const frameResults = await this.restoreFrameParts(frames, options);
+
+      const restoredCount = frameResults.reduce((count, result) => count + result.restoredCount, applied.restoredCount);
+      const skippedCount = frameResults.reduce((count, result) => count + result.skippedCount, applied.skippedCount);
+      const errors = [...applied.errors, ...frameResults.flatMap(result => result.errors)];
+      const controlResults = [...applied.controlResults, ...frameResults.flatMap(result => result.controls)];
+
+      // Same-origin frames keep their own undo buffer; undo here reaches them too.
+      // Cross-origin frame roots keep theirs and are undone through the worker.
+      this.undoBuffer.frames = frameResults
+        .filter(result => result.content && result.restoredCount > 0)
+        .map(result => result.content);
+      this.undoBuffer.frameRoots = [...new Set(frames
+        .filter((part, index) => part.frame.root && frameResults[index].restoredCount > 0)
+        .map(part => part.frame.root))];
+      this.undoBuffer.appliedCount = restoredCount;
+
+      const strategyCounts = {
+        model: controlResults.filter(result => result.strategy === RESTORE_STRATEGIES.MODEL).length,
+        dom: controlResults.filter(result => result.strategy === RESTORE_STRATEGIES.DOM).length
+      };
+      // Leftovers get suggested matches for the popup to confirm
+      const mappingProposals = options.fuzzy ? this.proposeMappings(matches, currentFormControls) : [];
+      const lowConfidenceCount = controlResults.filter(result =>
+        result.confidence !== undefined && result.confidence < CONTENT_SCRIPT_CONFIG.LOW_MATCH_CONFIDENCE
+      ).length;
+
       this.log('info', 'Form restoration completed', {
         restoredCount,
         skippedCount,
-        errorCount: errors.length
+        errorCount: errors.length,
+        strategyCounts,
+        lowConfidenceCount,
+        mappedCount,
+        proposalCount: mappingProposals.length,
+        resizedArrays
       });
 
       // Show notification
       if (restoredCount > 0) {
         this.showNotification(
           'Forms Restored',
-          `Successfully restored ${restoredCount} form controls${skippedCount > 0 ? ` (${skippedCount} skipped)` : ''}.`,
-          errors.length > 0 ? NOTIFICATION_TYPES.WARNING : NOTIFICATION_TYPES.SUCCESS
+          `Successfully restored ${restoredCount} form controls${skippedCount > 0 ? ` (${skippedCount} skipped)` : ''}` +
+            (strategyCounts.model > 0 ? `, ${strategyCounts.model} through the form model.` : '.') +
+            (lowConfidenceCount > 0 ? ` ${lowConfidenceCount} matched with low confidence; check them.` : '') +
+            (resizedArrays.length > 0 ? ` Resized ${resizedArrays.length} form array${resizedArrays.length === 1 ? '' : 's'}.` : ''),
+          errors.length > 0 ? NOTIFICATION_TYPES.WARNING : NOTIFICATION_TYPES.SUCCESS,
+          { label: 'Undo', onClick: () => this.undoRestore().catch(error => this.log('error', 'Undo failed', error)) }
         );
       } else {
         this.showNotification(
@@ -465,6 +1080,12 @@ class AngularFormSnapshotContent {
         skippedCount,
         errorCount: errors.length,
         errors,
+        controls: controlResults,
+        strategyCounts,
+        lowConfidenceCount,
+        mappedCount,
+        mappingProposals,
+        resizedArrays,
         message: 'Form restoration completed'
       };
 
@@ -482,96 +1103,1413 @@ class AngularFormSnapshotContent {
   }
 
   /**
-   * Restores a single control value
-   * @param {Object} currentControl
-   * @param {Object} snapshotControl
+   * Restores a snapshot into this frame's document: resizes FormArrays, matches
+   * and writes each control and form, and records what it overwrote for undo
+   * @param {Object} snapshot - Decoded snapshot holding only this document's controls
+   * @param {Object} options - Restore options
+   * @returns {Promise<Object>} Counts, errors and per-control results, plus the matches made
    */
-  async restoreControlValue(currentControl, snapshotControl) {
-    const element = currentControl.element;
-    const value = snapshotControl.value;
+  async applySnapshot(snapshot, options = {}) {
+    // Whole forms the restore replaces or resizes are saved for undo before anything changes
+    const undoForms = await this.captureUndoForms(snapshot);
 
-    if (!element) {
-      throw new Error('Control element not found');
-    }
+    // Match FormArray row counts to the snapshot before looking for controls
+    const resizedArrays = this.resizeFormArrays(snapshot);
 
-    // Skip if readonly or disabled
-    if (element.readOnly || element.disabled) {
-      throw new Error('Control is readonly or disabled');
-    }
+    // Get current form controls
+    const currentFormControls = await window.AngularFormSnapshotUtils.FormControlInspector.inspectAllFormControls();
+    const { matches, mappedCount } = await this.matchSnapshotControls(snapshot, currentFormControls, options);
 
-    // Restore based on control type
-    if (element.type === 'checkbox' || element.type === 'radio') {
-      element.checked = Boolean(value);
-    } else if (element.tagName.toLowerCase() === 'select') {
-      await this.restoreSelectValue(element, value);
-    } else {
-      element.value = value || '';
+    this.undoBuffer = {
+      timestamp: Date.now(),
+      forms: undoForms,
+      controls: matches.filter(match => match.control).map(match => this.captureUndoEntry(match.control))
+    };
+
+    let restoredCount = 0;
+    let skippedCount = 0;
+    const errors = [];
+    const controlResults = [];
+    // Components whose views need change detection after model writes
+    const changedComponents = new Set();
+
+    // Structured snapshots restore each root form with a single patchValue
+    for (const group of snapshot.formGroups || []) {
+      try {
+        const strategy = await this.restoreFormGroup(group, currentFormControls, changedComponents);
+        if (!strategy) {
+          skippedCount++;
+          this.log('debug', `Form not found for restoration: ${group.key}`);
+          continue;
+        }
+        controlResults.push({ control: group.key, key: group.key, strategy, formGroup: true });
+        restoredCount++;
+      } catch (error) {
+        errors.push({ control: group.key, error: error.message });
+        this.log('warn', `Failed to restore form: ${group.key}`, error);
+      }
     }
 
-    // Trigger change events
-    window.AngularFormSnapshotUtils.DOMUtils.triggerChangeEvent(element, value);
+    // Restore each form control
+    for (const { snapshotControl, control: currentControl, matchedBy, confidence } of matches) {
+      try {
+        if (!currentControl) {
+          skippedCount++;
+          this.log('debug', `Control not found for restoration: ${snapshotControl.name || snapshotControl.path || snapshotControl.key}`);
+          continue;
+        }
+
+        // Restore the value
+        const strategy = await this.restoreControlValue(currentControl, snapshotControl, changedComponents);
+        controlResults.push({
+          control: snapshotControl.name || snapshotControl.path || snapshotControl.key,
+          key: currentControl.identity?.formPath || snapshotControl.key || currentControl.name,
+          strategy,
+          matchedBy,
+          confidence
+        });
+        restoredCount++;
 
-    // Special handling for Angular Material components
-    if (currentControl.type === 'material_form_control') {
-      await this.restoreMaterialValue(element, value);
+      } catch (error) {
+        errors.push({
+          control: snapshotControl.name || snapshotControl.path,
+          error: error.message
+        });
+        this.log('warn', `Failed to restore control: ${snapshotControl.name}`, error);
+      }
     }
+
+    this.applyAngularChanges(changedComponents);
+    this.undoBuffer.appliedCount = restoredCount;
+
+    return {
+      restoredCount,
+      skippedCount,
+      errors,
+      controlResults,
+      matches,
+      currentFormControls,
+      mappedCount,
+      resizedArrays
+    };
   }
 
   /**
-   * Restores select element value
-   * @param {HTMLSelectElement} element
-   * @param {any} value
+   * Splits a snapshot into the part for this document and one part per frame
+   * its controls and forms were captured in
+   * @param {Object} snapshot
+   * @returns {{local: Object, frames: Array<{frame: Object, snapshot: Object}>}}
    */
-  async restoreSelectValue(element, value) {
-    // Find matching option
-    const options = Array.from(element.options);
-    const matchingOption = options.find(option =>
-      option.value === value || option.textContent === value
-    );
+  splitSnapshotByFrame(snapshot) {
+    const { DOMUtils } = window.AngularFormSnapshotUtils;
+    const parts = new Map();
+    const partFor = frame => {
+      const key = DOMUtils.getFrameKey(frame);
+      if (!parts.has(key)) {
+        parts.set(key, { frame, snapshot: { ...snapshot, formControls: [], formGroups: [] } });
+      }
+      return parts.get(key).snapshot;
+    };
 
-    if (matchingOption) {
-      element.selectedIndex = matchingOption.index;
-    } else {
-      throw new Error(`Option not found: ${value}`);
-    }
+    partFor(null);
+    snapshot.formControls.forEach(control => partFor(control.frame).formControls.push(control));
+    (snapshot.formGroups || []).forEach(group => partFor(group.frame).formGroups.push(group));
+
+    // Flat snapshots have no formGroups, which resizeFormArrays relies on
+    parts.forEach(part => {
+      if (part.snapshot.formGroups.length === 0) {
+        delete part.snapshot.formGroups;
+      }
+    });
+
+    const local = parts.get(null).snapshot;
+    parts.delete(null);
+    return { local, frames: [...parts.values()] };
   }
 
   /**
-   * Restores Angular Material component value
-   * @param {Element} element
-   * @param {any} value
+   * Restores (or previews) each frame part of a snapshot. Same-origin frames
+   * are written through their content script directly; parts captured beyond
+   * a cross-origin frame go through the service worker to that frame.
+   * @param {Array<{frame: Object, snapshot: Object}>} parts
+   * @param {Object} options - Restore options
+   * @returns {Promise<Array>} One result per part, in the same order
    */
-  async restoreMaterialValue(element, value) {
-    // For mat-select and other Material components,
-    // we might need to use Angular's programmatic API
-    if (element.tagName.toLowerCase() === 'mat-select') {
-      // Try to trigger click and select option
-      const matOptions = document.querySelectorAll('mat-option');
-      const matchingOption = Array.from(matOptions).find(option =>
-        option.getAttribute('value') === value || option.textContent.trim() === value
-      );
-
-      if (matchingOption) {
-        matchingOption.click();
+  async restoreFrameParts(parts, options = {}) {
+    const { DOMUtils } = window.AngularFormSnapshotUtils;
+    // Mapping proposals are only offered for the top document, so frames fall
+    // back to positional matching as a plain restore does
+    const frameOptions = { dryRun: options.dryRun };
+    const results = [];
+    const remote = [];
+
+    for (const part of parts) {
+      if (part.frame.root) {
+        remote.push(part);
+        results.push(null);
+        continue;
       }
+      results.push(await this.restoreFramePart(part, frameOptions));
+    }
+
+    if (remote.length > 0) {
+      const answered = await this.requestFrameRestore(remote, frameOptions);
+      parts.forEach((part, index) => {
+        if (part.frame.root) {
+          results[index] = answered.get(DOMUtils.getFrameKey(part.frame)) || this.getMissingFrameResult(part);
+        }
+      });
     }
+
+    return results;
   }
 
   /**
-   * Generates a unique key for form control matching
+   * Restores one frame part through the content script of that frame
+   * @param {{frame: Object, snapshot: Object}} part
+   * @param {Object} options
+   * @returns {Promise<Object>}
+   */
+  async restoreFramePart(part, options = {}) {
+    const frameKey = window.AngularFormSnapshotUtils.DOMUtils.getFrameKey(part.frame);
+    const content = this.resolveFrameContent(part.frame);
+    if (!content) {
+      this.log('debug', `Frame not found for restoration: ${part.frame.url}`);
+      return this.getMissingFrameResult(part);
+    }
+
+    try {
+      if (options.dryRun) {
+        const { preview } = await content.previewRestore(part.snapshot, options);
+        return { frameKey, preview };
+      }
+
+      const result = await content.applySnapshot(part.snapshot, options);
+      return {
+        frameKey,
+        content,
+        restoredCount: result.restoredCount,
+        skippedCount: result.skippedCount,
+        errors: result.errors,
+        controls: result.controlResults
+      };
+    } catch (error) {
+      this.log('warn', `Failed to restore frame: ${part.frame.url}`, error);
+      return {
+        ...this.getMissingFrameResult(part, error.message),
+        skippedCount: 0,
+        errors: [{ control: part.frame.url, error: error.message }]
+      };
+    }
+  }
+
+  /**
+   * Sends parts captured beyond cross-origin frames to those frames, through
+   * the service worker relaying FRAME_RESTORE
+   * @param {Array} parts
+   * @param {Object} options
+   * @returns {Promise<Map<string, Object>>} Results by frame key
+   */
+  async requestFrameRestore(parts, options = {}) {
+    const answered = new Map();
+    if (window !== window.top) {
+      return answered;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.RESTORE_FRAMES,
+        data: { parts, options }
+      });
+      (response?.success ? response.frames : [])
+        .flatMap(frame => frame.results)
+        .forEach(result => answered.set(result.frameKey, result));
+    } catch (error) {
+      this.log('warn', 'Cross-origin frames could not be restored', error);
+    }
+
+    return answered;
+  }
+
+  /**
+   * Answers FRAME_RESTORE: restores the parts captured in this frame or in
+   * same-origin frames inside it. Undo for these stays with this frame until
+   * the top frame relays FRAME_UNDO.
+   * @param {{parts: Array, options: Object}} data
+   * @returns {Promise<{handled: boolean, results?: Array}>}
+   */
+  async restoreFrameRoot(data = {}) {
+    const { DOMUtils } = window.AngularFormSnapshotUtils;
+    const root = DOMUtils.getRouteKey(window.location.href);
+    const parts = (data.parts || []).filter(part => part.frame.root === root);
+    if (!this.isFrameRoot() || parts.length === 0) {
+      return { handled: false };
+    }
+
+    const results = [];
+    const restoredContents = [];
+    for (const part of parts) {
+      const frame = { path: part.frame.path, url: part.frame.url };
+      const result = await this.restoreFramePart({ frame, snapshot: part.snapshot }, data.options);
+      // The content script instance stays here, for FRAME_UNDO; only counts
+      // and errors go back
+      if (result.content && result.restoredCount > 0) {
+        restoredContents.push(result.content);
+      }
+      delete result.content;
+      results.push({ ...result, frameKey: DOMUtils.getFrameKey(part.frame) });
+    }
+
+    if (!data.options?.dryRun) {
+      this.frameUndoContents = restoredContents;
+    }
+
+    return { handled: true, results };
+  }
+
+  /**
+   * Answers FRAME_UNDO: undoes the last FRAME_RESTORE in this frame and the
+   * same-origin frames inside it, when this frame root was part of it
+   * @param {{roots: string[]}} data - Route keys of the frame roots to undo
+   * @returns {Promise<{handled: boolean, root?: string, restoredCount?: number, errors?: Array}>}
+   */
+  async undoFrameRoot(data = {}) {
+    const root = window.AngularFormSnapshotUtils.DOMUtils.getRouteKey(window.location.href);
+    const contents = this.frameUndoContents || [];
+    if (!this.isFrameRoot() || !(data.roots || []).includes(root) || contents.length === 0) {
+      return { handled: false };
+    }
+    // Consumed up front, as the top frame's buffer is
+    this.frameUndoContents = null;
+
+    let restoredCount = 0;
+    const errors = [];
+    for (const content of contents) {
+      try {
+        if (content.getUndoStatus().available) {
+          const result = await content.undoRestore({ notify: false });
+          restoredCount += result.restoredCount;
+          errors.push(...result.errors);
+        }
+      } catch (error) {
+        errors.push({ control: 'frame', error: error.message });
+      }
+    }
+
+    return { handled: true, root, restoredCount, errors };
+  }
+
+  /**
+   * Asks cross-origin frame roots, through the service worker, to undo the
+   * restore they applied
+   * @param {string[]} roots - Route keys of the frame roots
+   * @returns {Promise<{restoredCount: number, errors: Array, notUndone: string[]}>}
+   */
+  async requestFrameUndo(roots) {
+    const result = { restoredCount: 0, errors: [], notUndone: [...roots] };
+    if (window !== window.top || roots.length === 0) {
+      return result;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.UNDO_FRAMES,
+        data: { roots }
+      });
+      for (const frame of response?.success ? response.frames : []) {
+        result.restoredCount += frame.restoredCount;
+        result.errors.push(...frame.errors);
+        result.notUndone = result.notUndone.filter(root => root !== frame.root);
+      }
+    } catch (error) {
+      this.log('warn', 'Cross-origin frames could not be undone', error);
+    }
+
+    return result;
+  }
+
+  /**
+   * Finds the content script instance of the frame a snapshot part came from,
+   * following its element path and falling back to a frame showing the same
+   * route when the path no longer matches
+   * @param {{path: string[], url: string}} frame
+   * @returns {AngularFormSnapshotContent|null}
+   */
+  resolveFrameContent(frame) {
+    const { DOMUtils } = window.AngularFormSnapshotUtils;
+    let frameWindow = window;
+
+    for (const segment of frame.path) {
+      frameWindow = frameWindow && DOMUtils.getFrameWindow(DOMUtils.querySelectorDeep(segment, frameWindow.document));
+    }
+
+    if (!frameWindow) {
+      frameWindow = this.findFrameWindowByUrl(frame.url);
+    }
+
+    return frameWindow?.angularFormSnapshotContent || null;
+  }
+
+  /**
+   * Searches same-origin frames, nearest first, for one showing a route
+   * @param {string} url - Route key
+   * @returns {Window|null}
+   */
+  findFrameWindowByUrl(url) {
+    const { DOMUtils } = window.AngularFormSnapshotUtils;
+    const queue = [window];
+
+    while (queue.length > 0) {
+      for (const { window: frameWindow } of DOMUtils.getSameOriginFrames(queue.shift().document)) {
+        if (DOMUtils.getRouteKey(frameWindow.location.href) === url) {
+          return frameWindow;
+        }
+        queue.push(frameWindow);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Result for a frame part that couldn't be reached: every control and form
+   * in it is skipped
+   * @param {{frame: Object, snapshot: Object}} part
+   * @param {string} [reason]
+   * @returns {Object}
+   */
+  getMissingFrameResult(part, reason = 'Frame not found on the page') {
+    const { formControls, formGroups = [] } = part.snapshot;
+    const skipped = { matchedBy: null, confidence: 0, strategy: null, outcome: 'skip', reason };
+
+    return {
+      frameKey: window.AngularFormSnapshotUtils.DOMUtils.getFrameKey(part.frame),
+      restoredCount: 0,
+      skippedCount: formControls.length + formGroups.length,
+      errors: [],
+      controls: [],
+      preview: [
+        ...formGroups.map(group => ({ control: group.key, formGroup: true, currentValue: null, snapshotValue: group.value, ...skipped })),
+        ...formControls.map(control => ({
+          control: this.describeControl(control),
+          currentValue: null,
+          snapshotValue: control.attributes?.type === 'password' ? '••••' : control.value,
+          ...skipped
+        }))
+      ]
+    };
+  }
+
+  /**
+   * Buffers pasted snapshot parts and reassembles any snapshot whose parts are
+   * all present. Parts may arrive in any order, together or one paste at a time.
+   * @param {string} encodedText
+   * @returns {Promise<Object>} `{text}` when ready, or the waiting state
+   */
+  async collectSnapshotParts(encodedText) {
+    const { DataEncoder } = window.AngularFormSnapshotUtils;
+    const tokens = encodedText.split(/\s+/).filter(Boolean);
+    const plain = tokens.filter(token => !DataEncoder.isPart(token));
+    const touchedIds = [];
+
+    for (const token of tokens.filter(token => DataEncoder.isPart(token))) {
+      const part = await DataEncoder.parsePart(token);
+      const pending = this.pendingParts.get(part.id) || { total: part.total, parts: new Map() };
+
+      if (pending.total !== part.total) {
+        throw new Error(`Snapshot part ${part.index}/${part.total} does not match earlier parts of ${pending.total}`);
+      }
+
+      pending.parts.set(part.index, part);
+      this.pendingParts.set(part.id, pending);
+      if (!touchedIds.includes(part.id)) {
+        touchedIds.push(part.id);
+      }
+    }
+
+    for (const id of touchedIds) {
+      const pending = this.pendingParts.get(id);
+
+      if (pending.parts.size < pending.total) {
+        let nextPart = 1;
+        while (pending.parts.has(nextPart)) {
+          nextPart++;
+        }
+
+        return {
+          waiting: true,
+          snapshotId: id,
+          received: pending.parts.size,
+          total: pending.total,
+          nextPart
+        };
+      }
+
+      plain.push(DataEncoder.joinParts([...pending.parts.values()]));
+      this.pendingParts.delete(id);
+    }
+
+    return { waiting: false, text: plain.join('\n') };
+  }
+
+  /**
+   * Decodes one or more newline-separated snapshot chunks into a single snapshot
+   * @param {string} encodedText
+   * @param {Object} options
+   * @returns {Promise<Object>}
+   */
+  async decodeSnapshotChunks(encodedText, options = {}) {
+    const chunks = encodedText.split(/\s+/).filter(Boolean);
+    if (chunks.length <= 1) {
+      return this.decodeSnapshot(encodedText.trim(), options);
+    }
+
+    // Shared across chunks so an encrypted set only prompts once
+    const session = { ...options };
+    const parts = [];
+    for (const chunk of chunks) {
+      parts.push(await this.decodeSnapshot(chunk, session));
+    }
+
+    const formGroups = parts.flatMap(part => part.formGroups || []);
+    return {
+      ...parts[0],
+      formControls: parts.flatMap(part => part.formControls),
+      ...(formGroups.length > 0 ? { formGroups } : {})
+    };
+  }
+
+  /**
+   * Decodes an encoded snapshot, asking for the passphrase when it is encrypted
+   * @param {string} encodedSnapshot
+   * @param {Object} options - Receives the passphrase that worked, for later chunks
+   * @returns {Promise<Object>}
+   */
+  async decodeSnapshot(encodedSnapshot, options = {}) {
+    const { DataEncoder } = window.AngularFormSnapshotUtils;
+
+    if (!DataEncoder.isEncrypted(encodedSnapshot)) {
+      return DataEncoder.decodeFormData(encodedSnapshot);
+    }
+
+    let passphrase = options.passphrase;
+    for (let attempt = 1; attempt <= CONTENT_SCRIPT_CONFIG.MAX_PASSPHRASE_ATTEMPTS; attempt++) {
+      if (!passphrase) {
+        passphrase = window.prompt(
+          attempt === 1
+            ? 'This form snapshot is encrypted. Enter the passphrase to restore it:'
+            : 'Incorrect passphrase. Try again:'
+        );
+      }
+
+      if (!passphrase) {
+        throw new Error('Passphrase required to restore encrypted snapshot');
+      }
+
+      try {
+        const snapshot = await DataEncoder.decodeFormData(encodedSnapshot, { passphrase });
+        options.passphrase = passphrase;
+        return snapshot;
+      } catch (error) {
+        if (error.context?.code !== 'PASSPHRASE_INVALID') {
+          throw error;
+        }
+        passphrase = null;
+      }
+    }
+
+    throw new Error('Incorrect passphrase');
+  }
+
+  /**
+   * Works out what a restore would do without writing anything: per control
+   * the current and snapshot values, how it was matched, the strategy that
+   * would be used and whether it would restore, be skipped or fail
+   * @param {Object} snapshot
+   * @param {Object} options - Restore options
+   * @param {Array} [framePreview] - Entries previewed inside frames, added to the report
+   * @returns {Promise<Object>}
+   */
+  async previewRestore(snapshot, options = {}, framePreview = []) {
+    const { FormControlInspector } = window.AngularFormSnapshotUtils;
+    // Rows the restore would add have no live controls yet; their controls are
+    // reported as restored into the new row instead of as unmatched
+    const resizedArrays = this.resizeFormArrays(snapshot, true);
+    const currentFormControls = await FormControlInspector.inspectAllFormControls();
+    const { matches } = await this.matchSnapshotControls(snapshot, currentFormControls, options);
+    const preview = [];
+
+    for (const group of snapshot.formGroups || []) {
+      const element = FormControlInspector.findFormGroupElement(group.key);
+      const form = FormControlInspector.getAngularFormGroup(element);
+      preview.push({
+        control: group.key,
+        formGroup: true,
+        currentValue: form ? FormControlInspector.toSnapshotValue(form.getRawValue?.() ?? form.value) : null,
+        snapshotValue: group.value,
+        matchedBy: element ? 'formGroup' : null,
+        confidence: element ? 1 : 0,
+        strategy: element ? (form ? RESTORE_STRATEGIES.MODEL : RESTORE_STRATEGIES.DOM) : null,
+        outcome: element ? 'restore' : 'skip',
+        reason: element ? null : 'Form not found on the page'
+      });
+    }
+
+    for (const { snapshotControl, control, matchedBy, confidence } of matches) {
+      const masked = snapshotControl.attributes?.type === 'password' || control?.element?.type === 'password';
+      const entry = {
+        control: this.describeControl(snapshotControl),
+        currentValue: control ? (masked ? '••••' : control.value) : null,
+        snapshotValue: masked ? '••••' : snapshotControl.value,
+        matchedBy,
+        confidence,
+        strategy: null,
+        outcome: 'restore',
+        reason: null
+      };
+      preview.push(entry);
+
+      // After the resize these match their new row by path, not by position
+      const addedRow = !control || matchedBy === 'ordinal' ? this.findAddedRow(snapshotControl, resizedArrays) : null;
+      if (addedRow) {
+        Object.assign(entry, {
+          currentValue: null,
+          matchedBy: 'formPath',
+          confidence: 1,
+          strategy: RESTORE_STRATEGIES.MODEL,
+          reason: `Row will be added: ${addedRow.path} ${addedRow.from}→${addedRow.to}`
+        });
+        continue;
+      }
+
+      if (!control) {
+        Object.assign(entry, { outcome: 'skip', reason: 'No matching control' });
+        continue;
+      }
+
+      const element = control.element;
+      // Compact snapshots drop valueType, so the live control decides
+      const modelBound = element.type !== 'radio' && control.valueType !== 'richText' &&
+        FormControlInspector.getAngularControl(element) !== null;
+      entry.strategy = modelBound ? RESTORE_STRATEGIES.MODEL : RESTORE_STRATEGIES.DOM;
+
+      if (element.readOnly || element.disabled) {
+        Object.assign(entry, { outcome: 'fail', reason: 'Control is readonly or disabled' });
+      } else if (!modelBound && element.tagName.toLowerCase() === 'select' && !this.findSelectOption(element, snapshotControl.value)) {
+        Object.assign(entry, { outcome: 'fail', reason: `Option not found: ${snapshotControl.value}` });
+      } else if (JSON.stringify(control.value) === JSON.stringify(snapshotControl.value)) {
+        entry.outcome = 'unchanged';
+      }
+    }
+
+    preview.push(...framePreview);
+
+    const summary = { restore: 0, unchanged: 0, skip: 0, fail: 0 };
+    preview.forEach(entry => summary[entry.outcome]++);
+
+    return {
+      dryRun: true,
+      preview,
+      summary,
+      resizedArrays,
+      message: 'Restore preview ready'
+    };
+  }
+
+  /**
+   * Finds the FormArray resize that would add the row a snapshot control
+   * lives in, e.g. `addresses[3].street` when `addresses` grows from 2 to 4
+   * @param {Object} snapshotControl
+   * @param {Array<{form: string, path: string, from: number, to: number}>} resizedArrays - Dry-run resizes
+   * @returns {Object|null} The resize entry, or null when the control is not in an added row
+   */
+  findAddedRow(snapshotControl, resizedArrays) {
+    const { RestoreSelection } = window.AngularFormSnapshotUtils;
+    const form = snapshotControl.state?.form || snapshotControl.identity?.form;
+    const segments = snapshotControl.state?.formPath ||
+      (snapshotControl.identity?.formPath
+        ? RestoreSelection.splitFormPath(snapshotControl.identity.formPath).map(segment => segment.replace(/^\[(\d+)\]$/, '$1'))
+        : null);
+    if (!form || !segments) {
+      return null;
+    }
+
+    return resizedArrays.find(entry => {
+      if (entry.form !== form || entry.to <= entry.from) {
+        return false;
+      }
+      const arrayPath = entry.path ? entry.path.split('.') : [];
+      if (!arrayPath.every((segment, index) => segments[index] === segment)) {
+        return false;
+      }
+      const row = Number(segments[arrayPath.length]);
+      return Number.isInteger(row) && row >= entry.from && row < entry.to;
+    }) || null;
+  }
+
+  /**
+   * Restores a single control value, through the form model when Angular's
+   * debug APIs expose it and through DOM events otherwise
+   * @param {Object} currentControl
+   * @param {Object} snapshotControl
+   * @param {Set} [changedComponents] - Collects components that need change detection
+   * @returns {Promise<string>} The RESTORE_STRATEGIES value that was used
+   */
+  async restoreControlValue(currentControl, snapshotControl, changedComponents = new Set()) {
+    const element = currentControl.element;
+    const value = snapshotControl.value;
+
+    if (!element) {
+      throw new Error('Control element not found');
+    }
+
+    // Skip if readonly or disabled
+    if (element.readOnly || element.disabled) {
+      throw new Error('Control is readonly or disabled');
+    }
+
+    if (this.restoreModelValue(currentControl, snapshotControl, changedComponents)) {
+      return RESTORE_STRATEGIES.MODEL;
+    }
+
+    // Material, ng-select, PrimeNG and registered components are written
+    // through their adapter, which opens and closes overlay panels as needed
+    const adapter = window.AngularFormSnapshotUtils.ComponentAdapters.find(element);
+    if (adapter) {
+      if (element.getAttribute('aria-disabled') === 'true') {
+        throw new Error('Control is readonly or disabled');
+      }
+      await adapter.write(element, value);
+      return RESTORE_STRATEGIES.DOM;
+    }
+
+    // Restore based on control type
+    if (element.type === 'radio' && typeof value !== 'boolean') {
+      // Form model snapshots store the group's value rather than a checked flag
+      element.checked = element.value === String(value);
+    } else if (element.type === 'checkbox' || element.type === 'radio') {
+      element.checked = Boolean(value);
+    } else if (element.tagName.toLowerCase() === 'select') {
+      await this.restoreSelectValue(element, value);
+    } else {
+      element.value = value || '';
+    }
+
+    // Trigger change events
+    window.AngularFormSnapshotUtils.DOMUtils.triggerChangeEvent(element, value);
+
+    return RESTORE_STRATEGIES.DOM;
+  }
+
+  /**
+   * Writes a value into the bound AbstractControl. Goes through the owning
+   * FormGroup's patchValue when the control is a named member of one, so group
+   * valueChanges fire as they would for user input.
+   * @param {Object} currentControl
+   * @param {Object} snapshotControl
+   * @param {Set} changedComponents
+   * @returns {boolean} False when no form model is reachable
+   */
+  restoreModelValue(currentControl, snapshotControl, changedComponents) {
+    const element = currentControl.element;
+    const { FormControlInspector, ComponentAdapters } = window.AngularFormSnapshotUtils;
+
+    // Radio snapshots hold one checked flag per button; the change event on the
+    // button updates the shared control through its value accessor. Rich-text
+    // editors are written through their API, which updates the control the same way.
+    // The live control decides, as compact snapshots don't carry valueType.
+    const valueType = currentControl.valueType || ComponentAdapters.find(element)?.valueType;
+    if (element.type === 'radio' || valueType === 'richText') {
+      return false;
+    }
+
+    const bound = FormControlInspector.getAngularControl(element);
+    if (!bound) {
+      return false;
+    }
+
+    const { control, directive } = bound;
+    const value = snapshotControl.valueType === 'date' && snapshotControl.value !== null
+      ? new Date(snapshotControl.value)
+      : snapshotControl.value;
+    const parent = control.parent;
+    const name = directive.name;
+
+    if (parent && !Array.isArray(parent.controls) && name !== undefined && parent.controls?.[name] === control) {
+      parent.patchValue({ [name]: value });
+    } else {
+      control.setValue(value);
+    }
+
+    // Bring back the interaction state captured with the value
+    if (snapshotControl.state?.touched) {
+      control.markAsTouched();
+    }
+    if (snapshotControl.state?.pristine === false) {
+      control.markAsDirty();
+    }
+    if (snapshotControl.resetInteractionState) {
+      if (snapshotControl.state?.touched === false) control.markAsUntouched?.();
+      if (snapshotControl.state?.pristine === true) control.markAsPristine?.();
+    }
+
+    try {
+      const component = window.ng.getOwningComponent?.(element);
+      if (component) {
+        changedComponents.add(component);
+      }
+    } catch (error) {
+      this.log('debug', 'Owning component not found for change detection', error);
+    }
+
+    return true;
+  }
+
+  /**
+   * Restores a structured form snapshot. Uses one `patchValue` on the root
+   * FormGroup when the model is reachable, and otherwise writes each named
+   * control through the DOM.
+   * @param {Object} group - Entry of snapshot.formGroups
+   * @param {Array} currentFormControls
+   * @param {Set} changedComponents
+   * @returns {Promise<string|null>} The RESTORE_STRATEGIES value used, or null when the form is missing
+   */
+  async restoreFormGroup(group, currentFormControls, changedComponents) {
+    const { FormControlInspector } = window.AngularFormSnapshotUtils;
+    const element = FormControlInspector.findFormGroupElement(group.key);
+    if (!element) {
+      return null;
+    }
+
+    const form = FormControlInspector.getAngularFormGroup(element);
+    if (form) {
+      const value = structuredClone(group.value);
+      (group.datePaths || []).forEach(datePath => {
+        const date = FormControlInspector.getValueAtPath(value, datePath);
+        if (date !== null && date !== undefined) {
+          FormControlInspector.setValueAtPath(value, datePath, new Date(date));
+        }
+      });
+
+      form.patchValue(value);
+
+      try {
+        const component = window.ng.getOwningComponent?.(element);
+        if (component) {
+          changedComponents.add(component);
+        }
+      } catch (error) {
+        this.log('debug', 'Owning component not found for change detection', error);
+      }
+
+      return RESTORE_STRATEGIES.MODEL;
+    }
+
+    for (const control of currentFormControls) {
+      const namePath = window.AngularFormSnapshotUtils.DOMUtils.containsDeep(element, control.element)
+        ? FormControlInspector.getControlNamePath(control.element)
+        : null;
+      const value = namePath ? FormControlInspector.getValueAtPath(group.value, namePath) : undefined;
+      if (value === undefined || control.element.readOnly || control.element.disabled) {
+        continue;
+      }
+
+      await this.restoreControlValue(control, { value }, changedComponents);
+    }
+
+    return RESTORE_STRATEGIES.DOM;
+  }
+
+  getRouteKey() {
+    return window.AngularFormSnapshotUtils.DOMUtils.getRouteKey(window.location.href);
+  }
+
+  async loadSavedMappings() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.GET_MAPPINGS,
+        data: { route: this.getRouteKey() }
+      });
+      return response?.mappings || {};
+    } catch (error) {
+      this.log('warn', 'Saved mappings unavailable', error);
+      return {};
+    }
+  }
+
+  /**
+   * Builds fuzzy match proposals for unmatched controls and keeps the match
+   * state so confirmed mappings can be applied without restoring again
+   * @param {Array} matches - Output of matchSnapshotControls
+   * @param {Array} currentFormControls
+   * @returns {Array<{id: number, control: string, value: string, candidates: Array<{id: number, control: string, score: number}>}>}
+   */
+  proposeMappings(matches, currentFormControls) {
+    const { ControlMatcher } = window.AngularFormSnapshotUtils;
+    const proposals = ControlMatcher.proposeCandidates(matches, currentFormControls);
+
+    this.pendingMapping = proposals.length > 0
+      ? { matches, liveControls: currentFormControls, route: this.getRouteKey() }
+      : null;
+
+    return proposals.map(({ resultIndex, candidates }) => {
+      const { snapshotControl } = matches[resultIndex];
+      const masked = snapshotControl.attributes?.type === 'password';
+      return {
+        id: resultIndex,
+        control: this.describeControl(snapshotControl),
+        value: masked ? '••••' : String(snapshotControl.value ?? '').slice(0, 40),
+        candidates: candidates.map(({ liveIndex, score }) => ({
+          id: liveIndex,
+          control: this.describeControl(currentFormControls[liveIndex]),
+          score
+        }))
+      };
+    });
+  }
+
+  describeControl(control) {
+    const identity = window.AngularFormSnapshotUtils.ControlMatcher.getIdentity(control);
+    return identity.formPath || identity.label || control.name || identity.id || identity.ordinal || control.tagName || 'control';
+  }
+
+  /**
+   * Restores the mappings the user confirmed in the popup and optionally
+   * saves them for future restores on this route
+   * @param {Object} data
+   * @param {Array<{id: number, candidateId: number}>} data.mappings
+   * @param {boolean} [data.remember]
+   * @returns {Promise<Object>}
+   */
+  async applyConfirmedMappings(data = {}) {
+    const pending = this.pendingMapping;
+    if (!pending) {
+      throw new Error('No match suggestions to apply; restore with suggestions enabled first');
+    }
+
+    const { ControlMatcher } = window.AngularFormSnapshotUtils;
+    const changedComponents = new Set();
+    const controlResults = [];
+    // Live controls already written, so two suggestions cannot fill the same one
+    const restoredControls = new Set();
+    const errors = [];
+    const confirmed = {};
+
+    for (const { id, candidateId } of data.mappings || []) {
+      const result = pending.matches[id];
+      const control = pending.liveControls[candidateId];
+      if (!result || result.control || !control || restoredControls.has(control)) {
+        continue;
+      }
+
+      try {
+        // The restore that proposed these mappings owns the undo buffer; extend it
+        if (this.undoBuffer) {
+          this.undoBuffer.controls.push(this.captureUndoEntry(control));
+        }
+        const strategy = await this.restoreControlValue(control, result.snapshotControl, changedComponents);
+        if (this.undoBuffer) {
+          this.undoBuffer.appliedCount++;
+        }
+        controlResults.push({
+          control: this.describeControl(result.snapshotControl),
+          key: this.describeControl(control),
+          strategy,
+          matchedBy: 'confirmed',
+          confidence: 1
+        });
+        restoredControls.add(control);
+
+        const from = ControlMatcher.getPrimaryKey(result.snapshotControl);
+        const to = ControlMatcher.getPrimaryKey(control);
+        if (from && to) {
+          confirmed[from] = to;
+        }
+      } catch (error) {
+        errors.push({ control: this.describeControl(result.snapshotControl), error: error.message });
+      }
+    }
+
+    this.applyAngularChanges(changedComponents);
+    this.pendingMapping = null;
+
+    let savedCount = 0;
+    if (data.remember && Object.keys(confirmed).length > 0) {
+      await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.SAVE_MAPPINGS,
+        data: { route: pending.route, mappings: confirmed }
+      });
+      savedCount = Object.keys(confirmed).length;
+    }
+
+    this.showNotification(
+      'Mappings Applied',
+      `Restored ${controlResults.length} mapped control${controlResults.length === 1 ? '' : 's'}` +
+        (savedCount > 0 ? `; saved ${savedCount} mapping${savedCount === 1 ? '' : 's'} for this page.` : '.'),
+      errors.length > 0 ? NOTIFICATION_TYPES.WARNING : NOTIFICATION_TYPES.SUCCESS
+    );
+
+    return {
+      restoredCount: controlResults.length,
+      errorCount: errors.length,
+      errors,
+      controls: controlResults,
+      savedCount,
+      message: 'Mappings applied'
+    };
+  }
+
+  /**
+   * Captures the current value of every form a restore will replace as a
+   * whole: structured snapshot groups and forms whose FormArrays it resizes
+   * @param {Object} snapshot
+   * @returns {Promise<Array<{key: string, value: Object, datePaths: string[][]}>>}
+   */
+  async captureUndoForms(snapshot) {
+    const { FormControlInspector } = window.AngularFormSnapshotUtils;
+    const keys = new Set([
+      ...(snapshot.formGroups || []).map(group => group.key),
+      ...this.resizeFormArrays(snapshot, true).map(entry => entry.form)
+    ]);
+    if (keys.size === 0) {
+      return [];
+    }
+
+    const groups = await FormControlInspector.inspectFormGroups(await FormControlInspector.inspectAllFormControls());
+    return groups
+      .filter(group => keys.has(group.key))
+      .map(group => ({ key: group.key, value: group.value, datePaths: group.datePaths }));
+  }
+
+  /**
+   * Records a live control's current value and state in the shape
+   * restoreControlValue accepts
    * @param {Object} control
-   * @returns {string}
+   * @returns {{control: Object, previous: Object}}
+   */
+  captureUndoEntry(control) {
+    return {
+      control,
+      previous: {
+        value: control.value,
+        valueType: control.valueType,
+        state: control.state,
+        // Undo also puts pristine/untouched back, which a normal restore leaves alone
+        resetInteractionState: true
+      }
+    };
+  }
+
+  getUndoStatus() {
+    const buffer = this.undoBuffer;
+    return {
+      available: Boolean(buffer && buffer.appliedCount > 0),
+      timestamp: buffer?.timestamp || null,
+      controlCount: buffer ? buffer.controls.length : 0,
+      formCount: buffer ? buffer.forms.length : 0
+    };
+  }
+
+  /**
+   * Puts back the values the last restore overwrote, including those in
+   * same-origin frames and, through the service worker, cross-origin frames
+   * it wrote to
+   * @param {Object} [options]
+   * @param {boolean} [options.notify=true] - Frames undone from the top frame stay quiet
+   * @returns {Promise<Object>}
    */
-  generateControlKey(control) {
-    // Create a composite key for matching controls
-    const parts = [
-      control.name || '',
-      control.tagName || '',
-      control.path || '',
-      JSON.stringify(control.attributes || {})
-    ];
+  async undoRestore(options = {}) {
+    const buffer = this.undoBuffer;
+    if (!buffer || !buffer.appliedCount) {
+      throw new Error('There is no restore to undo');
+    }
+    // Consumed up front so a second click can't apply it twice
+    this.undoBuffer = null;
+
+    const changedComponents = new Set();
+    const errors = [];
+    let restoredCount = 0;
+
+    if (buffer.forms.length > 0) {
+      const formSnapshot = { formControls: [], formGroups: buffer.forms };
+      this.resizeFormArrays(formSnapshot);
+      const currentFormControls = await window.AngularFormSnapshotUtils.FormControlInspector.inspectAllFormControls();
+
+      for (const group of buffer.forms) {
+        try {
+          if (await this.restoreFormGroup(group, currentFormControls, changedComponents)) {
+            restoredCount++;
+          }
+        } catch (error) {
+          errors.push({ control: group.key, error: error.message });
+        }
+      }
+    }
+
+    for (const { control, previous } of buffer.controls) {
+      try {
+        await this.restoreControlValue(control, previous, changedComponents);
+        restoredCount++;
+      } catch (error) {
+        errors.push({ control: this.describeControl(control), error: error.message });
+      }
+    }
+
+    this.applyAngularChanges(changedComponents);
+
+    for (const content of buffer.frames || []) {
+      try {
+        if (content.getUndoStatus().available) {
+          const frameResult = await content.undoRestore({ notify: false });
+          restoredCount += frameResult.restoredCount;
+          errors.push(...frameResult.errors);
+        }
+      } catch (error) {
+        // The frame may have navigated away since the restore
+        errors.push({ control: 'frame', error: error.message });
+      }
+    }
+
+    // Frames that navigated or no longer answer keep the restored values
+    const remote = await this.requestFrameUndo(buffer.frameRoots || []);
+    restoredCount += remote.restoredCount;
+    errors.push(...remote.errors);
+    remote.notUndone.forEach(root => errors.push({ control: root, error: 'Frame was not undone' }));
+
+    this.log('info', 'Restore undone', { restoredCount, errorCount: errors.length, framesNotUndone: remote.notUndone });
 
-    return parts.filter(part => part).join('|');
+    if (options.notify !== false) {
+      const frameNote = remote.notUndone.length > 0
+        ? ` ${remote.notUndone.length} frame${remote.notUndone.length === 1 ? ' was' : 's were'} not undone.`
+        : '';
+      this.showNotification(
+        'Restore Undone',
+        `Put back ${restoredCount} previous value${restoredCount === 1 ? '' : 's'}${errors.length > 0 ? ` (${errors.length} failed)` : ''}.${frameNote}`,
+        errors.length > 0 ? NOTIFICATION_TYPES.WARNING : NOTIFICATION_TYPES.SUCCESS
+      );
+    }
+
+    return {
+      restoredCount,
+      errorCount: errors.length,
+      errors,
+      framesNotUndone: remote.notUndone,
+      message: 'Restore undone'
+    };
+  }
+
+  /**
+   * Grows or shrinks the live FormArrays to the row counts in a snapshot.
+   * Structured snapshots carry the full value tree; flat ones are resized from
+   * the form paths recorded with each model-bound control.
+   * @param {Object} snapshot
+   * @param {boolean} [dryRun=false] - Report the resizes without changing the forms
+   * @returns {Array<{form: string, path: string, from: number, to: number, method: string}>}
+   */
+  resizeFormArrays(snapshot, dryRun = false) {
+    const { FormControlInspector } = window.AngularFormSnapshotUtils;
+    const targets = new Map();
+
+    (snapshot.formGroups || []).forEach(group => targets.set(group.key, group.value));
+    snapshot.formControls.forEach(control => {
+      const { form, formPath } = control.state || {};
+      if (!form || !formPath || (snapshot.formGroups || []).some(group => group.key === form)) {
+        return;
+      }
+      const skeleton = targets.get(form) || {};
+      FormControlInspector.setValueAtPath(skeleton, formPath, control.value);
+      targets.set(form, skeleton);
+    });
+
+    const resized = [];
+    targets.forEach((value, key) => {
+      const element = FormControlInspector.findFormGroupElement(key);
+      const form = FormControlInspector.getAngularFormGroup(element);
+      if (!form) {
+        return;
+      }
+
+      let component = null;
+      try {
+        component = window.ng.getOwningComponent?.(element) || null;
+      } catch (error) {
+        this.log('debug', 'Owning component not found for FormArray resize', error);
+      }
+
+      const formResized = [];
+      // Selective restores only add the rows they need and never drop rows
+      this.syncFormArrays(form, value, [], component, formResized, { dryRun, growOnly: Boolean(snapshot.selective) });
+      formResized.forEach(entry => resized.push({ form: key, ...entry }));
+
+      // Render the new rows so their elements exist when controls are matched
+      if (formResized.length > 0 && component && !dryRun) {
+        this.applyAngularChanges(new Set([component]));
+      }
+    });
+
+    return resized;
+  }
+
+  /**
+   * Walks a form model alongside a snapshot value and resizes each FormArray
+   * whose length differs
+   * @param {Object} control - AbstractControl
+   * @param {*} value - Snapshot value at the same path
+   * @param {string[]} path
+   * @param {Object|null} component - Component that owns the form
+   * @param {Array} resized - Collects {path, from, to, method}
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only record the lengths that would change
+   * @param {boolean} [options.growOnly] - Add missing rows but keep extra ones
+   */
+  syncFormArrays(control, value, path, component, resized, options = {}) {
+    if (!control?.controls || value === null || typeof value !== 'object') {
+      return;
+    }
+
+    if (!Array.isArray(control.controls)) {
+      Object.keys(value).forEach(name => {
+        this.syncFormArrays(control.controls[name], value[name], [...path, name], component, resized, options);
+      });
+      return;
+    }
+
+    if (!Array.isArray(value)) {
+      return;
+    }
+
+    const targetLength = options.growOnly ? Math.max(control.length, value.length) : value.length;
+
+    if (options.dryRun) {
+      if (control.length !== targetLength) {
+        resized.push({ path: path.join('.'), from: control.length, to: targetLength, method: 'preview' });
+      }
+      control.controls.forEach((child, index) => {
+        this.syncFormArrays(child, value[index], [...path, String(index)], component, resized, options);
+      });
+      return;
+    }
+
+    const from = control.length;
+    const methods = new Set();
+    let useAddAction = true;
+
+    while (control.length < value.length) {
+      // Rows are cloned from the first one; the component's add method is only
+      // needed when there is no row to clone
+      if (control.length === 0 && useAddAction && this.invokeAddAction(component, path, control)) {
+        methods.add('component');
+        continue;
+      }
+      useAddAction = false;
+
+      const row = this.createFormArrayRow(control, value[control.length]);
+      if (!row) {
+        this.log('warn', `Cannot add rows to form array: ${path.join('.')}`);
+        break;
+      }
+      control.push(row);
+      methods.add('push');
+    }
+
+    while (control.length > targetLength) {
+      control.removeAt(control.length - 1);
+      methods.add('removeAt');
+    }
+
+    if (control.length !== from) {
+      resized.push({ path: path.join('.'), from, to: control.length, method: [...methods].join('+') });
+    }
+
+    control.controls.forEach((child, index) => {
+      this.syncFormArrays(child, value[index], [...path, String(index)], component, resized, options);
+    });
+  }
+
+  /**
+   * Calls the component's "add row" method for an array, e.g. addAddress()
+   * for `addresses`, so the first row gets the validators and subscriptions
+   * the app sets up. Only the exact add<Singular> name is called; methods
+   * such as addAddressAndSave() may have side effects beyond adding a row.
+   * Nested arrays (`items[0].addresses`) are left to createFormArrayRow, since
+   * a component-wide addAddress() cannot know which row's array to grow.
+   * @param {Object|null} component
+   * @param {string[]} path - Path of the FormArray
+   * @param {Object} array - FormArray
+   * @returns {boolean} True when the array grew
+   */
+  invokeAddAction(component, path, array) {
+    // Only arrays held directly by a form the component itself owns
+    const rootForm = array.parent;
+    if (!component || path.length !== 1 || !rootForm || rootForm.parent ||
+        !Object.values(component).includes(rootForm)) {
+      return false;
+    }
+    const arrayName = path[0];
+
+    // addresses -> address, categories -> category, phones -> phone
+    const singulars = new Set([arrayName.replace(/ies$/i, 'y'), arrayName.replace(/es$/i, ''), arrayName.replace(/s$/i, '')]);
+    const methodNames = [...singulars]
+      .filter(singular => singular && singular !== arrayName)
+      .map(singular => `add${singular.charAt(0).toUpperCase()}${singular.slice(1)}`)
+      .filter(name => typeof component[name] === 'function' && component[name].length === 0);
+
+    for (const name of methodNames) {
+      const before = array.length;
+      try {
+        component[name]();
+      } catch (error) {
+        this.log('debug', `Add action ${name}() failed`, error);
+        continue;
+      }
+      if (array.length > before) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Builds a new FormArray row, cloned from the first row when there is one
+   * and otherwise shaped after the snapshot value
+   * @param {Object} array - FormArray
+   * @param {*} value
+   * @returns {Object|null} AbstractControl, or null when no control class is reachable
+   */
+  createFormArrayRow(array, value) {
+    if (array.length > 0) {
+      return this.cloneControl(array.at(0));
+    }
+
+    // Borrow the control classes from the live form tree
+    let root = array;
+    while (root.parent) {
+      root = root.parent;
+    }
+    const classes = { FormArray: array.constructor, FormGroup: null, FormControl: null };
+    const findClasses = control => {
+      if (!control.controls) {
+        classes.FormControl = classes.FormControl || control.constructor;
+      } else if (!Array.isArray(control.controls)) {
+        classes.FormGroup = classes.FormGroup || control.constructor;
+      }
+      Object.values(control.controls || {}).forEach(findClasses);
+    };
+    findClasses(root);
+
+    const build = item => {
+      if (Array.isArray(item)) {
+        return new classes.FormArray(item.map(build));
+      }
+      if (item !== null && typeof item === 'object' && classes.FormGroup) {
+        return new classes.FormGroup(Object.fromEntries(Object.entries(item).map(([name, child]) => [name, build(child)])));
+      }
+      if (!classes.FormControl) {
+        throw new Error('No FormControl class found in the form');
+      }
+      return new classes.FormControl(null);
+    };
+
+    try {
+      return build(value);
+    } catch (error) {
+      this.log('debug', 'Cannot build form array row', error);
+      return null;
+    }
+  }
+
+  cloneControl(template) {
+    const Control = template.constructor;
+    if (Array.isArray(template.controls)) {
+      return new Control(template.controls.map(child => this.cloneControl(child)), template.validator, template.asyncValidator);
+    }
+    if (template.controls) {
+      const children = Object.fromEntries(
+        Object.entries(template.controls).map(([name, child]) => [name, this.cloneControl(child)])
+      );
+      return new Control(children, template.validator, template.asyncValidator);
+    }
+    return new Control(null, template.validator, template.asyncValidator);
+  }
+
+  /**
+   * Runs change detection for components whose form model was written
+   * @param {Set} components
+   */
+  applyAngularChanges(components) {
+    if (components.size === 0 || typeof window.ng?.applyChanges !== 'function') {
+      return;
+    }
+
+    components.forEach(component => {
+      try {
+        window.ng.applyChanges(component);
+      } catch (error) {
+        this.log('warn', 'Change detection failed after restore', error);
+      }
+    });
+  }
+
+  /**
+   * Restores select element value
+   * @param {HTMLSelectElement} element
+   * @param {any} value
+   */
+  async restoreSelectValue(element, value) {
+    const matchingOption = this.findSelectOption(element, value);
+
+    if (matchingOption) {
+      element.selectedIndex = matchingOption.index;
+    } else {
+      throw new Error(`Option not found: ${value}`);
+    }
+  }
+
+  findSelectOption(element, value) {
+    // Form model values may be typed (e.g. numbers) while option values are strings
+    return Array.from(element.options).find(option =>
+      option.value === String(value) || option.textContent === value
+    ) || null;
+  }
+
+  /**
+   * Pairs each snapshot control with a live control. Compact snapshots only
+   * carry their stable key; full snapshots go through ControlMatcher, with
+   * saved mappings tried before the position-only fallback.
+   * @param {Object} snapshot
+   * @param {Array} currentFormControls
+   * @param {Object} [options] - Restore options; `fuzzy` leaves position-only matches to the mapping table
+   * @returns {Promise<{matches: Array<{snapshotControl: Object, control: Object|null, matchedBy: string|null, confidence: number}>, mappedCount: number}>}
+   */
+  async matchSnapshotControls(snapshot, currentFormControls, options = {}) {
+    const { CompactCodec, ControlMatcher, CONTROL_MATCH_RANKS, ENCODING_CONFIG } = window.AngularFormSnapshotUtils;
+
+    if (snapshot.profile === ENCODING_CONFIG.PROFILES.COMPACT) {
+      const liveByKey = new Map();
+      CompactCodec.assignKeys(currentFormControls).forEach((key, index) => liveByKey.set(key, currentFormControls[index]));
+
+      const matches = snapshot.formControls.map(snapshotControl => {
+        const control = liveByKey.get(snapshotControl.key) || null;
+        return { snapshotControl, control, matchedBy: control ? 'key' : null, confidence: control ? 1 : 0 };
+      });
+      return { matches, mappedCount: 0 };
+    }
+
+    const identityRanks = CONTROL_MATCH_RANKS.filter(rank => rank.field !== 'ordinal');
+    const matches = ControlMatcher.match(snapshot.formControls, currentFormControls, { ranks: identityRanks });
+
+    // Mappings the user confirmed on this route earlier, e.g. firstName -> givenName
+    const mappedCount = ControlMatcher.applyMappings(matches, currentFormControls, await this.loadSavedMappings());
+
+    if (!options.fuzzy) {
+      ControlMatcher.match(snapshot.formControls, currentFormControls, {
+        ranks: CONTROL_MATCH_RANKS.filter(rank => rank.field === 'ordinal'),
+        results: matches
+      });
+    }
+
+    return { matches, mappedCount };
   }
 
   /**
@@ -590,12 +2528,16 @@ class AngularFormSnapshotContent {
         textarea.style.opacity = '0';
         document.body.appendChild(textarea);
         textarea.select();
-        document.execCommand('copy');
+        const copied = document.execCommand('copy');
         document.body.removeChild(textarea);
+
+        if (!copied) {
+          throw new Error(`Clipboard rejected ${text.length} characters`);
+        }
       }
     } catch (error) {
       this.log('error', 'Failed to copy to clipboard', error);
-      throw new Error('Failed to copy to clipboard');
+      throw new Error(`Failed to copy to clipboard: ${error.message}`);
     }
   }
 
@@ -621,10 +2563,11 @@ class AngularFormSnapshotContent {
    * @param {string} title
    * @param {string} message
    * @param {string} type
+   * @param {{label: string, onClick: Function, duration?: number}|null} [action] - Optional button
    */
-  showNotification(title, message, type = NOTIFICATION_TYPES.INFO) {
+  showNotification(title, message, type = NOTIFICATION_TYPES.INFO, action = null) {
     // Create notification element
-    const notification = this.createNotificationElement(title, message, type);
+    const notification = this.createNotificationElement(title, message, type, action);
 
     // Show notification
     document.body.appendChild(notification);
@@ -634,7 +2577,7 @@ class AngularFormSnapshotContent {
       if (notification.parentNode) {
         notification.parentNode.removeChild(notification);
       }
-    }, 5000);
+    }, action ? action.duration || CONTENT_SCRIPT_CONFIG.ACTION_NOTIFICATION_DURATION : CONTENT_SCRIPT_CONFIG.NOTIFICATION_DURATION);
   }
 
   /**
@@ -642,19 +2585,27 @@ class AngularFormSnapshotContent {
    * @param {string} title
    * @param {string} message
    * @param {string} type
+   * @param {{label: string, onClick: Function}|null} [action] - Optional button
    * @returns {Element}
    */
-  createNotificationElement(title, message, type) {
+  createNotificationElement(title, message, type, action = null) {
     const notification = document.createElement('div');
     notification.className = `angular-snapshot-notification angular-snapshot-${type}`;
 
-    notification.innerHTML = `
-      <div class="angular-snapshot-notification-content">
-        <div class="angular-snapshot-notification-title">${title}</div>
-        <div class="angular-snapshot-notification-message">${message}</div>
-        <button class="angular-snapshot-notification-close">&times;</button>
-      </div>
-    `;
+    // Messages can carry page and snapshot text, so they are only ever set as text
+    const content = document.createElement('div');
+    content.className = 'angular-snapshot-notification-content';
+    const titleElement = document.createElement('div');
+    titleElement.className = 'angular-snapshot-notification-title';
+    titleElement.textContent = title;
+    const messageElement = document.createElement('div');
+    messageElement.className = 'angular-snapshot-notification-message';
+    messageElement.textContent = message;
+    const closeButton = document.createElement('button');
+    closeButton.className = 'angular-snapshot-notification-close';
+    closeButton.textContent = '\u00d7';
+    content.append(titleElement, messageElement, closeButton);
+    notification.appendChild(content);
 
     // Add styles
     const style = document.createElement('style');
@@ -665,13 +2616,23 @@ class AngularFormSnapshotContent {
     }
 
     // Add close functionality
-    const closeButton = notification.querySelector('.angular-snapshot-notification-close');
     closeButton.addEventListener('click', () => {
       if (notification.parentNode) {
         notification.parentNode.removeChild(notification);
       }
     });
 
+    if (action) {
+      const actionButton = document.createElement('button');
+      actionButton.className = 'angular-snapshot-notification-action';
+      actionButton.textContent = action.label;
+      actionButton.addEventListener('click', () => {
+        notification.remove();
+        action.onClick();
+      });
+      content.appendChild(actionButton);
+    }
+
     return notification;
   }
 
@@ -740,6 +2701,22 @@ class AngularFormSnapshotContent {
       .angular-snapshot-notification-close:hover {
         color: #333;
       }
+
+      .angular-snapshot-notification-action {
+        margin-top: 8px;
+        padding: 4px 12px;
+        background: none;
+        border: 1px solid #007acc;
+        border-radius: 4px;
+        color: #007acc;
+        font-size: 13px;
+        cursor: pointer;
+      }
+
+      .angular-snapshot-notification-action:hover {
+        background: #007acc;
+        color: white;
+      }
     `;
   }
 
@@ -747,16 +2724,36 @@ class AngularFormSnapshotContent {
    * Sets up DOM observers
    */
   setupDOMObservers() {
+    const { DOMUtils } = window.AngularFormSnapshotUtils;
+    const formSelector = 'form, input, select, textarea, [contenteditable], [formControl], [formControlName], [ngModel]';
+    const observerOptions = {
+      childList: true,
+      subtree: true
+    };
+
+    // A subtree observer stops at shadow boundaries, so every open shadow
+    // root (ShadowDom-encapsulated components, Angular Elements) is observed too
+    const observedRoots = new WeakSet();
+    const observeShadowRoots = (root) => {
+      DOMUtils.getShadowHosts(root).forEach(host => {
+        if (observedRoots.has(host.shadowRoot)) return;
+        observedRoots.add(host.shadowRoot);
+        observer.observe(host.shadowRoot, observerOptions);
+        observeShadowRoots(host.shadowRoot);
+      });
+    };
+
     // Observe DOM changes for dynamic forms
     const observer = new MutationObserver((mutations) => {
-      const hasFormChanges = mutations.some(mutation => {
-        return Array.from(mutation.addedNodes).some(node => {
-          return node.nodeType === Node.ELEMENT_NODE && (
-            node.matches && node.matches('form, input, select, textarea, [formControl], [formControlName], [ngModel]') ||
-            node.querySelector && node.querySelector('form, input, select, textarea, [formControl], [formControlName], [ngModel]')
-          );
-        });
-      });
+      const addedElements = mutations
+        .flatMap(mutation => Array.from(mutation.addedNodes))
+        .filter(node => node.nodeType === Node.ELEMENT_NODE);
+
+      addedElements.forEach(observeShadowRoots);
+
+      const hasFormChanges = addedElements.some(node =>
+        node.matches(formSelector) || DOMUtils.querySelectorAllDeep(formSelector, node).length > 0
+      );
 
       if (hasFormChanges) {
         this.debounce('formScan', () => {
@@ -765,10 +2762,8 @@ class AngularFormSnapshotContent {
       }
     });
 
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
+    observer.observe(document.body, observerOptions);
+    observeShadowRoots(document);
 
     this.observers.set('domMutation', observer);
   }
@@ -803,6 +2798,17 @@ class AngularFormSnapshotContent {
     this.log('debug', 'UI components initialized');
   }
 
+  /**
+   * Returns a copy of operation options that is safe to log or persist
+   * @param {Object} options
+   * @returns {Object}
+   */
+  redactOptions(options = {}) {
+    const redacted = { ...options };
+    delete redacted.passphrase;
+    return redacted;
+  }
+
   /**
    * Debounce utility
    * @param {string} key
@@ -871,6 +2877,11 @@ class AngularFormSnapshotContent {
       clearTimeout(timer);
     });
     this.debounceTimers.clear();
+    this.pendingParts.clear();
+    this.pendingMapping = null;
+    this.undoBuffer = null;
+    this.frameUndoContents = null;
+    this.stopCapturePicker();
 
     // Remove message listener
     if (chrome.runtime.onMessage.hasListener(this.handleMessage)) {
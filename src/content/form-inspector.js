@@ -88,6 +88,9 @@ const ANGULAR_FORM_SELECTORS = {
     "mat-datepicker-input",
     "mat-autocomplete",
     "mat-chip-list",
+    "mat-chip-grid",
+    "mat-chip-listbox",
+    "mat-date-range-input",
     "mat-button-toggle-group",
   ],
 };
@@ -185,7 +188,7 @@ class AngularFormInspector {
       }
 
       // Check for Forms module
-      const formsModuleElements = document.querySelectorAll(
+      const formsModuleElements = this.queryAllDeep(
         "[ng-reflect-form], [formGroup], [ngForm]",
       );
       if (formsModuleElements.length > 0) {
@@ -193,7 +196,7 @@ class AngularFormInspector {
       }
 
       // Check for Reactive Forms module
-      const reactiveFormsElements = document.querySelectorAll(
+      const reactiveFormsElements = this.queryAllDeep(
         "[formGroup], [formControl], [formArray]",
       );
       if (reactiveFormsElements.length > 0) {
@@ -201,7 +204,7 @@ class AngularFormInspector {
       }
 
       // Check for Material Forms
-      const materialElements = document.querySelectorAll(
+      const materialElements = this.queryAllDeep(
         "mat-form-field, mat-input, mat-select",
       );
       if (materialElements.length > 0) {
@@ -223,7 +226,7 @@ class AngularFormInspector {
   async inspectReactiveForms(result, options) {
     try {
       // Find FormGroup elements
-      const formGroupElements = document.querySelectorAll("[formGroup]");
+      const formGroupElements = this.queryAllDeep("[formGroup]");
 
       for (const formElement of formGroupElements) {
         const formData = await this.inspectReactiveForm(formElement, options);
@@ -236,7 +239,7 @@ class AngularFormInspector {
       }
 
       // Find standalone FormControl elements
-      const standaloneControls = document.querySelectorAll(
+      const standaloneControls = this.queryAllDeep(
         "[formControl]:not([formGroup] [formControl])",
       );
 
@@ -411,7 +414,7 @@ class AngularFormInspector {
   async inspectTemplateDrivenForms(result, options) {
     try {
       // Find NgForm elements
-      const ngFormElements = document.querySelectorAll("[ngForm], form[name]");
+      const ngFormElements = this.queryAllDeep("[ngForm], form[name]");
 
       for (const formElement of ngFormElements) {
         const formData = await this.inspectTemplateDrivenForm(
@@ -427,7 +430,7 @@ class AngularFormInspector {
       }
 
       // Find standalone NgModel elements
-      const standaloneModels = document.querySelectorAll(
+      const standaloneModels = this.queryAllDeep(
         "[ngModel]:not([ngForm] [ngModel])",
       );
 
@@ -571,7 +574,7 @@ class AngularFormInspector {
    */
   async inspectMaterialForms(result, options) {
     try {
-      const materialFormFields = document.querySelectorAll("mat-form-field");
+      const materialFormFields = this.queryAllDeep("mat-form-field");
 
       for (const formField of materialFormFields) {
         const controlData = await this.inspectMaterialFormField(
@@ -585,8 +588,8 @@ class AngularFormInspector {
       }
 
       // Inspect other Material components
-      const materialComponents = document.querySelectorAll(
-        "mat-checkbox, mat-radio-group, mat-slide-toggle, mat-slider, mat-button-toggle-group",
+      const materialComponents = this.queryAllDeep(
+        "mat-checkbox, mat-radio-group, mat-slide-toggle, mat-slider, mat-button-toggle-group, mat-chip-listbox",
       );
 
       for (const component of materialComponents) {
@@ -719,7 +722,7 @@ class AngularFormInspector {
    */
   async inspectNativeForms(result, options) {
     try {
-      const nativeForms = document.querySelectorAll(
+      const nativeForms = this.queryAllDeep(
         "form:not([formGroup]):not([ngForm])",
       );
 
@@ -904,6 +907,13 @@ class AngularFormInspector {
    * @returns {any}
    */
   extractControlValue(element) {
+    // Registered component adapters (ng-select, PrimeNG, ...) come first
+    const adapter =
+      window.AngularFormSnapshotUtils?.ComponentAdapters.find(element);
+    if (adapter) {
+      return adapter.read(element);
+    }
+
     if (element.type === "checkbox" || element.type === "radio") {
       return element.checked;
     } else if (element.type === "file") {
@@ -928,7 +938,8 @@ class AngularFormInspector {
   }
 
   /**
-   * Generates element path
+   * Generates element path; shadow boundaries are written as ` >>> `
+   * between a host and the first element inside its shadow root
    * @param {Element} element
    * @returns {string}
    */
@@ -951,12 +962,30 @@ class AngularFormInspector {
       }
 
       path.unshift(selector);
-      current = current.parentElement;
+
+      if (current.parentElement) {
+        current = current.parentElement;
+      } else {
+        current = current.parentNode?.host || null;
+        if (current) path.unshift(">>>");
+      }
 
       if (path.length > FORM_INSPECTOR_CONFIG.MAX_DEPTH) break;
     }
 
-    return path.join(" > ");
+    return path.join(" > ").replace(/ > >>> > /g, " >>> ");
+  }
+
+  /**
+   * querySelectorAll across the document and its open shadow roots
+   * @param {string} selector
+   * @returns {Element[]}
+   */
+  queryAllDeep(selector) {
+    const { DOMUtils } = window.AngularFormSnapshotUtils || {};
+    return DOMUtils
+      ? DOMUtils.querySelectorAllDeep(selector)
+      : Array.from(document.querySelectorAll(selector));
   }
 
   /**
@@ -1077,49 +1106,54 @@ class AngularFormInspector {
       case "mat-autocomplete":
         return "autocomplete";
       case "mat-chip-list":
+      case "mat-chip-grid":
+      case "mat-chip-listbox":
         return "chip-list";
+      case "mat-date-range-input":
+        return "date-range";
       default:
         return "unknown";
     }
   }
 
   /**
-   * Extracts Material component value
+   * Extracts Material component value from the rendered component, so it
+   * also works in production builds without ng-reflect-* attributes
    * @param {Element} componentElement
    * @returns {any}
    */
   extractMaterialComponentValue(componentElement) {
+    const adapter =
+      window.AngularFormSnapshotUtils?.ComponentAdapters.find(componentElement);
+    if (adapter) {
+      return adapter.read(componentElement);
+    }
+
     const tagName = componentElement.tagName.toLowerCase();
 
     switch (tagName) {
       case "mat-checkbox":
-      case "mat-slide-toggle":
-        return (
-          componentElement.hasAttribute("checked") ||
-          componentElement.getAttribute("ng-reflect-checked") === "true"
-        );
-
-      case "mat-radio-group":
-        const selectedRadio = componentElement.querySelector(
-          "mat-radio-button[checked]",
+        return Boolean(
+          componentElement.querySelector('input[type="checkbox"]')?.checked,
         );
-        return selectedRadio ? selectedRadio.getAttribute("value") : null;
 
-      case "mat-slider":
+      case "mat-slide-toggle":
         return (
-          componentElement.getAttribute("value") ||
-          componentElement.getAttribute("ng-reflect-value") ||
-          0
+          componentElement
+            .querySelector('[role="switch"]')
+            ?.getAttribute("aria-checked") === "true" ||
+          Boolean(
+            componentElement.querySelector('input[type="checkbox"]')?.checked,
+          )
         );
 
-      case "mat-select":
-        return componentElement.getAttribute("ng-reflect-value") || "";
-
-      case "mat-button-toggle-group":
-        const selected = componentElement.querySelector(
-          "mat-button-toggle[pressed]",
-        );
-        return selected ? selected.getAttribute("value") : null;
+      case "mat-date-range-input":
+        return {
+          start:
+            componentElement.querySelector("input.mat-start-date")?.value || "",
+          end:
+            componentElement.querySelector("input.mat-end-date")?.value || "",
+        };
 
       default:
         return componentElement.value || "";
@@ -1564,7 +1598,7 @@ class AngularFormInspector {
       const customComponents = [];
 
       // Find elements with custom Angular components
-      const customElements = document.querySelectorAll("*");
+      const customElements = this.queryAllDeep("*");
 
       customElements.forEach((element) => {
         const tagName = element.tagName.toLowerCase();
@@ -20,6 +20,10 @@ const POPUP_CONFIG = {
   NOTIFICATION_DURATION: 5000,
   AUTO_REFRESH_INTERVAL: 10000,
   MAX_SNAPSHOTS_DISPLAY: 10,
+  // Window the import file picker opens from; Chrome closes the action popup
+  // as soon as the native file dialog takes focus
+  IMPORT_WINDOW_WIDTH: 400,
+  IMPORT_WINDOW_HEIGHT: 640,
 };
 
 const MESSAGE_TYPES = {
@@ -38,6 +42,13 @@ const MESSAGE_TYPES = {
   LOAD_SNAPSHOT: "LOAD_SNAPSHOT",
   DELETE_SNAPSHOT: "DELETE_SNAPSHOT",
   LIST_SNAPSHOTS: "LIST_SNAPSHOTS",
+  APPLY_MAPPINGS: "APPLY_MAPPINGS",
+  UNDO_RESTORE: "UNDO_RESTORE",
+  GET_UNDO_STATUS: "GET_UNDO_STATUS",
+  LIST_RESTORE_PROFILES: "LIST_RESTORE_PROFILES",
+  SAVE_RESTORE_PROFILE: "SAVE_RESTORE_PROFILE",
+  DELETE_RESTORE_PROFILE: "DELETE_RESTORE_PROFILE",
+  START_CAPTURE_PICKER: "START_CAPTURE_PICKER",
 
   // UI Operations
   SHOW_NOTIFICATION: "SHOW_NOTIFICATION",
@@ -56,6 +67,21 @@ const UI_STATES = {
   ERROR: "error",
 };
 
+// Capture scope setting; "picker" lets the user click the target in the page
+const CAPTURE_SCOPES = {
+  PAGE: "page",
+  FORM: "form",
+  FORM_GROUP: "formGroup",
+  SELECTOR: "selector",
+  PICKER: "picker",
+};
+
+const CAPTURE_SCOPE_PLACEHOLDERS = {
+  [CAPTURE_SCOPES.FORM]: "Form id or name, e.g. checkout",
+  [CAPTURE_SCOPES.FORM_GROUP]: "FormGroup name, e.g. shippingAddress",
+  [CAPTURE_SCOPES.SELECTOR]: "CSS selector, e.g. #checkout fieldset",
+};
+
 const NOTIFICATION_TYPES = {
   SUCCESS: "success",
   WARNING: "warning",
@@ -70,14 +96,32 @@ const NOTIFICATION_TYPES = {
 class AngularFormSnapshotPopup {
   constructor() {
     this.currentTab = null;
+    // Set when this page runs in the import window, for the tab it imports into
+    this.importTabId =
+      Number(new URLSearchParams(window.location.search).get("importTab")) ||
+      null;
     this.angularDetected = false;
     this.formStats = { forms: 0, controls: 0 };
     this.snapshots = [];
+    this.activeSnapshot = null;
+    // Mapping proposals shown in the snapshot modal, if any
+    this.activeMapping = null;
+    // Field selection tree shown under a restore preview, if any
+    this.activeSelection = null;
     this.settings = {
       autoSave: true,
       copyToClipboard: true,
+      copyShareUrl: true,
+      encryptSnapshots: false,
+      splitParts: false,
+      suggestMatches: false,
       includeValidation: false,
       compressionLevel: "medium",
+      encodingProfile: "full",
+      snapshotMode: "flat",
+      captureScope: CAPTURE_SCOPES.PAGE,
+      captureScopeValue: "",
+      sizeStrategy: "auto",
     };
     this.currentState = UI_STATES.DETECTING;
     this.detectionTimeout = null;
@@ -91,6 +135,7 @@ class AngularFormSnapshotPopup {
     this.detectAngular = this.detectAngular.bind(this);
     this.captureForms = this.captureForms.bind(this);
     this.restoreForms = this.restoreForms.bind(this);
+    this.undoRestore = this.undoRestore.bind(this);
     this.refreshSnapshots = this.refreshSnapshots.bind(this);
   }
 
@@ -113,6 +158,14 @@ class AngularFormSnapshotPopup {
       // Get current tab
       await this.getCurrentTab();
 
+      if (this.importTabId) {
+        this.showNotification(
+          "Import Snapshot",
+          `Choose a JSON or YAML file with the upload button to restore it into "${this.currentTab.title}".`,
+          NOTIFICATION_TYPES.INFO,
+        );
+      }
+
       // Start Angular detection
       await this.startAngularDetection();
 
@@ -157,6 +210,7 @@ class AngularFormSnapshotPopup {
     // Action buttons
     this.elements.captureBtn = document.getElementById("captureBtn");
     this.elements.restoreBtn = document.getElementById("restoreBtn");
+    this.elements.undoRestoreBtn = document.getElementById("undoRestoreBtn");
     this.elements.retryDetectionBtn =
       document.getElementById("retryDetectionBtn");
 
@@ -166,6 +220,11 @@ class AngularFormSnapshotPopup {
     this.elements.refreshSnapshotsBtn = document.getElementById(
       "refreshSnapshotsBtn",
     );
+    this.elements.importSnapshotBtn =
+      document.getElementById("importSnapshotBtn");
+    this.elements.importSnapshotInput = document.getElementById(
+      "importSnapshotInput",
+    );
 
     // Advanced options
     this.elements.advancedToggle = document.getElementById("advancedToggle");
@@ -174,11 +233,28 @@ class AngularFormSnapshotPopup {
     this.elements.copyToClipboardOption = document.getElementById(
       "copyToClipboardOption",
     );
+    this.elements.copyShareUrlOption = document.getElementById(
+      "copyShareUrlOption",
+    );
+    this.elements.encryptSnapshotsOption = document.getElementById(
+      "encryptSnapshotsOption",
+    );
+    this.elements.passphraseInput = document.getElementById("passphraseInput");
+    this.elements.splitPartsOption = document.getElementById("splitPartsOption");
+    this.elements.suggestMatchesOption = document.getElementById(
+      "suggestMatchesOption",
+    );
     this.elements.includeValidationOption = document.getElementById(
       "includeValidationOption",
     );
     this.elements.compressionLevel =
       document.getElementById("compressionLevel");
+    this.elements.encodingProfile = document.getElementById("encodingProfile");
+    this.elements.snapshotMode = document.getElementById("snapshotMode");
+    this.elements.captureScope = document.getElementById("captureScope");
+    this.elements.captureScopeInput =
+      document.getElementById("captureScopeInput");
+    this.elements.sizeStrategy = document.getElementById("sizeStrategy");
 
     // Footer buttons
     this.elements.settingsBtn = document.getElementById("settingsBtn");
@@ -198,6 +274,17 @@ class AngularFormSnapshotPopup {
     this.elements.snapshotModalOverlay = document.getElementById(
       "snapshotModalOverlay",
     );
+    this.elements.snapshotDetails = document.getElementById("snapshotDetails");
+    this.elements.snapshotModalTitle =
+      document.getElementById("snapshotModalTitle");
+    this.elements.snapshotModalClose =
+      document.getElementById("snapshotModalClose");
+    this.elements.snapshotModalCancel = document.getElementById(
+      "snapshotModalCancel",
+    );
+    this.elements.snapshotModalRestore = document.getElementById(
+      "snapshotModalRestore",
+    );
     this.elements.settingsModalOverlay = document.getElementById(
       "settingsModalOverlay",
     );
@@ -212,6 +299,7 @@ class AngularFormSnapshotPopup {
     // Action buttons
     this.elements.captureBtn?.addEventListener("click", this.captureForms);
     this.elements.restoreBtn?.addEventListener("click", this.restoreForms);
+    this.elements.undoRestoreBtn?.addEventListener("click", this.undoRestore);
     this.elements.retryDetectionBtn?.addEventListener(
       "click",
       this.detectAngular,
@@ -222,6 +310,14 @@ class AngularFormSnapshotPopup {
       "click",
       this.refreshSnapshots,
     );
+    this.elements.importSnapshotBtn?.addEventListener(
+      "click",
+      this.openSnapshotImport.bind(this),
+    );
+    this.elements.importSnapshotInput?.addEventListener(
+      "change",
+      this.importSnapshotFile.bind(this),
+    );
 
     // Advanced options
     this.elements.advancedToggle?.addEventListener(
@@ -238,6 +334,22 @@ class AngularFormSnapshotPopup {
       "change",
       this.updateSettings.bind(this),
     );
+    this.elements.copyShareUrlOption?.addEventListener(
+      "change",
+      this.updateSettings.bind(this),
+    );
+    this.elements.encryptSnapshotsOption?.addEventListener(
+      "change",
+      this.updateSettings.bind(this),
+    );
+    this.elements.splitPartsOption?.addEventListener(
+      "change",
+      this.updateSettings.bind(this),
+    );
+    this.elements.suggestMatchesOption?.addEventListener(
+      "change",
+      this.updateSettings.bind(this),
+    );
     this.elements.includeValidationOption?.addEventListener(
       "change",
       this.updateSettings.bind(this),
@@ -246,6 +358,26 @@ class AngularFormSnapshotPopup {
       "change",
       this.updateSettings.bind(this),
     );
+    this.elements.encodingProfile?.addEventListener(
+      "change",
+      this.updateSettings.bind(this),
+    );
+    this.elements.snapshotMode?.addEventListener(
+      "change",
+      this.updateSettings.bind(this),
+    );
+    this.elements.captureScope?.addEventListener(
+      "change",
+      this.updateSettings.bind(this),
+    );
+    this.elements.captureScopeInput?.addEventListener(
+      "change",
+      this.updateSettings.bind(this),
+    );
+    this.elements.sizeStrategy?.addEventListener(
+      "change",
+      this.updateSettings.bind(this),
+    );
 
     // Footer buttons
     this.elements.settingsBtn?.addEventListener(
@@ -267,6 +399,28 @@ class AngularFormSnapshotPopup {
       this.hideNotification.bind(this),
     );
 
+    // Snapshot modal buttons
+    this.elements.snapshotModalClose?.addEventListener(
+      "click",
+      this.hideSnapshotModal.bind(this),
+    );
+    this.elements.snapshotModalCancel?.addEventListener(
+      "click",
+      this.hideSnapshotModal.bind(this),
+    );
+    this.elements.snapshotModalRestore?.addEventListener("click", () => {
+      if (this.activeMapping) {
+        this.applyMappings();
+        return;
+      }
+      const snapshot = this.activeSnapshot;
+      const selection = this.getSelectedRestoreKeys();
+      this.hideSnapshotModal();
+      if (snapshot) {
+        this.restoreSnapshot(snapshot, selection);
+      }
+    });
+
     // Modal overlay click handlers
     this.elements.snapshotModalOverlay?.addEventListener("click", (e) => {
       if (e.target === this.elements.snapshotModalOverlay) {
@@ -340,10 +494,12 @@ class AngularFormSnapshotPopup {
    */
   async getCurrentTab() {
     try {
-      const [tab] = await chrome.tabs.query({
-        active: true,
-        currentWindow: true,
-      });
+      const [tab] = this.importTabId
+        ? [await chrome.tabs.get(this.importTabId)]
+        : await chrome.tabs.query({
+            active: true,
+            currentWindow: true,
+          });
       this.currentTab = tab;
       this.log("debug", "Current tab retrieved", {
         tabId: tab.id,
@@ -385,6 +541,23 @@ class AngularFormSnapshotPopup {
       this.elements.copyToClipboardOption.checked =
         this.settings.copyToClipboard;
     }
+    if (this.elements.copyShareUrlOption) {
+      this.elements.copyShareUrlOption.checked = this.settings.copyShareUrl;
+    }
+    if (this.elements.encryptSnapshotsOption) {
+      this.elements.encryptSnapshotsOption.checked =
+        this.settings.encryptSnapshots;
+    }
+    this.elements.passphraseInput?.classList.toggle(
+      "hidden",
+      !this.settings.encryptSnapshots,
+    );
+    if (this.elements.splitPartsOption) {
+      this.elements.splitPartsOption.checked = this.settings.splitParts;
+    }
+    if (this.elements.suggestMatchesOption) {
+      this.elements.suggestMatchesOption.checked = this.settings.suggestMatches;
+    }
     if (this.elements.includeValidationOption) {
       this.elements.includeValidationOption.checked =
         this.settings.includeValidation;
@@ -392,6 +565,33 @@ class AngularFormSnapshotPopup {
     if (this.elements.compressionLevel) {
       this.elements.compressionLevel.value = this.settings.compressionLevel;
     }
+    if (this.elements.encodingProfile) {
+      this.elements.encodingProfile.value = this.settings.encodingProfile;
+    }
+    if (this.elements.snapshotMode) {
+      this.elements.snapshotMode.value = this.settings.snapshotMode;
+    }
+    if (this.elements.captureScope) {
+      this.elements.captureScope.value = this.settings.captureScope;
+    }
+    if (this.elements.captureScopeInput) {
+      this.elements.captureScopeInput.value = this.settings.captureScopeValue;
+    }
+    this.updateCaptureScopeInput();
+    if (this.elements.sizeStrategy) {
+      this.elements.sizeStrategy.value = this.settings.sizeStrategy;
+    }
+  }
+
+  /**
+   * Shows the scope value input for scopes that need one, with a matching hint
+   */
+  updateCaptureScopeInput() {
+    const placeholder = CAPTURE_SCOPE_PLACEHOLDERS[this.settings.captureScope];
+    this.elements.captureScopeInput?.classList.toggle("hidden", !placeholder);
+    if (this.elements.captureScopeInput && placeholder) {
+      this.elements.captureScopeInput.placeholder = placeholder;
+    }
   }
 
   /**
@@ -466,6 +666,9 @@ class AngularFormSnapshotPopup {
       // Load snapshots
       await this.loadSnapshots();
 
+      // The undo buffer lives in the tab, so it outlives earlier popups
+      await this.refreshUndoStatus();
+
       // Update UI
       this.updateUIState(UI_STATES.ANGULAR_DETECTED);
       this.updateAngularInfo(detectionData);
@@ -534,15 +737,58 @@ class AngularFormSnapshotPopup {
         return;
       }
 
+      const passphrase = this.getPassphrase();
+      if (this.settings.encryptSnapshots && !passphrase) {
+        this.showNotification(
+          "Passphrase Required",
+          "Enter a passphrase in Advanced Options to encrypt snapshots",
+          NOTIFICATION_TYPES.WARNING,
+        );
+        return;
+      }
+
+      const { captureScope, captureScopeValue } = this.settings;
+      if (CAPTURE_SCOPE_PLACEHOLDERS[captureScope] && !captureScopeValue) {
+        this.showNotification(
+          "Capture Scope Required",
+          "Enter the form, FormGroup or selector to capture in Advanced Options",
+          NOTIFICATION_TYPES.WARNING,
+        );
+        return;
+      }
+
+      const captureOptions = {
+        saveToStorage: this.settings.autoSave,
+        copyToClipboard: this.settings.copyToClipboard,
+        copyShareUrl: this.settings.copyShareUrl,
+        includeValidation: this.settings.includeValidation,
+        passphrase: this.settings.encryptSnapshots ? passphrase : undefined,
+        splitParts: this.settings.splitParts,
+        profile: this.settings.encodingProfile,
+        snapshotMode: this.settings.snapshotMode,
+        sizeStrategy: this.settings.sizeStrategy,
+      };
+
+      // The picker captures on click in the page; the popup closes so the
+      // page can receive the hover and click
+      if (captureScope === CAPTURE_SCOPES.PICKER) {
+        await chrome.tabs.sendMessage(this.currentTab.id, {
+          type: MESSAGE_TYPES.START_CAPTURE_PICKER,
+          data: captureOptions,
+        });
+        window.close();
+        return;
+      }
+
+      if (captureScope !== CAPTURE_SCOPES.PAGE) {
+        captureOptions.scope = { type: captureScope, value: captureScopeValue };
+      }
+
       this.showLoading("Capturing forms...");
 
       const response = await chrome.tabs.sendMessage(this.currentTab.id, {
         type: MESSAGE_TYPES.CAPTURE_FORMS,
-        data: {
-          saveToStorage: this.settings.autoSave,
-          copyToClipboard: this.settings.copyToClipboard,
-          includeValidation: this.settings.includeValidation,
-        },
+        data: captureOptions,
       });
 
       this.hideLoading();
@@ -573,16 +819,84 @@ class AngularFormSnapshotPopup {
       }
 
       // Show success notification
+      const { sizeReport, sizeReduction } = captureData;
       this.showNotification(
         "Forms Captured",
-        `Successfully captured ${captureData.formCount || 0} form controls`,
-        NOTIFICATION_TYPES.SUCCESS,
+        `Successfully captured ${captureData.formCount || 0} form controls` +
+          (sizeReport
+            ? ` (${this.formatBytes(sizeReport.compactSize)} compact vs ${this.formatBytes(sizeReport.fullSize)} full)`
+            : "") +
+          (sizeReduction
+            ? `. Too large (${this.formatBytes(sizeReduction.originalSize)}), applied ${sizeReduction.strategies.join(", ")}` +
+              (sizeReduction.chunkCount > 1
+                ? ` (${sizeReduction.chunkCount} chunks)`
+                : "")
+            : ""),
+        sizeReduction
+          ? NOTIFICATION_TYPES.WARNING
+          : NOTIFICATION_TYPES.SUCCESS,
       );
+
+      if (captureData.chunkTexts?.length > 1) {
+        this.showSnapshotChunks(captureData.chunkTexts);
+      }
     } catch (error) {
       this.log("error", "Failed to handle forms captured", error);
     }
   }
 
+  /**
+   * Lists the chunks a snapshot over the size limit was split into, each
+   * with its own copy button. Copying them all at once would put a block
+   * over the limit on the clipboard again.
+   * @param {string[]} chunkTexts - Clipboard text of each chunk
+   */
+  showSnapshotChunks(chunkTexts) {
+    const { ENCODING_CONFIG } = window.AngularFormSnapshotUtils;
+
+    const container = document.createElement("div");
+    container.className = "snapshot-chunks";
+
+    const intro = document.createElement("p");
+    intro.textContent =
+      `The snapshot exceeded the ${this.formatBytes(ENCODING_CONFIG.MAX_SNAPSHOT_SIZE)} size limit ` +
+      `and was split into ${chunkTexts.length} chunks. Chunk 1 is on the clipboard; ` +
+      "copy and restore the others one at a time.";
+    container.appendChild(intro);
+
+    chunkTexts.forEach((text, index) => {
+      const row = document.createElement("div");
+      row.className = "snapshot-chunk";
+
+      const label = document.createElement("span");
+      label.textContent = `Chunk ${index + 1} of ${chunkTexts.length} (${this.formatBytes(text.length)})`;
+
+      const button = document.createElement("button");
+      button.className = "modal-button secondary";
+      button.textContent = "Copy";
+      button.addEventListener("click", async () => {
+        try {
+          await navigator.clipboard.writeText(text);
+          button.textContent = "Copied";
+        } catch (error) {
+          this.log("error", "Failed to copy chunk", error);
+          this.showError("Copy Failed", error.message);
+        }
+      });
+
+      row.append(label, button);
+      container.appendChild(row);
+    });
+
+    this.elements.snapshotDetails?.replaceChildren(container);
+    if (this.elements.snapshotModalTitle) {
+      this.elements.snapshotModalTitle.textContent = "Snapshot Chunks";
+    }
+    // Nothing to restore from here
+    this.elements.snapshotModalRestore?.classList.add("hidden");
+    this.showSnapshotModal();
+  }
+
   /**
    * Restores forms
    */
@@ -603,6 +917,8 @@ class AngularFormSnapshotPopup {
         type: MESSAGE_TYPES.RESTORE_FORMS,
         data: {
           fromClipboard: true,
+          passphrase: this.getPassphrase() || undefined,
+          fuzzy: this.settings.suggestMatches,
         },
       });
 
@@ -628,17 +944,215 @@ class AngularFormSnapshotPopup {
     try {
       this.log("info", "Forms restored successfully", restoreData);
 
+      if (restoreData.waiting) {
+        this.showNotification(
+          "Snapshot Part Received",
+          `${restoreData.message}. Copy the next part and restore again.`,
+          NOTIFICATION_TYPES.INFO,
+        );
+        return;
+      }
+
       // Show success notification
+      const counts = restoreData.strategyCounts;
       this.showNotification(
         "Forms Restored",
-        `Successfully restored ${restoreData.restoredCount || 0} form controls`,
+        `Successfully restored ${restoreData.restoredCount || 0} form controls` +
+          (counts
+            ? ` (${counts.model} via form model, ${counts.dom} via DOM)`
+            : "") +
+          (restoreData.mappedCount > 0
+            ? `. ${restoreData.mappedCount} matched through saved mappings`
+            : "") +
+          (restoreData.lowConfidenceCount > 0
+            ? `. ${restoreData.lowConfidenceCount} matched with low confidence`
+            : "") +
+          (restoreData.resizedArrays?.length > 0
+            ? `. Resized ${restoreData.resizedArrays
+                .map((entry) => `${entry.path} ${entry.from}→${entry.to}`)
+                .join(", ")}`
+            : ""),
         NOTIFICATION_TYPES.SUCCESS,
       );
+
+      this.elements.undoRestoreBtn?.classList.toggle(
+        "hidden",
+        !(restoreData.restoredCount > 0),
+      );
+
+      if (restoreData.mappingProposals?.length > 0) {
+        this.showMappingTable(restoreData.mappingProposals);
+      }
     } catch (error) {
       this.log("error", "Failed to handle forms restored", error);
     }
   }
 
+  /**
+   * Shows the Undo Restore button when the tab holds an undo buffer
+   */
+  async refreshUndoStatus() {
+    try {
+      const response = await chrome.tabs.sendMessage(this.currentTab.id, {
+        type: MESSAGE_TYPES.GET_UNDO_STATUS,
+      });
+      this.elements.undoRestoreBtn?.classList.toggle(
+        "hidden",
+        !response?.available,
+      );
+    } catch (error) {
+      this.log("warn", "Undo status unavailable", error);
+    }
+  }
+
+  /**
+   * Puts back the values the last restore in this tab overwrote
+   */
+  async undoRestore() {
+    try {
+      this.showLoading("Undoing restore...");
+
+      const response = await chrome.tabs.sendMessage(this.currentTab.id, {
+        type: MESSAGE_TYPES.UNDO_RESTORE,
+      });
+
+      this.hideLoading();
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || "Undo failed");
+      }
+
+      this.elements.undoRestoreBtn?.classList.add("hidden");
+      this.showNotification(
+        "Restore Undone",
+        `Put back ${response.restoredCount} previous value${response.restoredCount === 1 ? "" : "s"}` +
+          (response.errorCount > 0 ? ` (${response.errorCount} failed)` : "") +
+          (response.framesNotUndone?.length > 0
+            ? `. ${response.framesNotUndone.length} frame${response.framesNotUndone.length === 1 ? " was" : "s were"} not undone`
+            : ""),
+        response.errorCount > 0
+          ? NOTIFICATION_TYPES.WARNING
+          : NOTIFICATION_TYPES.SUCCESS,
+      );
+    } catch (error) {
+      this.hideLoading();
+      this.log("error", "Undo restore failed", error);
+      this.showError("Undo Failed", error.message);
+    }
+  }
+
+  /**
+   * Shows suggested matches for controls the restore could not match, one
+   * row per snapshot control with a select of candidates
+   * @param {Array} proposals - mappingProposals from RESTORE_FORMS
+   */
+  showMappingTable(proposals) {
+    const container = document.createElement("div");
+    container.className = "mapping-table";
+
+    const intro = document.createElement("p");
+    intro.textContent = `${proposals.length} snapshot control${proposals.length === 1 ? " has" : "s have"} no exact match. Confirm where each value should go.`;
+
+    const table = document.createElement("table");
+    const header = table.createTHead().insertRow();
+    ["Snapshot control", "Value", "Restore into"].forEach((title) => {
+      const cell = document.createElement("th");
+      cell.textContent = title;
+      header.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    proposals.forEach((proposal) => {
+      const row = body.insertRow();
+      row.insertCell().textContent = proposal.control;
+      row.insertCell().textContent = proposal.value;
+
+      const select = document.createElement("select");
+      select.className = "select-input";
+      select.dataset.proposalId = proposal.id;
+      select.add(new Option("Skip", ""));
+      proposal.candidates.forEach((candidate, index) => {
+        select.add(
+          new Option(
+            `${candidate.control} (${Math.round(candidate.score * 100)}%)`,
+            candidate.id,
+            false,
+            index === 0,
+          ),
+        );
+      });
+      row.insertCell().appendChild(select);
+    });
+
+    const remember = document.createElement("label");
+    remember.className = "checkbox-label";
+    const rememberInput = document.createElement("input");
+    rememberInput.type = "checkbox";
+    rememberInput.checked = true;
+    rememberInput.dataset.role = "remember";
+    const rememberText = document.createElement("span");
+    rememberText.className = "label-text";
+    rememberText.textContent = "Remember these mappings for this page";
+    remember.append(rememberInput, rememberText);
+
+    container.append(intro, table, remember);
+    this.elements.snapshotDetails?.replaceChildren(container);
+
+    this.activeMapping = proposals;
+    if (this.elements.snapshotModalTitle) {
+      this.elements.snapshotModalTitle.textContent = "Confirm Control Mapping";
+    }
+    if (this.elements.snapshotModalRestore) {
+      this.elements.snapshotModalRestore.textContent = "Apply Mapping";
+    }
+    this.showSnapshotModal();
+  }
+
+  /**
+   * Sends the mappings confirmed in the mapping table to the content script
+   */
+  async applyMappings() {
+    const details = this.elements.snapshotDetails;
+    const mappings = Array.from(
+      details?.querySelectorAll("select[data-proposal-id]") || [],
+    )
+      .filter((select) => select.value !== "")
+      .map((select) => ({
+        id: Number(select.dataset.proposalId),
+        candidateId: Number(select.value),
+      }));
+    const remember =
+      details?.querySelector('input[data-role="remember"]')?.checked || false;
+
+    this.hideSnapshotModal();
+
+    try {
+      const response = await chrome.tabs.sendMessage(this.currentTab.id, {
+        type: MESSAGE_TYPES.APPLY_MAPPINGS,
+        data: { mappings, remember },
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || "Applying mappings failed");
+      }
+
+      this.elements.undoRestoreBtn?.classList.remove("hidden");
+      this.showNotification(
+        "Mappings Applied",
+        `Restored ${response.restoredCount} mapped control${response.restoredCount === 1 ? "" : "s"}` +
+          (response.savedCount > 0
+            ? `; saved ${response.savedCount} for this page`
+            : ""),
+        response.errorCount > 0
+          ? NOTIFICATION_TYPES.WARNING
+          : NOTIFICATION_TYPES.SUCCESS,
+      );
+    } catch (error) {
+      this.log("error", "Applying mappings failed", error);
+      this.showError("Mapping Failed", error.message);
+    }
+  }
+
   /**
    * Loads snapshots from storage
    */
@@ -731,21 +1245,556 @@ class AngularFormSnapshotPopup {
       <div class="snapshot-info">
         <div class="snapshot-url">${urlPath}</div>
         <div>${snapshot.formCount || 0} controls</div>
+        <button class="icon-button snapshot-json-button" title="Download as JSON">
+          <span class="material-icons">data_object</span>
+        </button>
+        <button class="icon-button snapshot-yaml-button" title="Download as YAML">
+          <span class="material-icons">description</span>
+        </button>
+        <button class="icon-button snapshot-qr-button" title="Show QR code">
+          <span class="material-icons">qr_code_2</span>
+        </button>
       </div>
     `;
 
     item.addEventListener("click", () => {
-      this.restoreSnapshot(snapshot);
+      this.previewSnapshot(snapshot);
     });
 
+    item
+      .querySelector(".snapshot-qr-button")
+      .addEventListener("click", (event) => {
+        event.stopPropagation();
+        this.showSnapshotQrCode(snapshot);
+      });
+
+    item
+      .querySelector(".snapshot-json-button")
+      .addEventListener("click", (event) => {
+        event.stopPropagation();
+        this.downloadSnapshot(snapshot, "json");
+      });
+
+    item
+      .querySelector(".snapshot-yaml-button")
+      .addEventListener("click", (event) => {
+        event.stopPropagation();
+        this.downloadSnapshot(snapshot, "yaml");
+      });
+
     return item;
   }
 
+  /**
+   * Shows a stored snapshot as a QR code of its share link, so it can be
+   * opened on a phone. Uses the compact encoding to keep the code scannable,
+   * except for structured and framed snapshots, which only the full profile
+   * can carry.
+   * @param {Object} snapshot
+   */
+  async showSnapshotQrCode(snapshot) {
+    try {
+      const { DataEncoder, ENCODING_CONFIG } = window.AngularFormSnapshotUtils;
+      const { QRCode } = window.AngularFormSnapshotQR;
+
+      const response = await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.LOAD_SNAPSHOT,
+        data: { snapshotId: snapshot.id },
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || "Failed to load snapshot");
+      }
+
+      const passphrase = this.settings.encryptSnapshots
+        ? this.getPassphrase()
+        : "";
+      const { formControls, formGroups } = response.snapshot;
+      // Same rule as capture: the compact codec drops nested values and frame paths
+      const needsFullProfile =
+        formGroups?.length > 0 || formControls.some((control) => control.frame);
+      const encoded = await DataEncoder.encodeFormData(formControls, {
+        profile: needsFullProfile
+          ? ENCODING_CONFIG.PROFILES.FULL
+          : ENCODING_CONFIG.PROFILES.COMPACT,
+        passphrase: passphrase || undefined,
+        formGroups,
+      });
+      const shareUrl = DataEncoder.createShareUrl(
+        encoded,
+        response.snapshot.url || snapshot.url,
+      );
+      const qr = QRCode.encode(shareUrl);
+
+      const container = document.createElement("div");
+      container.className = "snapshot-qr";
+
+      const canvas = document.createElement("canvas");
+      QRCode.renderToCanvas(qr, canvas);
+
+      const caption = document.createElement("div");
+      caption.textContent =
+        `Scan to open ${new URL(shareUrl).pathname} with ${formControls.length} controls ` +
+        (formGroups?.length > 0 ? `and ${formGroups.length} structured forms ` : "") +
+        `(${this.formatBytes(shareUrl.length)}, QR version ${qr.version})` +
+        (passphrase ? ". The passphrase is asked for on the device." : "");
+
+      const link = document.createElement("input");
+      link.type = "text";
+      link.readOnly = true;
+      link.className = "text-input";
+      link.value = shareUrl;
+      link.addEventListener("focus", () => link.select());
+
+      container.append(canvas, caption, link);
+      this.elements.snapshotDetails?.replaceChildren(container);
+
+      this.activeSnapshot = snapshot;
+      this.showSnapshotModal();
+    } catch (error) {
+      this.log("error", "QR code export failed", error);
+      this.showError("QR Code Failed", error.message);
+    }
+  }
+
+  /**
+   * Downloads a stored snapshot as a human-readable JSON or YAML file
+   * @param {Object} snapshot
+   * @param {string} format - 'json' or 'yaml'
+   */
+  async downloadSnapshot(snapshot, format) {
+    try {
+      const { SnapshotFile, SNAPSHOT_FILE_FORMAT } =
+        window.AngularFormSnapshotFiles;
+
+      const response = await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.LOAD_SNAPSHOT,
+        data: { snapshotId: snapshot.id },
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || "Failed to load snapshot");
+      }
+
+      const content = SnapshotFile.serialize(response.snapshot, format);
+      const blob = new Blob([content], {
+        type: SNAPSHOT_FILE_FORMAT.MIME_TYPES[format],
+      });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = SnapshotFile.getFileName(response.snapshot, format);
+      link.click();
+
+      // Give the browser a moment to start the download before revoking
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      this.log("error", "Snapshot download failed", error);
+      this.showError("Download Failed", error.message);
+    }
+  }
+
+  /**
+   * Opens the file picker for a snapshot import. From the action popup it
+   * first reopens this page in a window of its own, tied to the current tab,
+   * because the popup closes when the file dialog opens and never sees the file.
+   */
+  async openSnapshotImport() {
+    if (this.importTabId) {
+      this.elements.importSnapshotInput?.click();
+      return;
+    }
+
+    try {
+      await chrome.windows.create({
+        url: chrome.runtime.getURL(
+          `src/popup/popup.html?importTab=${this.currentTab.id}`,
+        ),
+        type: "popup",
+        width: POPUP_CONFIG.IMPORT_WINDOW_WIDTH,
+        height: POPUP_CONFIG.IMPORT_WINDOW_HEIGHT,
+      });
+      window.close();
+    } catch (error) {
+      this.log("error", "Failed to open the import window", error);
+      this.showError("Import Failed", error.message);
+    }
+  }
+
+  /**
+   * Imports a JSON or YAML snapshot file and restores it into the current tab
+   * @param {Event} event
+   */
+  async importSnapshotFile(event) {
+    const input = event.target;
+    const file = input.files?.[0];
+    // Reset so choosing the same file again still fires change
+    input.value = "";
+
+    if (!file) return;
+
+    try {
+      const { SnapshotFile } = window.AngularFormSnapshotFiles;
+      const snapshot = SnapshotFile.parse(await file.text(), file.name);
+
+      if (!this.angularDetected) {
+        this.showNotification(
+          "File Is Valid",
+          `${file.name} matches the snapshot schema. Open the Angular application to restore it.`,
+          NOTIFICATION_TYPES.INFO,
+        );
+        return;
+      }
+
+      this.showLoading("Restoring imported snapshot...");
+
+      const response = await chrome.tabs.sendMessage(this.currentTab.id, {
+        type: MESSAGE_TYPES.RESTORE_FORMS,
+        data: {
+          snapshot,
+          source: "file_import",
+          fuzzy: this.settings.suggestMatches,
+        },
+      });
+
+      this.hideLoading();
+
+      if (response && response.success) {
+        await this.onFormsRestored(response);
+      } else {
+        throw new Error(response?.error || "Restore failed");
+      }
+    } catch (error) {
+      this.hideLoading();
+      this.log("error", "Snapshot import failed", error);
+      this.showError("Import Failed", error.message);
+    }
+  }
+
+  /**
+   * Dry-runs a stored snapshot against the page and shows what would change
+   * in the snapshot modal; its Restore button then restores for real
+   * @param {Object} snapshot
+   */
+  async previewSnapshot(snapshot) {
+    try {
+      if (!this.angularDetected) {
+        this.showNotification(
+          "No Angular Application",
+          "Please navigate to an Angular application first",
+          NOTIFICATION_TYPES.WARNING,
+        );
+        return;
+      }
+
+      this.showLoading("Checking snapshot...");
+
+      const response = await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.LOAD_SNAPSHOT,
+        data: { snapshotId: snapshot.id },
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || "Failed to load snapshot");
+      }
+
+      const previewResponse = await chrome.tabs.sendMessage(
+        this.currentTab.id,
+        {
+          type: MESSAGE_TYPES.RESTORE_FORMS,
+          data: { snapshot: response.snapshot, dryRun: true },
+        },
+      );
+
+      this.hideLoading();
+
+      if (!previewResponse || !previewResponse.success) {
+        throw new Error(previewResponse?.error || "Restore preview failed");
+      }
+
+      const selection = await this.createRestoreSelection(response.snapshot);
+      this.elements.snapshotDetails?.replaceChildren(
+        this.createRestorePreview(previewResponse),
+        selection.container,
+      );
+      if (this.elements.snapshotModalTitle) {
+        this.elements.snapshotModalTitle.textContent = "Restore Preview";
+      }
+      this.activeSnapshot = snapshot;
+      this.activeSelection = selection;
+      this.showSnapshotModal();
+    } catch (error) {
+      this.hideLoading();
+      this.log("error", "Restore preview failed", error);
+      this.showError("Preview Failed", error.message);
+    }
+  }
+
+  /**
+   * Builds the restore preview table from a dry-run RESTORE_FORMS response
+   * @param {Object} previewData - {preview, summary, resizedArrays}
+   * @returns {HTMLElement}
+   */
+  createRestorePreview(previewData) {
+    const { preview, summary, resizedArrays } = previewData;
+    const container = document.createElement("div");
+    container.className = "mapping-table restore-preview";
+
+    const intro = document.createElement("p");
+    intro.textContent =
+      `${summary.restore} will change, ${summary.unchanged} unchanged, ` +
+      `${summary.skip} skipped, ${summary.fail} will fail.`;
+    container.appendChild(intro);
+
+    if (resizedArrays?.length > 0) {
+      const arrays = document.createElement("p");
+      arrays.textContent = `Form arrays resized: ${resizedArrays
+        .map((entry) => `${entry.path} ${entry.from}→${entry.to}`)
+        .join(", ")}`;
+      container.appendChild(arrays);
+    }
+
+    const formatValue = (value) => {
+      if (value === null || value === undefined) return "—";
+      // Rich-text values show their plain text rather than the HTML
+      const richText = typeof value.html === "string" && typeof value.text === "string";
+      const text = typeof value === "string" ? value : richText ? value.text : JSON.stringify(value);
+      return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+    };
+    const outcomeLabels = {
+      restore: "Restore",
+      unchanged: "Unchanged",
+      skip: "Skip",
+      fail: "Fail",
+    };
+
+    const table = document.createElement("table");
+    const header = table.createTHead().insertRow();
+    ["Control", "Current", "Snapshot", "Match", "Result"].forEach((title) => {
+      const cell = document.createElement("th");
+      cell.textContent = title;
+      header.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    preview.forEach((entry) => {
+      const row = body.insertRow();
+      row.className = `preview-${entry.outcome}`;
+      row.insertCell().textContent = entry.control;
+      row.insertCell().textContent = formatValue(entry.currentValue);
+      row.insertCell().textContent = formatValue(entry.snapshotValue);
+      row.insertCell().textContent = entry.matchedBy
+        ? `${entry.matchedBy} (${Math.round(entry.confidence * 100)}%)`
+        : "—";
+      row.insertCell().textContent =
+        `${outcomeLabels[entry.outcome]}` +
+        (entry.strategy && entry.outcome === "restore"
+          ? ` via ${entry.strategy}`
+          : "") +
+        (entry.reason ? `: ${entry.reason}` : "");
+    });
+
+    container.appendChild(table);
+    return container;
+  }
+
+  /**
+   * Builds the "Fields to restore" checkbox tree for a snapshot payload, with
+   * the restore profiles saved for the current route
+   * @param {Object} snapshotData - Decoded snapshot payload
+   * @returns {Promise<{container: HTMLElement, leaves: HTMLInputElement[]}>}
+   */
+  async createRestoreSelection(snapshotData) {
+    const { RestoreSelection, DOMUtils } = window.AngularFormSnapshotUtils;
+    const route = DOMUtils.getRouteKey(this.currentTab.url);
+    const container = document.createElement("div");
+    container.className = "restore-selection";
+
+    const heading = document.createElement("h4");
+    heading.textContent = "Fields to restore";
+    container.appendChild(heading);
+
+    const leaves = [];
+    const parents = [];
+
+    // Parents reflect their children: checked, unchecked or indeterminate.
+    // Walking in reverse document order settles the deepest parents first.
+    const syncParents = () => {
+      [...parents].reverse().forEach(({ checkbox, list }) => {
+        const children = [...list.children].map((item) =>
+          item.querySelector(":scope > label > input"),
+        );
+        const checkedCount = children.filter((child) => child.checked).length;
+        const partial = children.some((child) => child.indeterminate);
+        checkbox.checked = checkedCount === children.length;
+        checkbox.indeterminate =
+          partial || (checkedCount > 0 && checkedCount < children.length);
+      });
+    };
+
+    const renderNode = (node) => {
+      const item = document.createElement("li");
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = true;
+      label.append(checkbox, document.createTextNode(node.label));
+      item.appendChild(label);
+
+      if (node.children.length > 0) {
+        const list = document.createElement("ul");
+        node.children.forEach((child) => list.appendChild(renderNode(child)));
+        item.appendChild(list);
+        parents.push({ checkbox, list });
+        checkbox.addEventListener("change", () => {
+          list.querySelectorAll("input").forEach((child) => {
+            child.checked = checkbox.checked;
+            child.indeterminate = false;
+          });
+          syncParents();
+        });
+      } else {
+        checkbox.dataset.key = node.key;
+        leaves.push(checkbox);
+        checkbox.addEventListener("change", syncParents);
+      }
+      return item;
+    };
+
+    const tree = document.createElement("ul");
+    tree.className = "selection-tree";
+    RestoreSelection.buildTree(snapshotData).forEach((root) =>
+      tree.appendChild(renderNode(root)),
+    );
+
+    const applyKeys = (keys) => {
+      const selected = keys ? new Set(keys) : null;
+      leaves.forEach((leaf) => {
+        leaf.checked = !selected || selected.has(leaf.dataset.key);
+      });
+      syncParents();
+    };
+
+    // Profile controls: pick, save and delete named selections for this route
+    const profileRow = document.createElement("div");
+    profileRow.className = "selection-profiles";
+    const profileSelect = document.createElement("select");
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.placeholder = "Profile name";
+    const saveButton = document.createElement("button");
+    saveButton.type = "button";
+    saveButton.className = "modal-button secondary";
+    saveButton.textContent = "Save";
+    const deleteButton = document.createElement("button");
+    deleteButton.type = "button";
+    deleteButton.className = "modal-button secondary";
+    deleteButton.textContent = "Delete";
+    profileRow.append(profileSelect, nameInput, saveButton, deleteButton);
+
+    let profiles = {};
+    const renderProfiles = (selectedName = "") => {
+      const options = [new Option("All fields", "")].concat(
+        Object.keys(profiles)
+          .sort()
+          .map((name) => new Option(name, name)),
+      );
+      profileSelect.replaceChildren(...options);
+      profileSelect.value = profiles[selectedName] ? selectedName : "";
+      deleteButton.disabled = !profileSelect.value;
+    };
+
+    const sendProfileMessage = async (type, data) => {
+      const response = await chrome.runtime.sendMessage({
+        type,
+        data: { route, ...data },
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || "Restore profile request failed");
+      }
+      profiles = response.profiles || {};
+    };
+
+    profileSelect.addEventListener("change", () => {
+      applyKeys(profiles[profileSelect.value]?.keys || null);
+      nameInput.value = profileSelect.value;
+      deleteButton.disabled = !profileSelect.value;
+    });
+
+    saveButton.addEventListener("click", async () => {
+      const name = nameInput.value.trim();
+      if (!name) {
+        nameInput.focus();
+        return;
+      }
+      try {
+        await sendProfileMessage(MESSAGE_TYPES.SAVE_RESTORE_PROFILE, {
+          name,
+          keys: leaves
+            .filter((leaf) => leaf.checked)
+            .map((leaf) => leaf.dataset.key),
+        });
+        renderProfiles(name);
+        this.showNotification(
+          "Profile Saved",
+          `Restore profile "${name}" saved for this page`,
+          NOTIFICATION_TYPES.SUCCESS,
+        );
+      } catch (error) {
+        this.log("error", "Failed to save restore profile", error);
+        this.showError("Save Failed", error.message);
+      }
+    });
+
+    deleteButton.addEventListener("click", async () => {
+      const name = profileSelect.value;
+      if (!name) return;
+      try {
+        await sendProfileMessage(MESSAGE_TYPES.DELETE_RESTORE_PROFILE, {
+          name,
+        });
+        nameInput.value = "";
+        renderProfiles();
+        applyKeys(null);
+      } catch (error) {
+        this.log("error", "Failed to delete restore profile", error);
+        this.showError("Delete Failed", error.message);
+      }
+    });
+
+    try {
+      await sendProfileMessage(MESSAGE_TYPES.LIST_RESTORE_PROFILES);
+    } catch (error) {
+      this.log("warn", "Failed to load restore profiles", error);
+    }
+    renderProfiles();
+
+    container.append(profileRow, tree);
+    return { container, leaves };
+  }
+
+  /**
+   * Reads the checked keys of the active selection tree
+   * @returns {string[]|null} Selected keys, or null when everything is selected
+   */
+  getSelectedRestoreKeys() {
+    if (!this.activeSelection) {
+      return null;
+    }
+    const { leaves } = this.activeSelection;
+    const keys = leaves
+      .filter((leaf) => leaf.checked)
+      .map((leaf) => leaf.dataset.key);
+    return keys.length === leaves.length ? null : keys;
+  }
+
   /**
    * Restores a specific snapshot
    * @param {Object} snapshot
+   * @param {string[]|null} [selection] - Keys to restore; all when omitted
    */
-  async restoreSnapshot(snapshot) {
+  async restoreSnapshot(snapshot, selection = null) {
     try {
       if (!this.angularDetected) {
         this.showNotification(
@@ -770,7 +1819,11 @@ class AngularFormSnapshotPopup {
           this.currentTab.id,
           {
             type: MESSAGE_TYPES.RESTORE_FORMS,
-            data: { snapshot: response.snapshot },
+            data: {
+              snapshot: response.snapshot,
+              fuzzy: this.settings.suggestMatches,
+              ...(selection && { selection }),
+            },
           },
         );
 
@@ -882,7 +1935,11 @@ class AngularFormSnapshotPopup {
       const versionText = detectionData.version
         ? `Angular ${detectionData.version}`
         : "Angular Application";
-      this.elements.angularVersionText.textContent = versionText;
+      // Shell pages that only host Angular in frames
+      const frameText = detectionData.frameCount
+        ? ` (in ${detectionData.frameCount} frame${detectionData.frameCount === 1 ? "" : "s"})`
+        : "";
+      this.elements.angularVersionText.textContent = versionText + frameText;
     }
   }
 
@@ -915,12 +1972,29 @@ class AngularFormSnapshotPopup {
       this.settings = {
         autoSave: this.elements.autoSaveOption?.checked || false,
         copyToClipboard: this.elements.copyToClipboardOption?.checked || false,
+        copyShareUrl: this.elements.copyShareUrlOption?.checked || false,
+        encryptSnapshots: this.elements.encryptSnapshotsOption?.checked || false,
+        splitParts: this.elements.splitPartsOption?.checked || false,
+        suggestMatches: this.elements.suggestMatchesOption?.checked || false,
         includeValidation:
           this.elements.includeValidationOption?.checked || false,
         compressionLevel: this.elements.compressionLevel?.value || "medium",
+        encodingProfile: this.elements.encodingProfile?.value || "full",
+        snapshotMode: this.elements.snapshotMode?.value || "flat",
+        captureScope:
+          this.elements.captureScope?.value || CAPTURE_SCOPES.PAGE,
+        captureScopeValue: this.elements.captureScopeInput?.value.trim() || "",
+        sizeStrategy: this.elements.sizeStrategy?.value || "auto",
       };
 
-      // Save to storage
+      this.updateCaptureScopeInput();
+
+      this.elements.passphraseInput?.classList.toggle(
+        "hidden",
+        !this.settings.encryptSnapshots,
+      );
+
+      // Save to storage (the passphrase itself is never persisted)
       await chrome.storage.local.set({ extension_settings: this.settings });
 
       this.log("debug", "Settings updated", this.settings);
@@ -929,6 +2003,25 @@ class AngularFormSnapshotPopup {
     }
   }
 
+  /**
+   * Formats a byte count for display
+   * @param {number} bytes
+   * @returns {string}
+   */
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /**
+   * Gets the passphrase typed for this popup session
+   * @returns {string}
+   */
+  getPassphrase() {
+    return this.elements.passphraseInput?.value || "";
+  }
+
   /**
    * Handles keyboard shortcuts
    * @param {KeyboardEvent} event
@@ -1106,6 +2199,16 @@ class AngularFormSnapshotPopup {
     if (this.elements.snapshotModalOverlay) {
       this.elements.snapshotModalOverlay.style.display = "none";
     }
+    this.activeSnapshot = null;
+    this.activeMapping = null;
+    this.activeSelection = null;
+    if (this.elements.snapshotModalTitle) {
+      this.elements.snapshotModalTitle.textContent = "Snapshot Details";
+    }
+    if (this.elements.snapshotModalRestore) {
+      this.elements.snapshotModalRestore.textContent = "Restore";
+      this.elements.snapshotModalRestore.classList.remove("hidden");
+    }
   }
 
   /**
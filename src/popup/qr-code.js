@@ -0,0 +1,559 @@
+/**
+ * Angular Form Snapshot - QR Code
+ * Local QR code generation for moving snapshots onto mobile devices
+ *
+ * @author Angular DevTools Team
+ * @version 1.0.0
+ * @description Byte-mode QR encoder (ISO/IEC 18004) with canvas rendering; runs fully offline
+ */
+
+"use strict";
+
+// ============================================================================
+// QR CODE CONSTANTS
+// ============================================================================
+
+const QR_CONFIG = {
+  MIN_VERSION: 1,
+  MAX_VERSION: 40,
+  MODE_BYTE: 0x4,
+  PAD_BYTES: [0xec, 0x11],
+  QUIET_ZONE: 4,
+};
+
+const QR_ERROR_CORRECTION = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+};
+
+// Indexed by error correction ordinal, then version (index 0 unused)
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+  [
+    -1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30,
+    28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30, 30,
+  ],
+  [
+    -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26,
+    26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+    28, 28, 28,
+  ],
+];
+
+const QR_ERROR_CORRECTION_BLOCKS = [
+  [
+    -1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10,
+    12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25,
+  ],
+  [
+    -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17,
+    17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+  ],
+];
+
+// ============================================================================
+// QR CODE ENCODER
+// ============================================================================
+
+class QRCode {
+  /**
+   * Encodes text as a QR code using the smallest version that fits
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {string} [options.errorCorrection] - 'M' (default) or 'L'; falls back to 'L' when 'M' does not fit
+   * @returns {{version: number, size: number, errorCorrection: string, modules: boolean[][]}}
+   */
+  static encode(text, options = {}) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    const levels =
+      options.errorCorrection === "L" ? ["L"] : ["M", "L"];
+
+    for (const level of levels) {
+      const version = this.findVersion(bytes.length, QR_ERROR_CORRECTION[level]);
+      if (version !== null) {
+        return new QRCode(version, level, bytes).toResult();
+      }
+    }
+
+    throw new Error(
+      `Text is too long for a QR code (${bytes.length} bytes, maximum ${this.getCapacity(QR_CONFIG.MAX_VERSION, QR_ERROR_CORRECTION.L)})`,
+    );
+  }
+
+  /**
+   * Draws an encoded QR code onto a canvas
+   * @param {{size: number, modules: boolean[][]}} qr
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} [options]
+   * @param {number} [options.scale] - Pixels per module
+   * @param {number} [options.margin] - Quiet zone in modules
+   */
+  static renderToCanvas(qr, canvas, options = {}) {
+    const scale = options.scale || 4;
+    const margin = options.margin ?? QR_CONFIG.QUIET_ZONE;
+    const dimension = (qr.size + margin * 2) * scale;
+
+    canvas.width = dimension;
+    canvas.height = dimension;
+
+    const context = canvas.getContext("2d");
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, dimension, dimension);
+    context.fillStyle = "#000000";
+
+    for (let y = 0; y < qr.size; y++) {
+      for (let x = 0; x < qr.size; x++) {
+        if (qr.modules[y][x]) {
+          context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+        }
+      }
+    }
+  }
+
+  /**
+   * Byte capacity of a version at an error correction level
+   * @param {number} version
+   * @param {Object} ecl
+   * @returns {number}
+   */
+  static getCapacity(version, ecl) {
+    const countBits = version <= 9 ? 8 : 16;
+    return Math.floor(
+      (this.getNumDataCodewords(version, ecl) * 8 - 4 - countBits) / 8,
+    );
+  }
+
+  static findVersion(byteLength, ecl) {
+    for (
+      let version = QR_CONFIG.MIN_VERSION;
+      version <= QR_CONFIG.MAX_VERSION;
+      version++
+    ) {
+      if (byteLength <= this.getCapacity(version, ecl)) {
+        return version;
+      }
+    }
+    return null;
+  }
+
+  static getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) {
+        result -= 36;
+      }
+    }
+    return result;
+  }
+
+  static getNumDataCodewords(version, ecl) {
+    return (
+      Math.floor(this.getNumRawDataModules(version) / 8) -
+      QR_ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] *
+        QR_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version]
+    );
+  }
+
+  // Reed-Solomon arithmetic over GF(2^8) with the QR polynomial 0x11D
+
+  static reedSolomonDivisor(degree) {
+    const result = new Array(degree - 1).fill(0);
+    result.push(1);
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = this.multiply(result[j], root);
+        if (j + 1 < result.length) {
+          result[j] ^= result[j + 1];
+        }
+      }
+      root = this.multiply(root, 0x02);
+    }
+    return result;
+  }
+
+  static reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, index) => {
+        result[index] ^= this.multiply(coefficient, factor);
+      });
+    }
+    return result;
+  }
+
+  static multiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z & 0xff;
+  }
+
+  /**
+   * @param {number} version
+   * @param {string} level
+   * @param {number[]} bytes
+   */
+  constructor(version, level, bytes) {
+    this.version = version;
+    this.level = level;
+    this.ecl = QR_ERROR_CORRECTION[level];
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () =>
+      new Array(this.size).fill(false),
+    );
+    this.isFunction = Array.from({ length: this.size }, () =>
+      new Array(this.size).fill(false),
+    );
+
+    this.drawFunctionPatterns();
+    this.drawCodewords(this.addErrorCorrection(this.buildDataCodewords(bytes)));
+    this.applyBestMask();
+  }
+
+  toResult() {
+    return {
+      version: this.version,
+      size: this.size,
+      errorCorrection: this.level,
+      modules: this.modules,
+    };
+  }
+
+  buildDataCodewords(bytes) {
+    const capacityBits =
+      QRCode.getNumDataCodewords(this.version, this.ecl) * 8;
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) {
+        bits.push((value >>> i) & 1);
+      }
+    };
+
+    append(QR_CONFIG.MODE_BYTE, 4);
+    append(bytes.length, this.version <= 9 ? 8 : 16);
+    bytes.forEach((byte) => append(byte, 8));
+
+    // Terminator, then pad to a byte boundary and fill with alternating pad bytes
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+    for (let i = 0; bits.length < capacityBits; i++) {
+      append(QR_CONFIG.PAD_BYTES[i % 2], 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+  }
+
+  addErrorCorrection(data) {
+    const numBlocks = QR_ERROR_CORRECTION_BLOCKS[this.ecl.ordinal][this.version];
+    const blockEccLength =
+      QR_ECC_CODEWORDS_PER_BLOCK[this.ecl.ordinal][this.version];
+    const rawCodewords = Math.floor(QRCode.getNumRawDataModules(this.version) / 8);
+    const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = QRCode.reedSolomonDivisor(blockEccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < numBlocks; i++) {
+      const block = data.slice(
+        offset,
+        offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1),
+      );
+      offset += block.length;
+      const ecc = QRCode.reedSolomonRemainder(block, divisor);
+      // Short blocks get a placeholder so all blocks interleave column by column
+      if (i < numShortBlocks) {
+        block.push(0);
+      }
+      blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+          result.push(block[i]);
+        }
+      });
+    }
+    return result;
+  }
+
+  setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    for (let i = 0; i < this.size; i++) {
+      this.setFunctionModule(6, i, i % 2 === 0);
+      this.setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    this.drawFinderPattern(3, 3);
+    this.drawFinderPattern(this.size - 4, 3);
+    this.drawFinderPattern(3, this.size - 4);
+
+    const positions = this.getAlignmentPatternPositions();
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        // Skip the three corners occupied by finder patterns
+        if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+          this.drawAlignmentPattern(x, y);
+        }
+      });
+    });
+
+    // Reserve the format areas now; real bits are written once the mask is chosen
+    this.drawFormatBits(0);
+    this.drawVersion();
+  }
+
+  drawFinderPattern(x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+          this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  drawAlignmentPattern(x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  getAlignmentPatternPositions() {
+    if (this.version === 1) {
+      return [];
+    }
+
+    const numAlign = Math.floor(this.version / 7) + 2;
+    const step =
+      Math.floor((this.version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let position = this.size - 7; result.length < numAlign; position -= step) {
+      result.splice(1, 0, position);
+    }
+    return result;
+  }
+
+  drawFormatBits(mask) {
+    const data = (this.ecl.formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+    // First copy, around the top-left finder
+    for (let i = 0; i <= 5; i++) {
+      this.setFunctionModule(8, i, bit(i));
+    }
+    this.setFunctionModule(8, 7, bit(6));
+    this.setFunctionModule(8, 8, bit(7));
+    this.setFunctionModule(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+      this.setFunctionModule(14 - i, 8, bit(i));
+    }
+
+    // Second copy, split between the other two finders
+    for (let i = 0; i < 8; i++) {
+      this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+      this.setFunctionModule(8, this.size - 15 + i, bit(i));
+    }
+    this.setFunctionModule(8, this.size - 8, true);
+  }
+
+  drawVersion() {
+    if (this.version < 7) {
+      return;
+    }
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, dark);
+      this.setFunctionModule(b, a, dark);
+    }
+  }
+
+  drawCodewords(codewords) {
+    let bitIndex = 0;
+
+    // Zigzag through two-module columns from the bottom-right, skipping the vertical timing line
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right === 6) {
+        right = 5;
+      }
+      for (let vertical = 0; vertical < this.size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? this.size - 1 - vertical : vertical;
+          if (!this.isFunction[y][x] && bitIndex < codewords.length * 8) {
+            this.modules[y][x] =
+              ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+            bitIndex++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && QRCode.maskApplies(mask, x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  static maskApplies(mask, x, y) {
+    switch (mask) {
+      case 0:
+        return (x + y) % 2 === 0;
+      case 1:
+        return y % 2 === 0;
+      case 2:
+        return x % 3 === 0;
+      case 3:
+        return (x + y) % 3 === 0;
+      case 4:
+        return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+      case 5:
+        return ((x * y) % 2) + ((x * y) % 3) === 0;
+      case 6:
+        return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+      default:
+        return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+    }
+  }
+
+  applyBestMask() {
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+
+    for (let mask = 0; mask < 8; mask++) {
+      this.applyMask(mask);
+      this.drawFormatBits(mask);
+      const penalty = this.getPenaltyScore();
+      if (penalty < bestPenalty) {
+        bestMask = mask;
+        bestPenalty = penalty;
+      }
+      // Masking is an XOR, so applying it again undoes it
+      this.applyMask(mask);
+    }
+
+    this.applyMask(bestMask);
+    this.drawFormatBits(bestMask);
+  }
+
+  /**
+   * Scores the current symbol with the four penalty rules of the spec; lower
+   * scores are easier for scanners to read
+   * @returns {number}
+   */
+  getPenaltyScore() {
+    const size = this.size;
+    const at = (x, y) => this.modules[y][x];
+    const finderLike = [true, false, true, true, true, false, true];
+    let penalty = 0;
+    let dark = 0;
+
+    for (let line = 0; line < size; line++) {
+      for (const horizontal of [true, false]) {
+        const get = (i) => (horizontal ? at(i, line) : at(line, i));
+        let run = 1;
+
+        for (let i = 1; i <= size; i++) {
+          if (i < size && get(i) === get(i - 1)) {
+            run++;
+            continue;
+          }
+          if (run >= 5) {
+            penalty += 3 + (run - 5);
+          }
+          run = 1;
+        }
+
+        // 1:1:3:1:1 finder-like pattern with four light modules on either side
+        for (let i = 0; i + 7 <= size; i++) {
+          if (!finderLike.every((value, k) => get(i + k) === value)) {
+            continue;
+          }
+          const lightBefore = [1, 2, 3, 4].every((k) => i - k < 0 || !get(i - k));
+          const lightAfter = [0, 1, 2, 3].every((k) => i + 7 + k >= size || !get(i + 7 + k));
+          if (lightBefore || lightAfter) {
+            penalty += 40;
+          }
+        }
+      }
+    }
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (at(x, y)) {
+          dark++;
+        }
+        if (
+          x + 1 < size &&
+          y + 1 < size &&
+          at(x, y) === at(x + 1, y) &&
+          at(x, y) === at(x, y + 1) &&
+          at(x, y) === at(x + 1, y + 1)
+        ) {
+          penalty += 3;
+        }
+      }
+    }
+
+    const total = size * size;
+    penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+
+    return penalty;
+  }
+}
+
+// ============================================================================
+// GLOBAL EXPORT
+// ============================================================================
+
+window.AngularFormSnapshotQR = { QRCode };
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { QRCode };
+}
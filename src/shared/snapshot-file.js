@@ -0,0 +1,611 @@
+/**
+ * Angular Form Snapshot - Snapshot Files
+ * Human-readable JSON and YAML export/import of form snapshots
+ *
+ * @author Angular DevTools Team
+ * @version 1.0.0
+ * @description Stable, documented file schema for snapshots that engineers can hand-edit and commit as fixtures
+ */
+
+'use strict';
+
+// ============================================================================
+// FILE SCHEMA
+// ============================================================================
+
+const SNAPSHOT_FILE_FORMAT = {
+  NAME: 'angular-form-snapshot',
+  SCHEMA_VERSION: 1,
+  FORMATS: {
+    JSON: 'json',
+    YAML: 'yaml'
+  },
+  MIME_TYPES: {
+    json: 'application/json',
+    yaml: 'application/yaml'
+  }
+};
+
+/**
+ * Schema for exported snapshot files, written as a JSON Schema (draft-07)
+ * subset. Files with the same `schemaVersion` keep this shape; any breaking
+ * change bumps the version. Example (YAML):
+ *
+ *   format: angular-form-snapshot
+ *   schemaVersion: 1
+ *   capturedAt: "2024-05-01T09:30:00.000Z"
+ *   url: "https://app.example.com/signup"
+ *   title: Sign up
+ *   controls:
+ *     - name: email
+ *       tagName: input
+ *       path: "html > body > app-root > form > input"
+ *       type: angular_form_control_name
+ *       value: "jane@example.com"
+ *
+ * Controls are matched on restore by their `identity` (reactive-form path,
+ * then name, id, label and position), or by name, id and aria-label when a
+ * file has none. Structured snapshots add `formGroups`, one
+ * nested value per root form, mirroring `FormGroup.getRawValue()`.
+ */
+const SNAPSHOT_FILE_SCHEMA = {
+  title: 'Angular Form Snapshot file',
+  type: 'object',
+  required: ['format', 'schemaVersion', 'controls'],
+  additionalProperties: false,
+  properties: {
+    format: { enum: [SNAPSHOT_FILE_FORMAT.NAME] },
+    schemaVersion: { enum: [SNAPSHOT_FILE_FORMAT.SCHEMA_VERSION] },
+    capturedAt: { type: 'string', format: 'date-time' },
+    url: { type: 'string' },
+    title: { type: 'string' },
+    controls: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'tagName', 'path', 'value'],
+        additionalProperties: false,
+        properties: {
+          name: { type: ['string', 'null'] },
+          tagName: { type: 'string' },
+          path: { type: 'string' },
+          type: { type: 'string' },
+          // Any JSON value: string, number, boolean, null, array or object
+          value: {},
+          attributes: { type: 'object', additionalProperties: { type: 'string' } },
+          validators: { type: 'array', items: { type: 'string' } },
+          metadata: { type: 'object' },
+          // Set to 'date' when the form model held a Date (stored as an ISO string)
+          valueType: { enum: ['date'] },
+          // Form model state at capture time, when read through Angular's debug APIs
+          state: { type: 'object' },
+          // Fields restore matches on, most reliable first: formPath (e.g. "items[2].qty"),
+          // name, id, label and ordinal; form and option scope formPath and radio buttons
+          identity: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              form: { type: ['string', 'null'] },
+              formPath: { type: ['string', 'null'] },
+              name: { type: ['string', 'null'] },
+              id: { type: ['string', 'null'] },
+              label: { type: ['string', 'null'] },
+              ordinal: { type: ['string', 'null'] },
+              option: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    formGroups: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['key', 'value'],
+        additionalProperties: false,
+        properties: {
+          // Form element id or name, or tag@index among the page's root forms
+          key: { type: 'string' },
+          path: { type: 'string' },
+          // 'angular' when read from the form model, 'dom' when rebuilt from control names
+          source: { enum: ['angular', 'dom'] },
+          value: { type: 'object' },
+          // Paths inside value that held Dates (stored as ISO strings)
+          datePaths: { type: 'array', items: { type: 'array', items: { type: 'string' } } }
+        }
+      }
+    }
+  }
+};
+
+// ============================================================================
+// SNAPSHOT FILES
+// ============================================================================
+
+class SnapshotFile {
+  /**
+   * Converts a decoded snapshot payload into the file shape
+   * @param {Object} snapshot - {timestamp, url, title, formControls}
+   * @returns {Object}
+   */
+  static fromSnapshot(snapshot) {
+    const file = {
+      format: SNAPSHOT_FILE_FORMAT.NAME,
+      schemaVersion: SNAPSHOT_FILE_FORMAT.SCHEMA_VERSION,
+      capturedAt: new Date(snapshot.timestamp || Date.now()).toISOString(),
+      url: snapshot.url || '',
+      title: snapshot.title || '',
+      controls: (snapshot.formControls || snapshot.forms || []).map(control => {
+        const entry = {
+          name: control.name ?? null,
+          tagName: control.tagName || '',
+          path: control.path || '',
+          type: control.type || '',
+          value: control.value ?? null
+        };
+
+        if (control.attributes) entry.attributes = control.attributes;
+        if (control.validators) entry.validators = control.validators;
+        if (control.metadata) entry.metadata = control.metadata;
+        if (control.valueType) entry.valueType = control.valueType;
+        if (control.state) entry.state = control.state;
+        if (control.identity) entry.identity = control.identity;
+
+        return entry;
+      })
+    };
+
+    if (snapshot.formGroups?.length > 0) {
+      file.formGroups = snapshot.formGroups.map(group => ({ ...group }));
+    }
+
+    return file;
+  }
+
+  /**
+   * Converts a validated file back into a snapshot payload for RESTORE_FORMS
+   * @param {Object} file
+   * @returns {Object}
+   */
+  static toSnapshot(file) {
+    const timestamp = file.capturedAt ? Date.parse(file.capturedAt) : Date.now();
+
+    return {
+      timestamp,
+      url: file.url || '',
+      title: file.title || '',
+      userAgent: '',
+      formControls: file.controls.map(control => ({ ...control })),
+      ...(file.formGroups ? { formGroups: file.formGroups.map(group => ({ ...group })) } : {})
+    };
+  }
+
+  /**
+   * Serializes a snapshot payload as JSON or YAML
+   * @param {Object} snapshot
+   * @param {string} format - 'json' or 'yaml'
+   * @returns {string}
+   */
+  static serialize(snapshot, format) {
+    const file = this.fromSnapshot(snapshot);
+
+    switch (format) {
+      case SNAPSHOT_FILE_FORMAT.FORMATS.JSON:
+        return `${JSON.stringify(file, null, 2)}\n`;
+      case SNAPSHOT_FILE_FORMAT.FORMATS.YAML:
+        return SnapshotYaml.stringify(file);
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  /**
+   * Parses and validates a snapshot file
+   * @param {string} text
+   * @param {string} [fileName] - Used to pick the parser; content is sniffed otherwise
+   * @returns {Object} Snapshot payload ready to restore
+   */
+  static parse(text, fileName = '') {
+    const trimmed = text.trim();
+    const isJson = /\.json$/i.test(fileName) || (!/\.ya?ml$/i.test(fileName) && trimmed.startsWith('{'));
+
+    let file;
+    try {
+      file = isJson ? JSON.parse(trimmed) : SnapshotYaml.parse(text);
+    } catch (error) {
+      throw new Error(`Could not parse ${isJson ? 'JSON' : 'YAML'} snapshot file: ${error.message}`);
+    }
+
+    const { valid, errors } = this.validate(file);
+    if (!valid) {
+      const error = new Error(`Snapshot file does not match the schema: ${errors.slice(0, 5).join('; ')}`);
+      error.context = { code: 'SCHEMA_INVALID', errors };
+      throw error;
+    }
+
+    return this.toSnapshot(file);
+  }
+
+  /**
+   * Validates a parsed file against SNAPSHOT_FILE_SCHEMA
+   * @param {*} file
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  static validate(file) {
+    const errors = [];
+    this.validateNode(file, SNAPSHOT_FILE_SCHEMA, '$', errors);
+    return { valid: errors.length === 0, errors };
+  }
+
+  static validateNode(value, schema, path, errors) {
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path}: expected one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+      return;
+    }
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const type = this.typeOf(value);
+      // As in JSON Schema, every integer is also a number
+      if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+        errors.push(`${path}: expected ${types.join(' or ')}, got ${this.typeOf(value)}`);
+        return;
+      }
+    }
+
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      errors.push(`${path}: expected an ISO 8601 date-time`);
+    }
+
+    if (schema.items && Array.isArray(value)) {
+      value.forEach((item, index) => this.validateNode(item, schema.items, `${path}[${index}]`, errors));
+    }
+
+    if (this.typeOf(value) === 'object') {
+      const properties = schema.properties || {};
+
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) {
+          errors.push(`${path}: missing required property "${key}"`);
+        }
+      });
+
+      Object.entries(value).forEach(([key, child]) => {
+        if (properties[key]) {
+          this.validateNode(child, properties[key], `${path}.${key}`, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}: unknown property "${key}"`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          this.validateNode(child, schema.additionalProperties, `${path}.${key}`, errors);
+        }
+      });
+    }
+  }
+
+  static typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  /**
+   * Builds a download file name for a snapshot
+   * @param {Object} snapshot
+   * @param {string} format
+   * @returns {string}
+   */
+  static getFileName(snapshot, format) {
+    const slug = (snapshot.title || 'form-snapshot')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40) || 'form-snapshot';
+    const stamp = new Date(snapshot.timestamp || Date.now()).toISOString().replace(/[:.]/g, '-');
+
+    return `${slug}-${stamp}.${format === SNAPSHOT_FILE_FORMAT.FORMATS.YAML ? 'yaml' : 'json'}`;
+  }
+}
+
+// ============================================================================
+// YAML
+// ============================================================================
+
+/**
+ * Minimal YAML support for snapshot files: block mappings and sequences,
+ * plain/quoted scalars, flow `[]`/`{}` collections, `|`/`>` block scalars and
+ * comments. Anchors, tags and multi-document streams are not supported.
+ */
+class SnapshotYaml {
+  /**
+   * @param {Object} value
+   * @returns {string}
+   */
+  static stringify(value) {
+    const lines = this.isBlock(value) ? this.emit(value, 0) : [this.formatScalar(value)];
+    return `${lines.join('\n')}\n`;
+  }
+
+  static emit(value, indent) {
+    const pad = ' '.repeat(indent);
+
+    if (Array.isArray(value)) {
+      return value.flatMap(item => {
+        if (!this.isBlock(item)) {
+          return [`${pad}- ${this.formatScalar(item)}`];
+        }
+        const lines = this.emit(item, indent + 2);
+        lines[0] = `${pad}- ${lines[0].trimStart()}`;
+        return lines;
+      });
+    }
+
+    return Object.entries(value).flatMap(([key, child]) =>
+      this.isBlock(child)
+        ? [`${pad}${this.formatKey(key)}:`, ...this.emit(child, indent + 2)]
+        : [`${pad}${this.formatKey(key)}: ${this.formatScalar(child)}`]
+    );
+  }
+
+  static isBlock(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+  }
+
+  static formatKey(key) {
+    return /^[A-Za-z_$][\w$.-]*$/.test(key) ? key : JSON.stringify(key);
+  }
+
+  static formatScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'boolean') return String(value);
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'null';
+    if (Array.isArray(value)) return '[]';
+    if (typeof value === 'object') return '{}';
+
+    // Plain only when it cannot be read back as anything but the same string
+    const plain = /^[A-Za-z_][\w./@-]*( [\w./@-]+)*$/.test(value) &&
+      !/^(true|false|null|yes|no|on|off|y|n)$/i.test(value);
+    return plain ? value : JSON.stringify(value);
+  }
+
+  /**
+   * @param {string} text
+   * @returns {*}
+   */
+  static parse(text) {
+    const rawLines = text.replace(/\r\n?/g, '\n').split('\n');
+    const entries = [];
+
+    rawLines.forEach((raw, lineNo) => {
+      const content = raw.trimStart();
+      if (content === '' || content.startsWith('#') || content === '---') {
+        return;
+      }
+      if (raw.slice(0, raw.length - content.length).includes('\t')) {
+        throw new Error(`line ${lineNo + 1}: tabs are not allowed for indentation`);
+      }
+      entries.push({ indent: raw.length - content.length, text: content.trimEnd(), lineNo });
+    });
+
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const state = { entries, rawLines };
+    const { value, next } = this.parseBlock(state, 0, entries[0].indent);
+
+    if (next < entries.length) {
+      throw new Error(`line ${entries[next].lineNo + 1}: unexpected indentation`);
+    }
+    return value;
+  }
+
+  static isSequenceItem(text) {
+    return text === '-' || text.startsWith('- ');
+  }
+
+  static parseBlock(state, index, indent) {
+    return this.isSequenceItem(state.entries[index].text)
+      ? this.parseSequence(state, index, indent)
+      : this.parseMapping(state, index, indent);
+  }
+
+  static parseSequence(state, index, indent) {
+    const { entries } = state;
+    const items = [];
+
+    while (index < entries.length && entries[index].indent === indent && this.isSequenceItem(entries[index].text)) {
+      const entry = entries[index];
+      const rest = entry.text.slice(1).trimStart();
+
+      if (rest === '') {
+        const child = this.parseNested(state, index, indent);
+        items.push(child.value);
+        index = child.next;
+      } else if (this.isSequenceItem(rest) || this.splitKey(rest)) {
+        // Inline start of a nested collection: treat the rest as a line at its own column
+        const column = indent + (entry.text.length - rest.length);
+        entries[index] = { ...entry, indent: column, text: rest };
+        const child = this.parseBlock(state, index, column);
+        items.push(child.value);
+        index = child.next;
+      } else {
+        const scalar = this.parseValue(state, index, rest, indent);
+        items.push(scalar.value);
+        index = scalar.next;
+      }
+    }
+
+    return { value: items, next: index };
+  }
+
+  static parseMapping(state, index, indent) {
+    const { entries } = state;
+    const result = {};
+
+    while (index < entries.length && entries[index].indent === indent && !this.isSequenceItem(entries[index].text)) {
+      const entry = entries[index];
+      const pair = this.splitKey(entry.text);
+      if (!pair) {
+        throw new Error(`line ${entry.lineNo + 1}: expected "key: value"`);
+      }
+
+      if (pair.rest === '') {
+        const child = this.parseNested(state, index, indent, true);
+        result[pair.key] = child.value;
+        index = child.next;
+      } else {
+        const scalar = this.parseValue(state, index, pair.rest, indent);
+        result[pair.key] = scalar.value;
+        index = scalar.next;
+      }
+    }
+
+    return { value: result, next: index };
+  }
+
+  static parseNested(state, index, indent, allowSameIndentSequence = false) {
+    const next = state.entries[index + 1];
+    if (next && (next.indent > indent || (allowSameIndentSequence && next.indent === indent && this.isSequenceItem(next.text)))) {
+      return this.parseBlock(state, index + 1, next.indent);
+    }
+    return { value: null, next: index + 1 };
+  }
+
+  static splitKey(text) {
+    let key;
+    let rest;
+
+    if (text.startsWith('"') || text.startsWith("'")) {
+      const end = this.findClosingQuote(text);
+      if (end < 0 || !/^:(\s|$)/.test(text.slice(end + 1))) return null;
+      key = this.parseScalar(text.slice(0, end + 1));
+      rest = text.slice(end + 2);
+    } else {
+      const match = /^([^:#]+?):(?:\s|$)/.exec(text);
+      if (!match) return null;
+      key = match[1];
+      rest = text.slice(match[0].length);
+    }
+
+    return { key: String(key), rest: this.stripComment(rest.trim()) };
+  }
+
+  static findClosingQuote(text) {
+    const quote = text[0];
+    for (let i = 1; i < text.length; i++) {
+      if (quote === '"' && text[i] === '\\') {
+        i++;
+      } else if (text[i] === quote) {
+        if (quote === "'" && text[i + 1] === "'") {
+          i++;
+        } else {
+          return i;
+        }
+      }
+    }
+    return -1;
+  }
+
+  static stripComment(text) {
+    if (text.startsWith('"') || text.startsWith("'")) {
+      const end = this.findClosingQuote(text);
+      return end < 0 ? text : text.slice(0, end + 1);
+    }
+    const index = text.search(/(^|\s)#/);
+    return index < 0 ? text : text.slice(0, index).trimEnd();
+  }
+
+  static parseValue(state, index, text, indent) {
+    if (/^[|>][+-]?$/.test(text)) {
+      return this.parseBlockScalar(state, index, text, indent);
+    }
+    return { value: this.parseScalar(text), next: index + 1 };
+  }
+
+  static parseBlockScalar(state, index, indicator, indent) {
+    const { entries, rawLines } = state;
+    const startLine = entries[index].lineNo + 1;
+    const lines = [];
+    let lineNo = startLine;
+
+    for (; lineNo < rawLines.length; lineNo++) {
+      const raw = rawLines[lineNo];
+      if (raw.trim() !== '' && raw.length - raw.trimStart().length <= indent) {
+        break;
+      }
+      lines.push(raw);
+    }
+
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+      lines.pop();
+    }
+
+    const blockIndent = Math.min(...lines.filter(line => line.trim()).map(line => line.length - line.trimStart().length));
+    const body = lines.map(line => line.slice(blockIndent));
+    // Folded scalars join lines with spaces; blank lines become line breaks
+    let value = indicator.startsWith('>')
+      ? body.reduce((text, line, i) => {
+        if (line === '') return `${text}\n`;
+        return i === 0 || body[i - 1] === '' ? text + line : `${text} ${line}`;
+      }, '')
+      : body.join('\n');
+
+    if (!indicator.endsWith('-') && value !== '') {
+      value += '\n';
+    }
+
+    let next = index + 1;
+    while (next < entries.length && entries[next].lineNo < lineNo) {
+      next++;
+    }
+    return { value, next };
+  }
+
+  static parseScalar(text) {
+    const value = this.stripComment(text.trim());
+
+    if (value === '' || value === '~' || value === 'null' || value === 'Null' || value === 'NULL') return null;
+    if (/^(true|True|TRUE)$/.test(value)) return true;
+    if (/^(false|False|FALSE)$/.test(value)) return false;
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) return Number(value);
+
+    if (value.startsWith('"')) {
+      return JSON.parse(value);
+    }
+    if (value.startsWith("'")) {
+      return value.slice(1, -1).replace(/''/g, "'");
+    }
+
+    if (value.startsWith('[') || value.startsWith('{')) {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        if (value.startsWith('[') && value.endsWith(']')) {
+          const inner = value.slice(1, -1).trim();
+          return inner === '' ? [] : inner.split(',').map(item => this.parseScalar(item));
+        }
+        throw new Error(`unsupported flow collection ${value}`);
+      }
+    }
+
+    return value;
+  }
+}
+
+// ============================================================================
+// GLOBAL EXPORT
+// ============================================================================
+
+self.AngularFormSnapshotFiles = {
+  SnapshotFile,
+  SnapshotYaml,
+  SNAPSHOT_FILE_FORMAT,
+  SNAPSHOT_FILE_SCHEMA
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SnapshotFile, SnapshotYaml, SNAPSHOT_FILE_FORMAT, SNAPSHOT_FILE_SCHEMA };
+}
@@ -0,0 +1,163 @@
+/**
+ * Angular Form Snapshot - Snapshot Migrations
+ * Forward migrations for snapshot payloads written by older releases
+ *
+ * @author Angular DevTools Team
+ * @version 1.0.0
+ * @description Versioned migration registry shared by the content scripts and the service worker
+ */
+
+'use strict';
+
+// ============================================================================
+// MIGRATION REGISTRY
+// ============================================================================
+
+/**
+ * Ordered migration steps. Each step upgrades a decoded snapshot payload from
+ * one schema version to the next; a payload is upgraded by chaining steps until
+ * it reaches the requested version.
+ */
+const SNAPSHOT_MIGRATIONS = [
+  {
+    // Service worker storage before schema versioning kept a bare array of controls
+    from: '0',
+    to: '1.0',
+    description: 'Wrap legacy stored control arrays in a snapshot payload',
+    migrate(payload, context = {}) {
+      const formControls = Array.isArray(payload) ? payload : payload.formControls || [];
+
+      return {
+        version: '1.0',
+        timestamp: context.timestamp || Date.now(),
+        url: context.url || '',
+        title: context.title || '',
+        userAgent: context.userAgent || '',
+        formControls
+      };
+    }
+  }
+];
+
+/**
+ * Schema versions written for a shape another version already describes.
+ * Some releases tagged payloads with the encoded header version, so '1.1'
+ * payloads have the 1.0 shape. Steps are only registered when the shape changes.
+ */
+const SNAPSHOT_SCHEMA_ALIASES = {
+  '1.1': '1.0'
+};
+
+// ============================================================================
+// MIGRATOR
+// ============================================================================
+
+class SnapshotMigrator {
+  /**
+   * Registers an additional migration step
+   * @param {{from: string, to: string, description: string, migrate: Function}} step
+   */
+  static register(step) {
+    if (!step || !step.from || !step.to || typeof step.migrate !== 'function') {
+      throw new Error('Invalid migration step');
+    }
+    if (SNAPSHOT_MIGRATIONS.some(existing => existing.from === step.from)) {
+      throw new Error(`Migration from version ${step.from} is already registered`);
+    }
+    SNAPSHOT_MIGRATIONS.push(step);
+  }
+
+  /**
+   * Maps a schema version to the version whose shape it has
+   * @param {string} version
+   * @returns {string}
+   */
+  static resolveVersion(version) {
+    return SNAPSHOT_SCHEMA_ALIASES[version] || version;
+  }
+
+  /**
+   * Resolves the ordered steps needed to go from one version to another
+   * @param {string} fromVersion
+   * @param {string} toVersion
+   * @returns {Array|null} Steps to apply, or null when no path exists
+   */
+  static getMigrationPath(fromVersion, toVersion) {
+    const path = [];
+    const target = this.resolveVersion(toVersion);
+    let version = this.resolveVersion(fromVersion);
+
+    while (version !== target) {
+      const step = SNAPSHOT_MIGRATIONS.find(candidate => candidate.from === version);
+      if (!step || path.includes(step)) {
+        return null;
+      }
+      path.push(step);
+      version = step.to;
+    }
+
+    return path;
+  }
+
+  /**
+   * Checks whether a payload of the given version can be upgraded
+   * @param {string} fromVersion
+   * @param {string} toVersion
+   * @returns {boolean}
+   */
+  static canMigrate(fromVersion, toVersion) {
+    return this.getMigrationPath(fromVersion, toVersion) !== null;
+  }
+
+  /**
+   * Upgrades a decoded payload step by step
+   * @param {Object|Array} payload
+   * @param {string} fromVersion
+   * @param {string} toVersion
+   * @param {Object} context - Extra data a step may need (e.g. stored entry fields)
+   * @returns {{payload: Object, applied: string[]}}
+   */
+  static migrate(payload, fromVersion, toVersion, context = {}) {
+    const path = this.getMigrationPath(fromVersion, toVersion);
+    if (!path) {
+      throw new Error(`No migration path from version ${fromVersion} to ${toVersion}`);
+    }
+
+    let migrated = payload;
+    const applied = [];
+
+    for (const step of path) {
+      try {
+        migrated = step.migrate(migrated, context);
+        migrated.version = step.to;
+        applied.push(`${step.from}->${step.to}`);
+      } catch (error) {
+        throw new Error(`Migration ${step.from} -> ${step.to} failed: ${error.message}`);
+      }
+    }
+
+    // An alias of the target needs no step, only the target's version tag
+    if (path.length === 0 && fromVersion !== toVersion && migrated && typeof migrated === 'object') {
+      migrated.version = toVersion;
+    }
+
+    return { payload: migrated, applied };
+  }
+}
+
+// ============================================================================
+// GLOBAL EXPORT
+// ============================================================================
+
+// `self` resolves to the page window in content scripts and to the worker
+// global scope in the service worker
+self.AngularFormSnapshotMigrations = {
+  SnapshotMigrator,
+  SNAPSHOT_MIGRATIONS,
+  SNAPSHOT_SCHEMA_ALIASES
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SnapshotMigrator, SNAPSHOT_MIGRATIONS, SNAPSHOT_SCHEMA_ALIASES };
+}
@@ -0,0 +1,108 @@
+/* eslint-env jest, node */
+
+const { SnapshotMigrator } = require('./snapshot-migrations');
+
+// Stored entry written before schema versioning: the payload was a bare array
+const LEGACY_ENTRY = {
+  id: 'snapshot_1600000000000_abc123def',
+  tabId: 7,
+  url: 'https://app.example.com/orders/42',
+  title: 'Order 42',
+  timestamp: 1600000000000
+};
+
+const LEGACY_PAYLOAD = [
+  { id: 'email', type: 'email', name: 'email', value: 'ada@example.com', tagName: 'INPUT' },
+  { id: 'qty', type: 'number', name: 'qty', value: '3', tagName: 'INPUT' }
+];
+
+const V1_0_PAYLOAD = {
+  version: '1.0',
+  timestamp: 1650000000000,
+  url: 'https://app.example.com/profile',
+  title: 'Profile',
+  userAgent: 'Mozilla/5.0',
+  formControls: [{ id: 'name', type: 'text', name: 'name', value: 'Ada', tagName: 'INPUT' }]
+};
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+describe('SnapshotMigrator', () => {
+  describe('getMigrationPath', () => {
+    test('chains steps from the legacy schema to the current one', () => {
+      const path = SnapshotMigrator.getMigrationPath('0', '1.0');
+      expect(path.map(step => `${step.from}->${step.to}`)).toEqual(['0->1.0']);
+    });
+
+    test('is empty when already at the target version', () => {
+      expect(SnapshotMigrator.getMigrationPath('1.0', '1.0')).toEqual([]);
+    });
+
+    test('treats 1.1 payloads as the 1.0 shape', () => {
+      expect(SnapshotMigrator.resolveVersion('1.1')).toBe('1.0');
+      expect(SnapshotMigrator.getMigrationPath('1.1', '1.0')).toEqual([]);
+      expect(SnapshotMigrator.getMigrationPath('0', '1.1').map(step => step.to)).toEqual(['1.0']);
+    });
+
+    test('is null for unknown versions', () => {
+      expect(SnapshotMigrator.getMigrationPath('9.9', '1.0')).toBeNull();
+      expect(SnapshotMigrator.canMigrate('9.9', '1.0')).toBe(false);
+    });
+  });
+
+  describe('migrate', () => {
+    test('wraps a 0.x stored array using the entry fields', () => {
+      const { payload, applied } = SnapshotMigrator.migrate(clone(LEGACY_PAYLOAD), '0', '1.0', LEGACY_ENTRY);
+
+      expect(applied).toEqual(['0->1.0']);
+      expect(payload).toEqual({
+        version: '1.0',
+        timestamp: LEGACY_ENTRY.timestamp,
+        url: LEGACY_ENTRY.url,
+        title: LEGACY_ENTRY.title,
+        userAgent: '',
+        formControls: LEGACY_PAYLOAD
+      });
+    });
+
+    test('leaves a 1.0 payload unchanged', () => {
+      const { payload, applied } = SnapshotMigrator.migrate(clone(V1_0_PAYLOAD), '1.0', '1.0');
+
+      expect(applied).toEqual([]);
+      expect(payload).toEqual(V1_0_PAYLOAD);
+    });
+
+    test('retags a 1.1 payload as 1.0 without changing its fields', () => {
+      const { payload, applied } = SnapshotMigrator.migrate({ ...clone(V1_0_PAYLOAD), version: '1.1' }, '1.1', '1.0');
+
+      expect(applied).toEqual([]);
+      expect(payload).toEqual(V1_0_PAYLOAD);
+    });
+
+    test('throws when there is no path', () => {
+      expect(() => SnapshotMigrator.migrate(clone(V1_0_PAYLOAD), '2.0', '1.0'))
+        .toThrow('No migration path from version 2.0 to 1.0');
+    });
+  });
+
+  describe('register', () => {
+    test('rejects incomplete steps and a second step from the same version', () => {
+      expect(() => SnapshotMigrator.register({ from: '1.0', to: '1.2' })).toThrow('Invalid migration step');
+      expect(() => SnapshotMigrator.register({ from: '0', to: '1.0', migrate: payload => payload }))
+        .toThrow('Migration from version 0 is already registered');
+    });
+
+    test('reports the failing step when a migration throws', () => {
+      SnapshotMigrator.register({
+        from: '0.5',
+        to: '1.0',
+        description: 'Always fails',
+        migrate() {
+          throw new Error('bad payload');
+        }
+      });
+
+      expect(() => SnapshotMigrator.migrate({}, '0.5', '1.0')).toThrow('Migration 0.5 -> 1.0 failed: bad payload');
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest, node */
+
+// Node provides the streams, Blob, Response and Web Crypto the encoder uses;
+// the page globals it reads are set up by hand
+global.window = global;
+global.self = global;
+global.location = new URL('https://app.example.com/orders/42');
+global.document = { title: 'Order 42' };
+global.navigator = { userAgent: 'jest' };
+
+require('./snapshot-migrations');
+require('./utils');
+
+const { DataEncoder, ENCODING_CONFIG } = window.AngularFormSnapshotUtils;
+
+const KB = 1024;
+const SIZES = [
+  ['1 KB', KB],
+  ['100 KB', 100 * KB],
+  ['5 MB', ENCODING_CONFIG.MAX_SNAPSHOT_SIZE]
+];
+const WORDS = ['order', 'customer', 'street', 'invoice', 'shipping', 'quantity', 'notes', 'express', 'pending'];
+
+/**
+ * Text that compresses like real form values: repeated words in a
+ * pseudo-random order
+ */
+function makeText(length, seed = 1) {
+  let state = seed;
+  let text = '';
+  while (text.length < length) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    text += `${WORDS[state % WORDS.length]} `;
+  }
+  return text.slice(0, length);
+}
+
+/** Bytes with no redundancy, which gzip can only make larger */
+function makeRandomBytes(length) {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i += 65536) {
+    crypto.getRandomValues(bytes.subarray(i, Math.min(i + 65536, length)));
+  }
+  return bytes;
+}
+
+// Room for the JSON fields around each value
+const CONTROL_OVERHEAD = 128;
+
+/** Controls whose payload adds up to about `size` bytes */
+function makeControls(size) {
+  const valueLength = Math.min(size, 4 * KB);
+  const count = Math.max(1, Math.floor(size / (valueLength + CONTROL_OVERHEAD)));
+  return Array.from({ length: count }, (_, index) => ({
+    id: `field${index}`,
+    type: 'textarea',
+    name: `field${index}`,
+    value: makeText(valueLength, index + 1),
+    tagName: 'TEXTAREA'
+  }));
+}
+
+describe('DataEncoder compression', () => {
+  test.each(SIZES)('compressData round-trips %s', async (label, size) => {
+    const text = makeText(size);
+    const bytes = new TextEncoder().encode(text);
+
+    const compressed = await DataEncoder.compressData(bytes);
+    const restored = await DataEncoder.decompressData(compressed);
+
+    expect(compressed.length).toBeLessThan(bytes.length);
+    // Compared as text; element-wise equality on megabytes of bytes is slow
+    expect(new TextDecoder().decode(restored)).toBe(text);
+  });
+
+  test('packBytes leaves payloads below the threshold uncompressed', async () => {
+    const bytes = new TextEncoder().encode(makeText(ENCODING_CONFIG.COMPRESSION_THRESHOLD - 1));
+
+    const packed = await DataEncoder.packBytes(bytes);
+
+    expect(packed.compressed).toBe(false);
+    expect(packed.bytes).toBe(bytes);
+  });
+
+  test('packBytes leaves payloads over the size limit uncompressed so they get reduced instead', async () => {
+    const bytes = new TextEncoder().encode(makeText(ENCODING_CONFIG.MAX_SNAPSHOT_SIZE + KB));
+
+    const packed = await DataEncoder.packBytes(bytes);
+
+    expect(packed.compressed).toBe(false);
+  });
+
+  test.each(SIZES)('packBytes keeps %s of incompressible data as it is', async (label, size) => {
+    const bytes = makeRandomBytes(size);
+
+    const packed = await DataEncoder.packBytes(bytes);
+
+    expect(packed.compressed).toBe(false);
+    expect(packed.bytes).toBe(bytes);
+  });
+});
+
+describe('DataEncoder encode/decode', () => {
+  test.each(SIZES)('round-trips %s of form values with the compressed flag', async (label, size) => {
+    const controls = makeControls(size);
+
+    const encoded = await DataEncoder.encodeFormData(controls);
+    const { version, flags } = DataEncoder.parseEncodedData(encoded);
+    const decoded = await DataEncoder.decodeFormData(encoded);
+
+    expect(version).toBe(ENCODING_CONFIG.VERSION);
+    expect(flags).toContain(ENCODING_CONFIG.FLAGS.COMPRESSED);
+    expect(encoded.length).toBeLessThanOrEqual(ENCODING_CONFIG.MAX_SNAPSHOT_SIZE);
+    expect(decoded.url).toBe('https://app.example.com/orders/42');
+    expect(decoded.formControls.map(control => control.value)).toEqual(controls.map(control => control.value));
+  });
+
+  test('round-trips a small snapshot without the compressed flag', async () => {
+    const controls = [{ id: 'email', type: 'email', name: 'email', value: 'ada@example.com', tagName: 'INPUT' }];
+
+    const encoded = await DataEncoder.encodeFormData(controls);
+    const { flags } = DataEncoder.parseEncodedData(encoded);
+    const decoded = await DataEncoder.decodeFormData(encoded);
+
+    expect(flags).not.toContain(ENCODING_CONFIG.FLAGS.COMPRESSED);
+    expect(decoded.formControls[0].value).toBe('ada@example.com');
+  });
+
+  test('round-trips the compact profile with the compressed flag', async () => {
+    const controls = makeControls(100 * KB);
+
+    const encoded = await DataEncoder.encodeFormData(controls, { profile: ENCODING_CONFIG.PROFILES.COMPACT });
+    const { flags } = DataEncoder.parseEncodedData(encoded);
+    const decoded = await DataEncoder.decodeFormData(encoded);
+
+    expect(flags).toBe(`${ENCODING_CONFIG.FLAGS.COMPACT}${ENCODING_CONFIG.FLAGS.COMPRESSED}`);
+    expect(decoded.formControls.map(control => control.value)).toEqual(controls.map(control => control.value));
+  });
+
+  test('decodes a 1.0 header and a payload tagged 1.1 as the 1.0 schema', async () => {
+    const controls = [{ id: 'email', type: 'email', name: 'email', value: 'ada@example.com', tagName: 'INPUT' }];
+    const payload = { version: '1.1', timestamp: 1, url: 'https://app.example.com/', title: 'Old', userAgent: '', formControls: controls };
+    const data = DataEncoder.bytesToBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+    // 1.0 strings had no flags field: version|checksum|payload
+    const encoded = ['1.0', await DataEncoder.calculateChecksum(data), data].join(ENCODING_CONFIG.SEPARATOR);
+
+    const decoded = await DataEncoder.decodeFormData(encoded);
+
+    expect(decoded.version).toBe(ENCODING_CONFIG.SCHEMA_VERSION);
+    expect(decoded.formControls).toEqual(controls);
+  });
+
+  test('rejects a compressed payload that inflates past the size limit', async () => {
+    const payload = new TextEncoder().encode(' '.repeat(ENCODING_CONFIG.MAX_SNAPSHOT_SIZE + KB));
+    const data = DataEncoder.bytesToBase64Url(await DataEncoder.compressData(payload));
+    const encoded = [ENCODING_CONFIG.VERSION, ENCODING_CONFIG.FLAGS.COMPRESSED, await DataEncoder.calculateChecksum(data), data]
+      .join(ENCODING_CONFIG.SEPARATOR);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(data.length).toBeLessThan(100 * KB);
+    await expect(DataEncoder.decodeFormData(encoded)).rejects.toThrow('Decompressed snapshot exceeds the size limit');
+    console.error.mockRestore();
+  });
+
+  test('rejects a snapshot whose payload was altered', async () => {
+    const encoded = await DataEncoder.encodeFormData(makeControls(KB));
+    const tampered = `${encoded.slice(0, -4)}AAAA`;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(DataEncoder.decodeFormData(tampered)).rejects.toThrow('Data integrity check failed');
+    console.error.mockRestore();
+  });
+});
@@ -20,6 +20,9 @@ const ANGULAR_GLOBALS = [
   'ngDevMode'
 ];
 
+// Form roots recognizable from markup alone; see FormControlInspector.isFormGroupRoot
+const FORM_ROOT_SELECTOR = 'form, [formGroup], [ng-reflect-form]';
+
 const FORM_CONTROL_SELECTORS = [
   '[formcontrolname]',
   '[formControl]',
@@ -29,15 +32,147 @@ const FORM_CONTROL_SELECTORS = [
   'textarea[name]',
   'mat-form-field input',
   'mat-form-field select',
-  'mat-form-field textarea'
+  'mat-form-field textarea',
+  '[contenteditable]'
 ];
 
 const ENCODING_CONFIG = {
-  VERSION: '1.0',
+  // Encoded header format, written in front of every snapshot string
+  VERSION: '1.1',
+  // Header formats decodeFormData still reads; 1.0 had no compressed flag
+  SUPPORTED_VERSIONS: ['1.0', '1.1'],
+  // Shape of the decoded payload; only changes with a new migration step
+  SCHEMA_VERSION: '1.0',
   SEPARATOR: '|',
+  FLAGS: {
+    ENCRYPTED: 'e',
+    COMPACT: 'c',
+    COMPRESSED: 'z'
+  },
+  PROFILES: {
+    FULL: 'full',
+    COMPACT: 'compact'
+  },
+  ENCRYPTION: {
+    ALGORITHM: 'AES-GCM',
+    KEY_LENGTH: 256,
+    KDF_ITERATIONS: 250000,
+    KDF_HASH: 'SHA-256',
+    SALT_LENGTH: 16,
+    IV_LENGTH: 12
+  },
   COMPRESSION_THRESHOLD: 1024,
-  MAX_SNAPSHOT_SIZE: 5 * 1024 * 1024, // 5MB
-  CHECKSUM_ALGORITHM: 'SHA-256'
+  MAX_SNAPSHOT_SIZE: 5 * 1024 * 1024, // 5MB, measured in encoded characters
+  SIZE_STRATEGIES: {
+    AUTO: 'auto',
+    NONE: 'none',
+    EXCLUDE_FILE_HIDDEN: 'exclude_file_hidden',
+    DROP_METADATA: 'drop_metadata',
+    DROP_ATTRIBUTES: 'drop_attributes',
+    SPLIT_CHUNKS: 'split_chunks'
+  },
+  CHECKSUM_ALGORITHM: 'SHA-256',
+  URL_FRAGMENT_KEY: 'ngsnap',
+  PARTS: {
+    PREFIX: 'ngpart',
+    DEFAULT_SIZE: 2000, // Characters of snapshot data per part
+    ID_LENGTH: 8
+  }
+};
+
+/**
+ * Ways to shrink an oversized snapshot, least lossy first. Attributes and
+ * metadata are not part of the compact payload, so those steps only help the
+ * full profile.
+ */
+const SIZE_REDUCTIONS = [
+  {
+    strategy: ENCODING_CONFIG.SIZE_STRATEGIES.EXCLUDE_FILE_HIDDEN,
+    fullProfileOnly: false,
+    apply: controls => controls.filter(control => !['file', 'hidden'].includes(control.attributes?.type))
+  },
+  {
+    strategy: ENCODING_CONFIG.SIZE_STRATEGIES.DROP_METADATA,
+    fullProfileOnly: true,
+    apply: controls => controls.map(control => {
+      const reduced = { ...control };
+      delete reduced.metadata;
+      return reduced;
+    })
+  },
+  {
+    strategy: ENCODING_CONFIG.SIZE_STRATEGIES.DROP_ATTRIBUTES,
+    fullProfileOnly: true,
+    apply: controls => controls.map(control => {
+      const reduced = { ...control };
+      delete reduced.attributes;
+      return reduced;
+    })
+  }
+];
+
+/**
+ * Identity fields used to match snapshot controls to live ones, most reliable
+ * first, with the confidence reported for a unique match on each field
+ */
+const CONTROL_MATCH_RANKS = [
+  { field: 'formPath', confidence: 1 },
+  { field: 'name', confidence: 0.9 },
+  { field: 'id', confidence: 0.8 },
+  { field: 'label', confidence: 0.6 },
+  { field: 'ordinal', confidence: 0.3 }
+];
+
+// User-confirmed mappings rank just below an exact form-path match
+const MAPPED_MATCH_CONFIDENCE = 0.95;
+
+/**
+ * Fuzzy candidate scoring for controls left over after exact matching. Each
+ * feature scores 0..1 and is weighted; candidates below MIN_SCORE are dropped.
+ */
+const FUZZY_MATCH = {
+  WEIGHTS: {
+    label: 0.4,
+    placeholder: 0.2,
+    type: 0.2,
+    position: 0.2
+  },
+  MIN_SCORE: 0.35,
+  MAX_CANDIDATES: 3
+};
+
+// Framework-generated ids (mat-input-3, cdk-overlay-0) follow render order, not identity
+const GENERATED_ID_PATTERN = /^(mat|cdk|ng|mdc)-[\w-]*\d+$/;
+
+// Markup removed from rich-text HTML when it is captured and again before it is restored
+const RICH_TEXT_SANITIZER = {
+  BLOCKED_TAGS: [
+    'script', 'style', 'iframe', 'frame', 'object', 'embed', 'link', 'meta', 'base', 'template',
+    'noscript', 'form', 'input', 'button', 'select', 'textarea', 'svg', 'math'
+  ],
+  URL_ATTRIBUTES: ['href', 'src', 'action', 'formaction', 'background', 'poster', 'xlink:href'],
+  // URL lists aren't worth parsing for a snapshot
+  BLOCKED_ATTRIBUTES: ['srcset'],
+  UNSAFE_URL_PATTERN: /^(?:javascript|vbscript|data):/i,
+  // Inline images pasted into editors are kept
+  SAFE_DATA_URL_PATTERN: /^data:image\/(?:png|gif|jpe?g|webp);/i,
+  UNSAFE_STYLE_PATTERN: /expression\s*\(|javascript:|behavior\s*:/i
+};
+
+const COMPACT_CONFIG = {
+  REVISION: 1
+};
+
+const COMPACT_TYPE_TAGS = {
+  NULL: 0,
+  FALSE: 1,
+  TRUE: 2,
+  STRING: 3,
+  INTEGER: 4,
+  NEGATIVE_INTEGER: 5,
+  NUMBER: 6,
+  STRING_LIST: 7,
+  JSON: 8
 };
 
 // ============================================================================
@@ -211,9 +346,11 @@ class AngularDetector {
 class FormControlInspector {
   /**
    * Inspects all form controls in the current page
+   * @param {Object} [options]
+   * @param {Element} [options.scope] - Only return controls inside this element
    * @returns {Promise<FormControlData[]>}
    */
-  static async inspectAllFormControls() {
+  static async inspectAllFormControls(options = {}) {
     try {
       const formControls = [];
       const processedElements = new Set();
@@ -245,7 +382,36 @@ class FormControlInspector {
         }
       });
 
-      return formControls;
+      // Method 4: Hosts of registered component adapters (radio and toggle
+      // groups, chip listboxes, ng-select, PrimeNG) not found above
+      const adapterControls = await this.findAdapterFormControls();
+      adapterControls.forEach(control => {
+        if (!processedElements.has(control.element)) {
+          formControls.push(control);
+          processedElements.add(control.element);
+        }
+      });
+
+      // Radio buttons, chip inputs and search inputs inside an adapter host are part of the host's value
+      const hostControls = formControls.filter(control => !ComponentAdapters.getOwningHost(control.element));
+
+      // Prefer the real form model over DOM scraping where Angular exposes it
+      hostControls.forEach(control => {
+        const valueType = ComponentAdapters.find(control.element)?.valueType;
+        if (valueType) {
+          control.valueType = valueType;
+        }
+        this.applyAngularState(control);
+      });
+
+      // Identities are assigned page-wide before scoping so that ordinals in a
+      // scoped snapshot still line up with a full-page restore
+      this.assignIdentities(hostControls);
+
+      const { scope } = options;
+      return scope
+        ? hostControls.filter(control => DOMUtils.containsDeep(scope, control.element))
+        : hostControls;
     } catch (error) {
       console.error('[FormControlInspector] Inspection failed:', error);
       return [];
@@ -261,21 +427,21 @@ class FormControlInspector {
 
     try {
       // FormControl directive
-      const formControlElements = document.querySelectorAll('[formControl]');
+      const formControlElements = DOMUtils.querySelectorAllDeep('[formControl]');
       formControlElements.forEach(element => {
         const controlData = this.extractAngularFormControlData(element);
         if (controlData) controls.push(controlData);
       });
 
       // FormControlName directive
-      const formControlNameElements = document.querySelectorAll('[formControlName]');
+      const formControlNameElements = DOMUtils.querySelectorAllDeep('[formControlName]');
       formControlNameElements.forEach(element => {
         const controlData = this.extractAngularFormControlNameData(element);
         if (controlData) controls.push(controlData);
       });
 
       // NgModel directive
-      const ngModelElements = document.querySelectorAll('[ngModel]');
+      const ngModelElements = DOMUtils.querySelectorAllDeep('[ngModel]');
       ngModelElements.forEach(element => {
         const controlData = this.extractNgModelData(element);
         if (controlData) controls.push(controlData);
@@ -399,7 +565,7 @@ class FormControlInspector {
     const controls = [];
 
     try {
-      const formElements = document.querySelectorAll('input, select, textarea');
+      const formElements = DOMUtils.querySelectorAllDeep('input, select, textarea');
       formElements.forEach(element => {
         // Skip if already processed by Angular-specific methods
         if (element.hasAttribute('formControl') ||
@@ -461,15 +627,17 @@ class FormControlInspector {
     const controls = [];
 
     try {
-      const matFormFields = document.querySelectorAll('mat-form-field');
+      const matFormFields = DOMUtils.querySelectorAllDeep('mat-form-field');
       matFormFields.forEach(formField => {
-        const input = formField.querySelector('input, select, textarea, mat-select');
+        // Chip grids come before the chip input they contain
+        const input = formField.querySelector('mat-chip-grid, mat-chip-list, input, select, textarea, mat-select');
         if (input) {
           const controlData = this.extractMaterialFormControlData(input, formField);
           if (controlData) controls.push(controlData);
         }
       });
 
+
     } catch (error) {
       console.error('[FormControlInspector] Material form control detection failed:', error);
     }
@@ -505,7 +673,8 @@ class FormControlInspector {
           className: input.className || '',
           matLabel: formField.querySelector('mat-label')?.textContent || '',
           matHint: formField.querySelector('mat-hint')?.textContent || '',
-          matError: formField.querySelector('mat-error')?.textContent || ''
+          matError: formField.querySelector('mat-error')?.textContent || '',
+          adapter: ComponentAdapters.find(input)?.name || null
         }
       };
 
@@ -516,12 +685,46 @@ class FormControlInspector {
     }
   }
 
+  /**
+   * Finds hosts of registered component adapters
+   * @returns {Promise<FormControlData[]>}
+   */
+  static async findAdapterFormControls() {
+    const controls = [];
+
+    try {
+      const selector = ComponentAdapters.getHostSelector();
+      if (!selector) return controls;
+
+      DOMUtils.querySelectorAllDeep(selector).forEach(element => {
+        const adapter = ComponentAdapters.find(element);
+        if (!adapter) return;
+
+        const controlData = this.extractGenericFormControlData(element);
+        if (controlData) {
+          controlData.type = 'component_adapter_control';
+          controlData.name = element.getAttribute('formControlName') || element.getAttribute('name') || element.id || '';
+          controlData.metadata.adapter = adapter.name;
+          controls.push(controlData);
+        }
+      });
+    } catch (error) {
+      console.error('[FormControlInspector] Component adapter detection failed:', error);
+    }
+
+    return controls;
+  }
+
   // Helper methods
   static generateControlId(element) {
     return `ctrl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
   static extractElementValue(element) {
+    const adapter = ComponentAdapters.find(element);
+    if (adapter) {
+      return adapter.read(element);
+    }
     if (element.type === 'checkbox' || element.type === 'radio') {
       return element.checked;
     }
@@ -552,8 +755,16 @@ class FormControlInspector {
     return validators;
   }
 
+  /**
+   * Builds a CSS-like path to an element. Shadow boundaries are written as
+   * ` >>> ` between the host and the first element inside its shadow root,
+   * which DOMUtils.querySelectorDeep resolves.
+   * @param {Element} element
+   * @returns {string}
+   */
   static generateElementPath(element) {
-    const path = [];
+    let path = '';
+    let separator = '';
     let current = element;
 
     while (current && current.nodeType === Node.ELEMENT_NODE) {
@@ -565,11 +776,18 @@ class FormControlInspector {
         selector += `.${current.className.split(' ').join('.')}`;
       }
 
-      path.unshift(selector);
-      current = current.parentElement;
+      path = selector + separator + path;
+
+      if (current.parentElement) {
+        separator = ' > ';
+        current = current.parentElement;
+      } else {
+        separator = ' >>> ';
+        current = current.parentNode?.host || null;
+      }
     }
 
-    return path.join(' > ');
+    return path;
   }
 
   static findParentForm(element) {
@@ -598,224 +816,2760 @@ class FormControlInspector {
     }
     return null;
   }
-}
 
-/**
- * Advanced Data Encoder/Decoder
- */
-class DataEncoder {
   /**
-   * Encodes form data into a compressed string
-   * @param {FormControlData[]} formControls
-   * @returns {Promise<string>}
+   * Finds the AbstractControl bound to an element through Angular's debug
+   * APIs (`ng.getDirectives`), which only exist in development builds
+   * @param {Element} element
+   * @returns {{directive: Object, control: Object}|null}
    */
-  static async encodeFormData(formControls) {
+  static getAngularControl(element) {
+    if (!element || typeof window.ng?.getDirectives !== 'function') {
+      return null;
+    }
+
     try {
-      const snapshot = {
-        version: ENCODING_CONFIG.VERSION,
-        timestamp: Date.now(),
-        url: window.location.href,
-        title: document.title,
-        userAgent: navigator.userAgent,
-        formControls: formControls.map(ctrl => ({
-          id: ctrl.id,
-          type: ctrl.type,
-          name: ctrl.name,
-          value: ctrl.value,
-          path: ctrl.path,
-          tagName: ctrl.tagName,
-          attributes: ctrl.attributes,
-          validators: ctrl.validators,
-          metadata: ctrl.metadata
-        }))
-      };
+      // FormControlName, FormControlDirective and NgModel all expose `.control`
+      for (const directive of window.ng.getDirectives(element) || []) {
+        if (this.isAbstractControl(directive?.control)) {
+          return { directive, control: directive.control };
+        }
+      }
+    } catch (error) {
+      // Elements outside an Angular view throw; treat them as unbound
+    }
 
-      const jsonString = JSON.stringify(snapshot);
-      const compressed = await this.compressData(jsonString);
-      const encoded = await this.encodeData(compressed);
-      const checksum = await this.calculateChecksum(encoded);
+    return null;
+  }
+
+  static isAbstractControl(candidate) {
+    return Boolean(candidate) &&
+      typeof candidate === 'object' &&
+      'value' in candidate &&
+      'status' in candidate &&
+      typeof candidate.setValue === 'function';
+  }
+
+  /**
+   * Reads value and state straight from the bound AbstractControl
+   * @param {Element} element
+   * @returns {Object|null} Null when the debug APIs or a bound control are missing
+   */
+  static readAngularState(element) {
+    const bound = this.getAngularControl(element);
+    if (!bound) {
+      return null;
+    }
 
-      return `${ENCODING_CONFIG.VERSION}${ENCODING_CONFIG.SEPARATOR}${checksum}${ENCODING_CONFIG.SEPARATOR}${encoded}`;
+    const { control, directive } = bound;
+    let owner = null;
+    try {
+      owner = window.ng.getOwningComponent?.(element)?.constructor?.name || null;
     } catch (error) {
-      console.error('[DataEncoder] Encoding failed:', error);
-      throw new Error(`Data encoding failed: ${error.message}`);
+      owner = null;
     }
+
+    return {
+      value: this.toSnapshotValue(control.value),
+      valueType: control.value instanceof Date ? 'date' : null,
+      status: control.status,
+      errors: control.errors ? this.toSnapshotValue(control.errors) : null,
+      pristine: control.pristine,
+      touched: control.touched,
+      owner,
+      // FormControlName paths run from the root form, e.g. ['addresses', '2', 'street']
+      formPath: Array.isArray(directive.path) && directive.path.length > 0 && directive.formDirective
+        ? directive.path.map(String)
+        : null
+    };
   }
 
   /**
-   * Decodes form data from compressed string
-   * @param {string} encodedData
-   * @returns {Promise<Object>}
+   * Replaces the DOM-scraped value with the form model value and state when
+   * Angular's debug APIs are available
+   * @param {FormControlData} controlData
+   * @returns {FormControlData}
    */
-  static async decodeFormData(encodedData) {
-    try {
-      const parts = encodedData.split(ENCODING_CONFIG.SEPARATOR);
-      if (parts.length !== 3) {
-        throw new Error('Invalid encoded data format');
+  static applyAngularState(controlData) {
+    const state = this.readAngularState(controlData.element);
+    if (!state) {
+      controlData.valueSource = 'dom';
+      return controlData;
+    }
+
+    // Radio buttons share one control; keep each button's own checked state.
+    // Rich-text values keep the sanitized HTML and text the editor reported.
+    if (controlData.element.type !== 'radio' && controlData.valueType !== 'richText') {
+      controlData.value = state.value;
+      if (state.valueType) {
+        controlData.valueType = state.valueType;
       }
+    }
 
-      const [version, checksum, data] = parts;
+    controlData.valueSource = 'angular';
+    controlData.state = {
+      status: state.status,
+      errors: state.errors,
+      pristine: state.pristine,
+      touched: state.touched,
+      owner: state.owner
+    };
+    if (state.formPath) {
+      controlData.state.formPath = state.formPath;
+    }
+
+    return controlData;
+  }
 
-      if (version !== ENCODING_CONFIG.VERSION) {
-        throw new Error(`Unsupported version: ${version}`);
+  /**
+   * Records the identity fields ControlMatcher uses to find each control again
+   * after a reload: reactive-form path, name, stable id, label text and ordinal
+   * @param {FormControlData[]} formControls
+   */
+  static assignIdentities(formControls) {
+    const roots = this.getFormGroupRoots();
+    const ordinals = new Map();
+
+    formControls.forEach(control => {
+      const element = control.element;
+      const rootIndex = roots.findIndex(root => DOMUtils.containsDeep(root, element));
+      const form = rootIndex !== -1 ? this.getFormGroupKey(roots[rootIndex], rootIndex) : null;
+      const namePath = control.state?.formPath || this.getControlNamePath(element);
+      const ordinalBase = `${control.tagName}:${element.type || ''}`;
+      const ordinal = ordinals.get(ordinalBase) || 0;
+      ordinals.set(ordinalBase, ordinal + 1);
+
+      // Remembered with the model state so restore can resize FormArrays
+      if (control.state?.formPath && form) {
+        control.state.form = form;
       }
 
-      // Verify checksum
-      const calculatedChecksum = await this.calculateChecksum(data);
-      if (checksum !== calculatedChecksum) {
-        throw new Error('Data integrity check failed');
+      control.identity = {
+        form,
+        formPath: namePath ? this.formatFormPath(namePath) : null,
+        name: control.name || element.getAttribute('name') || null,
+        id: element.id && !GENERATED_ID_PATTERN.test(element.id) ? element.id : null,
+        label: this.getLabelText(element),
+        ordinal: `${ordinalBase}#${ordinal}`
+      };
+      // Radio buttons share a path and name; the option value tells them apart
+      if (element.type === 'radio') {
+        control.identity.option = element.value;
       }
+    });
+  }
 
-      const decoded = await this.decodeData(data);
-      const decompressed = await this.decompressData(decoded);
-      const snapshot = JSON.parse(decompressed);
+  /**
+   * Formats a form path the way it reads in code, e.g. `items[2].qty`
+   * @param {string[]} path
+   * @returns {string}
+   */
+  static formatFormPath(path) {
+    return path.reduce((formatted, segment) => {
+      if (/^\d+$/.test(segment)) return `${formatted}[${segment}]`;
+      return formatted ? `${formatted}.${segment}` : segment;
+    }, '');
+  }
 
-      return snapshot;
-    } catch (error) {
-      console.error('[DataEncoder] Decoding failed:', error);
-      throw new Error(`Data decoding failed: ${error.message}`);
+  /**
+   * Reads the visible label of a control from <label>, ARIA attributes,
+   * mat-label or placeholder, whitespace-normalized
+   * @param {Element} element
+   * @returns {string|null}
+   */
+  static getLabelText(element) {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    const candidates = [
+      element.labels?.[0]?.textContent,
+      element.getAttribute('aria-label'),
+      // Ids are scoped to the shadow tree the control lives in
+      labelledBy ? labelledBy.split(/\s+/).map(id => element.getRootNode().getElementById?.(id)?.textContent || '').join(' ') : null,
+      element.closest?.('mat-form-field')?.querySelector('mat-label')?.textContent,
+      element.getAttribute('placeholder')
+    ];
+
+    for (const candidate of candidates) {
+      const text = (candidate || '').replace(/[\s*]+/g, ' ').trim();
+      if (text) {
+        return text;
+      }
     }
+
+    return null;
+  }
+
+  /**
+   * Returns the outermost form roots on the page (`<form>`, `[formGroup]`)
+   * @returns {Element[]}
+   */
+  static getFormGroupRoots() {
+    // Every form directive's element carries ng-pristine or ng-dirty
+    const candidates = DOMUtils.querySelectorAllDeep(`${FORM_ROOT_SELECTOR}, .ng-pristine, .ng-dirty`)
+      .filter(element => this.isFormGroupRoot(element));
+    return candidates.filter(element => !candidates.some(other => other !== element && DOMUtils.containsDeep(other, element)));
   }
 
-  static async compressData(data) {
-    // Simple compression using deflate-like algorithm
-    if (data.length < ENCODING_CONFIG.COMPRESSION_THRESHOLD) {
-      return data;
+  /**
+   * Whether an element hosts a root form. A `[formGroup]` binding leaves no
+   * attribute in production builds, so a `<div [formGroup]>` is recognized by
+   * its FormGroupDirective when the debug APIs are there, and otherwise as a
+   * status-classed element that holds controls without being one itself.
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  static isFormGroupRoot(element) {
+    if (element.matches(FORM_ROOT_SELECTOR)) {
+      return true;
+    }
+    if (typeof window.ng?.getDirectives === 'function') {
+      return this.getAngularFormGroup(element) !== null;
     }
+    return !element.matches(`${FORM_CONTROL_SELECTORS.join(', ')}, [formGroupName], [formArrayName], [ngModelGroup]`) &&
+      element.querySelector('.ng-pristine, .ng-dirty') !== null;
+  }
 
-    // Use browser's compression if available
-    if ('CompressionStream' in window) {
-      const stream = new CompressionStream('gzip');
-      const writer = stream.writable.getWriter();
-      const reader = stream.readable.getReader();
+  static getFormGroupKey(element, index) {
+    return element.id || element.getAttribute('name') || `${element.tagName.toLowerCase()}@${index}`;
+  }
 
-      writer.write(new TextEncoder().encode(data));
-      writer.close();
+  /**
+   * Finds a live form root by the key it was captured under
+   * @param {string} key
+   * @returns {Element|null}
+   */
+  static findFormGroupElement(key) {
+    const roots = this.getFormGroupRoots();
+    return roots.find((element, index) => this.getFormGroupKey(element, index) === key) || null;
+  }
 
-      const chunks = [];
-      let result = await reader.read();
-      while (!result.done) {
-        chunks.push(result.value);
-        result = await reader.read();
-      }
+  /**
+   * Finds the element bound to a FormGroup by name: a `formGroupName` or
+   * `formArrayName` section, or a form root whose FormGroup is the owning
+   * component's property of that name (e.g. `[formGroup]="checkoutForm"`)
+   * @param {string} name
+   * @returns {Element|null}
+   */
+  static findFormGroupByName(name) {
+    const section = DOMUtils.querySelectorAllDeep('[formGroupName], [formArrayName]')
+      .find(element => (element.getAttribute('formGroupName') ?? element.getAttribute('formArrayName')) === name);
+    if (section) {
+      return section;
+    }
 
-      return new Uint8Array(chunks.reduce((acc, chunk) => [...acc, ...chunk], []));
+    if (typeof window.ng?.getOwningComponent !== 'function') {
+      return null;
     }
 
-    // Fallback: simple dictionary compression
-    return this.dictionaryCompress(data);
+    return this.getFormGroupRoots().find(element => {
+      const form = this.getAngularFormGroup(element);
+      try {
+        return form !== null && window.ng.getOwningComponent(element)?.[name] === form;
+      } catch (error) {
+        return false;
+      }
+    }) || null;
   }
 
-  static async decompressData(data) {
-    if (typeof data === 'string') {
-      return data; // Not compressed
+  /**
+   * Finds the root FormGroup of a FormGroupDirective or NgForm on an element
+   * @param {Element} element
+   * @returns {Object|null}
+   */
+  static getAngularFormGroup(element) {
+    if (!element || typeof window.ng?.getDirectives !== 'function') {
+      return null;
     }
 
-    // Use browser's decompression if available
-    if ('DecompressionStream' in window && data instanceof Uint8Array) {
-      const stream = new DecompressionStream('gzip');
-      const writer = stream.writable.getWriter();
-      const reader = stream.readable.getReader();
+    try {
+      for (const directive of window.ng.getDirectives(element) || []) {
+        const form = directive?.form;
+        if (this.isAbstractControl(form) && form.controls && !form.parent) {
+          return form;
+        }
+      }
+    } catch (error) {
+      // Not part of an Angular view
+    }
 
-      writer.write(data);
-      writer.close();
+    return null;
+  }
 
-      const chunks = [];
-      let result = await reader.read();
-      while (!result.done) {
-        chunks.push(result.value);
-        result = await reader.read();
-      }
+  /**
+   * Builds the reactive-forms name path of a control from formControlName,
+   * formGroupName and formArrayName attributes up to its form root
+   * @param {Element} element
+   * @returns {string[]|null} Null when the control has no static name
+   */
+  static getControlNamePath(element) {
+    const name = element.getAttribute('formControlName');
+    if (name === null) {
+      return null;
+    }
 
-      return new TextDecoder().decode(new Uint8Array(chunks.reduce((acc, chunk) => [...acc, ...chunk], [])));
+    const path = [name];
+    let parent = element.parentElement;
+    while (parent && !parent.matches(FORM_ROOT_SELECTOR)) {
+      const groupName = parent.getAttribute('formGroupName') ?? parent.getAttribute('formArrayName');
+      if (groupName !== null) {
+        path.unshift(groupName);
+      }
+      parent = parent.parentElement;
     }
 
-    // Fallback: dictionary decompression
-    return this.dictionaryDecompress(data);
+    return path;
   }
 
-  static dictionaryCompress(data) {
-    const dictionary = {};
-    const compressed = [];
-    let dictIndex = 0;
+  /**
+   * Captures each root form as a nested value tree mirroring
+   * `FormGroup.getRawValue()`, disabled controls and FormArrays included.
+   * Without Angular's debug APIs the tree is rebuilt from static control names.
+   * @param {FormControlData[]} [formControls] - Leaf controls used for the DOM fallback
+   * @param {Element} [scope] - Only capture form roots inside this element
+   * @returns {Promise<Array<{key: string, path: string, element: Element, source: string, value: Object, datePaths: string[][], members?: Element[]}>>}
+   *   `members` lists the controls a DOM-built tree covers
+   */
+  static async inspectFormGroups(formControls = [], scope = null) {
+    const groups = [];
+
+    this.getFormGroupRoots().forEach((element, index) => {
+      // Keys keep their page-wide index so a scoped snapshot restores on the full page
+      if (scope && !DOMUtils.containsDeep(scope, element)) return;
+
+      const key = this.getFormGroupKey(element, index);
+      const path = this.generateElementPath(element);
+      const form = this.getAngularFormGroup(element);
+
+      if (form) {
+        const rawValue = typeof form.getRawValue === 'function' ? form.getRawValue() : form.value;
+        groups.push({
+          key,
+          path,
+          element,
+          source: 'angular',
+          value: this.toSnapshotValue(rawValue),
+          datePaths: this.findDatePaths(rawValue)
+        });
+        return;
+      }
 
-    // Build dictionary of common strings
-    const words = data.match(/\b\w+\b/g) || [];
-    const wordCounts = {};
+      // Controls without a static formControlName can't be placed in the
+      // tree; they stay leaf controls, so only the named ones are members
+      const value = {};
+      const members = [];
+      formControls
+        .filter(control => DOMUtils.containsDeep(element, control.element))
+        .forEach(control => {
+          const namePath = this.getControlNamePath(control.element);
+          if (!namePath) return;
+          members.push(control.element);
+
+          // Radio buttons contribute the checked button's value to their shared name
+          if (control.element.type === 'radio') {
+            if (control.element.checked) this.setValueAtPath(value, namePath, control.element.value);
+            return;
+          }
+          this.setValueAtPath(value, namePath, control.value);
+        });
 
-    words.forEach(word => {
-      wordCounts[word] = (wordCounts[word] || 0) + 1;
+      if (Object.keys(value).length > 0) {
+        groups.push({ key, path, element, source: 'dom', value, datePaths: [], members });
+      }
     });
 
-    // Add frequently used words to dictionary
-    Object.entries(wordCounts)
-      .filter(([word, count]) => count > 2 && word.length > 3)
-      .forEach(([word]) => {
-        dictionary[word] = `§${dictIndex++}§`;
-      });
+    return groups;
+  }
 
-    let result = data;
-    Object.entries(dictionary).forEach(([word, token]) => {
-      result = result.replace(new RegExp(`\\b${word}\\b`, 'g'), token);
+  static setValueAtPath(tree, path, value) {
+    let node = tree;
+    path.forEach((segment, index) => {
+      if (index === path.length - 1) {
+        node[segment] = value;
+        return;
+      }
+      if (node[segment] === undefined || node[segment] === null || typeof node[segment] !== 'object') {
+        // Numeric children mean the parent is a FormArray
+        node[segment] = /^\d+$/.test(path[index + 1]) ? [] : {};
+      }
+      node = node[segment];
     });
+  }
 
-    return { dictionary, data: result };
+  static getValueAtPath(tree, path) {
+    return path.reduce((node, segment) => (node === undefined || node === null ? undefined : node[segment]), tree);
   }
 
-  static dictionaryDecompress(compressed) {
-    if (typeof compressed === 'string') {
-      return compressed;
+  /**
+   * Lists the paths of Date values so they can be revived on restore
+   * @param {*} value
+   * @param {string[]} [path]
+   * @returns {string[][]}
+   */
+  static findDatePaths(value, path = []) {
+    if (value instanceof Date) {
+      return [path];
+    }
+    if (!value || typeof value !== 'object') {
+      return [];
     }
+    return Object.entries(value).flatMap(([key, child]) => this.findDatePaths(child, [...path, key]));
+  }
 
-    const { dictionary, data } = compressed;
-    let result = data;
+  /**
+   * Converts a form model value into plain JSON. Dates become ISO strings,
+   * functions and circular references are dropped.
+   * @param {*} value
+   * @param {Set} [ancestors]
+   * @returns {*}
+   */
+  static toSnapshotValue(value, ancestors = new Set()) {
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? null : value.toISOString();
+    }
+    if (value === undefined || typeof value === 'function') {
+      return null;
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (typeof File !== 'undefined' && value instanceof File) {
+      return value.name;
+    }
+    if (ancestors.has(value)) {
+      return null;
+    }
 
-    Object.entries(dictionary).forEach(([word, token]) => {
-      result = result.replace(new RegExp(token, 'g'), word);
-    });
+    ancestors.add(value);
+    let result;
+    if (Array.isArray(value)) {
+      result = value.map(item => this.toSnapshotValue(item, ancestors));
+    } else {
+      result = {};
+      Object.entries(value).forEach(([key, child]) => {
+        if (typeof child !== 'function') {
+          result[key] = this.toSnapshotValue(child, ancestors);
+        }
+      });
+    }
+    ancestors.delete(value);
 
     return result;
   }
+}
 
-  static async encodeData(data) {
-    // Convert to base64 with URL-safe characters
-    const jsonString = typeof data === 'string' ? data : JSON.stringify(data);
-    const base64 = btoa(unescape(encodeURIComponent(jsonString)));
-    return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+/**
+ * Compact Binary Snapshot Codec
+ *
+ * Keeps only what restore needs (stable key, value, type tag). Every distinct
+ * key and string value is written once to a string table and referenced by
+ * index, and all integers are varints.
+ *
+ * Layout: revision byte, varint timestamp, varint string count, strings
+ * (varint byte length + UTF-8), varint control count, then per control:
+ * varint key index, type tag byte, tag-specific value.
+ */
+class CompactCodec {
+  /**
+   * Builds stable keys for a list of controls, numbering repeated names
+   * (e.g. radio buttons) by their order on the page
+   * @param {FormControlData[]} formControls
+   * @returns {string[]}
+   */
+  static assignKeys(formControls) {
+    const seen = new Map();
+
+    return formControls.map((control, index) => {
+      const base = control.name || control.attributes?.id || `${control.tagName || 'control'}@${index}`;
+      const count = seen.get(base) || 0;
+      seen.set(base, count + 1);
+      return count === 0 ? base : `${base}#${count}`;
+    });
   }
 
-  static async decodeData(encodedData) {
-    // Decode from URL-safe base64
-    const base64 = encodedData.replace(/-/g, '+').replace(/_/g, '/');
-    const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
-    return decodeURIComponent(escape(atob(padded)));
+  /**
+   * Encodes controls into the compact binary layout
+   * @param {FormControlData[]} formControls
+   * @param {number} timestamp
+   * @returns {Uint8Array}
+   */
+  static encode(formControls, timestamp = Date.now()) {
+    // Controls that already carry a key (e.g. from a trimmed or split list) keep it
+    const keys = this.assignKeys(formControls).map((key, index) => formControls[index].key || key);
+    const strings = [];
+    const stringIndex = new Map();
+    const intern = (value) => {
+      if (!stringIndex.has(value)) {
+        stringIndex.set(value, strings.length);
+        strings.push(value);
+      }
+      return stringIndex.get(value);
+    };
+
+    const entries = formControls.map((control, index) => ({
+      key: intern(keys[index]),
+      ...this.tagValue(control.value, intern)
+    }));
+
+    const writer = new BinaryWriter();
+    writer.writeByte(COMPACT_CONFIG.REVISION);
+    writer.writeVarint(timestamp);
+    writer.writeVarint(strings.length);
+    strings.forEach(value => writer.writeString(value));
+    writer.writeVarint(entries.length);
+
+    entries.forEach(entry => {
+      writer.writeVarint(entry.key);
+      writer.writeByte(entry.tag);
+
+      switch (entry.tag) {
+        case COMPACT_TYPE_TAGS.STRING:
+        case COMPACT_TYPE_TAGS.INTEGER:
+          writer.writeVarint(entry.payload);
+          break;
+        case COMPACT_TYPE_TAGS.NEGATIVE_INTEGER:
+          writer.writeVarint(-entry.payload);
+          break;
+        case COMPACT_TYPE_TAGS.NUMBER:
+          writer.writeFloat64(entry.payload);
+          break;
+        case COMPACT_TYPE_TAGS.STRING_LIST:
+          writer.writeVarint(entry.payload.length);
+          entry.payload.forEach(item => writer.writeVarint(item));
+          break;
+        case COMPACT_TYPE_TAGS.JSON:
+          writer.writeString(entry.payload);
+          break;
+      }
+    });
+
+    return writer.toBytes();
   }
 
-  static async calculateChecksum(data) {
-    if (crypto.subtle) {
-      const encoder = new TextEncoder();
-      const dataBuffer = encoder.encode(data);
-      const hashBuffer = await crypto.subtle.digest('SHA-256', dataBuffer);
-      const hashArray = Array.from(new Uint8Array(hashBuffer));
-      return hashArray.map(b => b.toString(16).padStart(2, '0')).join('').slice(0, 16);
+  /**
+   * Decodes the compact binary layout back into snapshot controls
+   * @param {Uint8Array} bytes
+   * @returns {{timestamp: number, formControls: Array<{key: string, name: string, value: any}>}}
+   */
+  static decode(bytes) {
+    const reader = new BinaryReader(bytes);
+    const revision = reader.readByte();
+    if (revision !== COMPACT_CONFIG.REVISION) {
+      throw new Error(`Unsupported compact revision: ${revision}`);
     }
 
-    // Fallback: simple hash
-    let hash = 0;
-    for (let i = 0; i < data.length; i++) {
-      const char = data.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+    const timestamp = reader.readVarint();
+    const strings = [];
+    const stringCount = reader.readVarint();
+    for (let i = 0; i < stringCount; i++) {
+      strings.push(reader.readString());
     }
-    return Math.abs(hash).toString(16).padStart(8, '0');
+
+    const formControls = [];
+    const controlCount = reader.readVarint();
+    for (let i = 0; i < controlCount; i++) {
+      const key = strings[reader.readVarint()];
+      const tag = reader.readByte();
+      let value;
+
+      switch (tag) {
+        case COMPACT_TYPE_TAGS.NULL:
+          value = null;
+          break;
+        case COMPACT_TYPE_TAGS.FALSE:
+          value = false;
+          break;
+        case COMPACT_TYPE_TAGS.TRUE:
+          value = true;
+          break;
+        case COMPACT_TYPE_TAGS.STRING:
+          value = strings[reader.readVarint()];
+          break;
+        case COMPACT_TYPE_TAGS.INTEGER:
+          value = reader.readVarint();
+          break;
+        case COMPACT_TYPE_TAGS.NEGATIVE_INTEGER:
+          value = -reader.readVarint();
+          break;
+        case COMPACT_TYPE_TAGS.NUMBER:
+          value = reader.readFloat64();
+          break;
+        case COMPACT_TYPE_TAGS.STRING_LIST: {
+          const length = reader.readVarint();
+          value = [];
+          for (let j = 0; j < length; j++) {
+            value.push(strings[reader.readVarint()]);
+          }
+          break;
+        }
+        case COMPACT_TYPE_TAGS.JSON:
+          value = JSON.parse(reader.readString());
+          break;
+        default:
+          throw new Error(`Unknown compact type tag: ${tag}`);
+      }
+
+      formControls.push({ key, name: key.replace(/#\d+$/, ''), value });
+    }
+
+    return { timestamp, formControls };
+  }
+
+  /**
+   * Picks the type tag and payload for a control value
+   * @param {any} value
+   * @param {Function} intern - Adds a string to the table and returns its index
+   * @returns {{tag: number, payload?: any}}
+   */
+  static tagValue(value, intern) {
+    if (value === null || value === undefined) {
+      return { tag: COMPACT_TYPE_TAGS.NULL };
+    }
+    if (typeof value === 'boolean') {
+      return { tag: value ? COMPACT_TYPE_TAGS.TRUE : COMPACT_TYPE_TAGS.FALSE };
+    }
+    if (typeof value === 'string') {
+      return { tag: COMPACT_TYPE_TAGS.STRING, payload: intern(value) };
+    }
+    if (typeof value === 'number') {
+      if (Number.isSafeInteger(value)) {
+        return value >= 0
+          ? { tag: COMPACT_TYPE_TAGS.INTEGER, payload: value }
+          : { tag: COMPACT_TYPE_TAGS.NEGATIVE_INTEGER, payload: value };
+      }
+      return { tag: COMPACT_TYPE_TAGS.NUMBER, payload: value };
+    }
+    if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+      return { tag: COMPACT_TYPE_TAGS.STRING_LIST, payload: value.map(intern) };
+    }
+    return { tag: COMPACT_TYPE_TAGS.JSON, payload: JSON.stringify(value) };
   }
 }
 
 /**
- * DOM Utilities
+ * Growable byte buffer with varint and string helpers
  */
-class DOMUtils {
-  /**
+class BinaryWriter {
+  constructor(initialSize = 1024) {
+    this.buffer = new Uint8Array(initialSize);
+    this.length = 0;
+  }
+
+  ensureCapacity(extra) {
+    if (this.length + extra <= this.buffer.length) return;
+
+    let size = this.buffer.length * 2;
+    while (size < this.length + extra) size *= 2;
+
+    const next = new Uint8Array(size);
+    next.set(this.buffer.subarray(0, this.length));
+    this.buffer = next;
+  }
+
+  writeByte(value) {
+    this.ensureCapacity(1);
+    this.buffer[this.length++] = value;
+  }
+
+  writeVarint(value) {
+    // Arithmetic instead of bit shifts so values above 2^31 (timestamps) survive
+    let remaining = value;
+    while (remaining >= 0x80) {
+      this.writeByte((remaining % 0x80) + 0x80);
+      remaining = Math.floor(remaining / 0x80);
+    }
+    this.writeByte(remaining);
+  }
+
+  writeFloat64(value) {
+    this.ensureCapacity(8);
+    new DataView(this.buffer.buffer).setFloat64(this.length, value);
+    this.length += 8;
+  }
+
+  writeString(value) {
+    const bytes = new TextEncoder().encode(value);
+    this.writeVarint(bytes.length);
+    this.ensureCapacity(bytes.length);
+    this.buffer.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  toBytes() {
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+/**
+ * Sequential reader for buffers produced by BinaryWriter
+ */
+class BinaryReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  readByte() {
+    if (this.offset >= this.bytes.length) {
+      throw new Error('Unexpected end of compact data');
+    }
+    return this.bytes[this.offset++];
+  }
+
+  readVarint() {
+    let value = 0;
+    let multiplier = 1;
+    let byte;
+
+    do {
+      byte = this.readByte();
+      value += (byte & 0x7f) * multiplier;
+      multiplier *= 0x80;
+    } while (byte & 0x80);
+
+    return value;
+  }
+
+  readFloat64() {
+    if (this.offset + 8 > this.bytes.length) {
+      throw new Error('Unexpected end of compact data');
+    }
+    const value = new DataView(this.bytes.buffer, this.bytes.byteOffset).getFloat64(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  readString() {
+    const length = this.readVarint();
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Unexpected end of compact data');
+    }
+    const value = new TextDecoder().decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return value;
+  }
+}
+
+/**
+ * Advanced Data Encoder/Decoder
+ */
+class DataEncoder {
+  /**
+   * Encodes form data into a compressed string
+   * @param {FormControlData[]} formControls
+   * @param {Object} [options]
+   * @param {string} [options.passphrase] - Encrypts the payload when set
+   * @param {string} [options.profile] - 'full' (default) or 'compact'
+   * @returns {Promise<string>}
+   */
+  static async encodeFormData(formControls, options = {}) {
+    try {
+      const compact = options.profile === ENCODING_CONFIG.PROFILES.COMPACT;
+      let flags = compact ? ENCODING_CONFIG.FLAGS.COMPACT : '';
+      let bytes;
+
+      if (compact) {
+        bytes = CompactCodec.encode(formControls);
+      } else {
+        const snapshot = {
+          version: ENCODING_CONFIG.SCHEMA_VERSION,
+          timestamp: Date.now(),
+          url: window.location.href,
+          title: document.title,
+          userAgent: navigator.userAgent,
+          formControls: formControls.map(ctrl => ({
+            id: ctrl.id,
+            type: ctrl.type,
+            name: ctrl.name,
+            value: ctrl.value,
+            path: ctrl.path,
+            tagName: ctrl.tagName,
+            attributes: ctrl.attributes,
+            validators: ctrl.validators,
+            metadata: ctrl.metadata,
+            valueType: ctrl.valueType,
+            valueSource: ctrl.valueSource,
+            state: ctrl.state,
+            identity: ctrl.identity,
+            frame: ctrl.frame
+          }))
+        };
+        if (options.formGroups?.length > 0) {
+          snapshot.formGroups = options.formGroups;
+        }
+        bytes = new TextEncoder().encode(JSON.stringify(snapshot));
+      }
+
+      const packed = await this.packBytes(bytes);
+      if (packed.compressed) {
+        flags += ENCODING_CONFIG.FLAGS.COMPRESSED;
+      }
+
+      let encoded;
+      if (options.passphrase) {
+        encoded = await this.encryptBytes(packed.bytes, options.passphrase);
+        flags += ENCODING_CONFIG.FLAGS.ENCRYPTED;
+      } else {
+        encoded = this.bytesToBase64Url(packed.bytes);
+      }
+
+      const checksum = await this.calculateChecksum(encoded);
+
+      return [ENCODING_CONFIG.VERSION, flags, checksum, encoded].join(ENCODING_CONFIG.SEPARATOR);
+    } catch (error) {
+      console.error('[DataEncoder] Encoding failed:', error);
+      throw new Error(`Data encoding failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Encodes form data, shrinking it when it exceeds MAX_SNAPSHOT_SIZE
+   * @param {FormControlData[]} formControls
+   * @param {Object} [options] - encodeFormData options
+   * @param {string} [options.sizeStrategy] - One of ENCODING_CONFIG.SIZE_STRATEGIES (default 'auto')
+   * @returns {Promise<{chunks: string[], formControls: FormControlData[], strategies: string[], originalSize: number, finalSize: number}>}
+   */
+  static async encodeWithinLimit(formControls, options = {}) {
+    const { SIZE_STRATEGIES, MAX_SNAPSHOT_SIZE, PROFILES } = ENCODING_CONFIG;
+    const sizeStrategy = options.sizeStrategy || SIZE_STRATEGIES.AUTO;
+    const compact = options.profile === PROFILES.COMPACT;
+    const strategies = [];
+    const result = (chunks, controls) => ({
+      chunks,
+      formControls: controls,
+      strategies,
+      originalSize,
+      finalSize: chunks.reduce((total, chunk) => total + chunk.length, 0)
+    });
+
+    let controls = formControls;
+    if (compact) {
+      // Pin compact keys to the full page order so trimming or splitting can't renumber them
+      const keys = CompactCodec.assignKeys(formControls);
+      controls = formControls.map((control, index) => ({ ...control, key: keys[index] }));
+    }
+
+    let encoded = await this.encodeFormData(controls, options);
+    const originalSize = encoded.length;
+
+    if (encoded.length <= MAX_SNAPSHOT_SIZE) {
+      return result([encoded], controls);
+    }
+
+    if (sizeStrategy === SIZE_STRATEGIES.NONE) {
+      throw ErrorHandler.createError(
+        `Snapshot is ${encoded.length} characters, over the ${MAX_SNAPSHOT_SIZE} character limit`,
+        { code: 'SNAPSHOT_TOO_LARGE', size: encoded.length, limit: MAX_SNAPSHOT_SIZE }
+      );
+    }
+
+    const reductions = SIZE_REDUCTIONS.filter(reduction =>
+      (sizeStrategy === SIZE_STRATEGIES.AUTO || sizeStrategy === reduction.strategy) &&
+      !(compact && reduction.fullProfileOnly)
+    );
+
+    for (const reduction of reductions) {
+      controls = reduction.apply(controls);
+      strategies.push(reduction.strategy);
+      encoded = await this.encodeFormData(controls, options);
+
+      if (encoded.length <= MAX_SNAPSHOT_SIZE) {
+        return result([encoded], controls);
+      }
+    }
+
+    if (sizeStrategy !== SIZE_STRATEGIES.AUTO && sizeStrategy !== SIZE_STRATEGIES.SPLIT_CHUNKS) {
+      const reason = strategies.length > 0
+        ? `is still ${encoded.length} characters after ${sizeStrategy}`
+        : `is ${encoded.length} characters and ${sizeStrategy} does not apply to compact snapshots`;
+      throw ErrorHandler.createError(
+        `Snapshot ${reason}; try splitting it into chunks`,
+        { code: 'SNAPSHOT_TOO_LARGE', size: encoded.length, limit: MAX_SNAPSHOT_SIZE, strategies }
+      );
+    }
+
+    strategies.push(SIZE_STRATEGIES.SPLIT_CHUNKS);
+    if (options.formGroups?.length > 0) {
+      // Form-group trees travel in their own chunk instead of repeating in every one
+      const { formGroups, ...controlOptions } = options;
+      const groupChunk = await this.encodeFormData([], options);
+      if (groupChunk.length > MAX_SNAPSHOT_SIZE) {
+        throw ErrorHandler.createError(
+          `Form group values alone are ${groupChunk.length} characters, over the ${MAX_SNAPSHOT_SIZE} character limit`,
+          { code: 'SNAPSHOT_TOO_LARGE', size: groupChunk.length, limit: MAX_SNAPSHOT_SIZE, formGroups: formGroups.length }
+        );
+      }
+      const chunks = controls.length > 0 ? await this.splitIntoChunks(controls, controlOptions) : [];
+      return result([groupChunk, ...chunks], controls);
+    }
+    return result(await this.splitIntoChunks(controls, options), controls);
+  }
+
+  /**
+   * Halves the control list until every part encodes within MAX_SNAPSHOT_SIZE.
+   * Each chunk is a complete snapshot that restores on its own.
+   * @param {FormControlData[]} formControls
+   * @param {Object} options - encodeFormData options
+   * @returns {Promise<string[]>}
+   */
+  static async splitIntoChunks(formControls, options = {}) {
+    const encoded = await this.encodeFormData(formControls, options);
+    if (encoded.length <= ENCODING_CONFIG.MAX_SNAPSHOT_SIZE) {
+      return [encoded];
+    }
+
+    if (formControls.length <= 1) {
+      throw ErrorHandler.createError(
+        `Control "${formControls[0]?.name || formControls[0]?.path || 'unknown'}" alone exceeds the snapshot size limit`,
+        { code: 'SNAPSHOT_TOO_LARGE', size: encoded.length, limit: ENCODING_CONFIG.MAX_SNAPSHOT_SIZE }
+      );
+    }
+
+    const middle = Math.ceil(formControls.length / 2);
+    return [
+      ...await this.splitIntoChunks(formControls.slice(0, middle), options),
+      ...await this.splitIntoChunks(formControls.slice(middle), options)
+    ];
+  }
+
+  /**
+   * Encodes with both profiles (unencrypted) and reports the size difference
+   * @param {FormControlData[]} formControls
+   * @returns {Promise<{fullSize: number, compactSize: number, savedBytes: number, savedPercent: number}>}
+   */
+  static async compareProfiles(formControls) {
+    const full = await this.encodeFormData(formControls, { profile: ENCODING_CONFIG.PROFILES.FULL });
+    const compact = await this.encodeFormData(formControls, { profile: ENCODING_CONFIG.PROFILES.COMPACT });
+
+    return {
+      fullSize: full.length,
+      compactSize: compact.length,
+      savedBytes: full.length - compact.length,
+      savedPercent: full.length > 0 ? Math.round((1 - compact.length / full.length) * 100) : 0
+    };
+  }
+
+  /**
+   * Splits an encoded string into its header fields and payload
+   * @param {string} encodedData
+   * @returns {{version: string, flags: string, checksum: string, data: string}}
+   */
+  static parseEncodedData(encodedData) {
+    const parts = encodedData.trim().split(ENCODING_CONFIG.SEPARATOR);
+
+    // 1.0 strings had no flags field: version|checksum|payload
+    if (parts.length === 3) {
+      const [version, checksum, data] = parts;
+      return { version, flags: '', checksum, data };
+    }
+
+    if (parts.length !== 4) {
+      throw new Error('Invalid encoded data format');
+    }
+
+    const [version, flags, checksum, data] = parts;
+    const knownFlags = Object.values(ENCODING_CONFIG.FLAGS);
+    // Header fields come from untrusted links and stay out of error messages
+    if ([...flags].some(flag => !knownFlags.includes(flag))) {
+      throw new Error('Unsupported format flag');
+    }
+
+    return { version, flags, checksum, data };
+  }
+
+  /**
+   * Checks whether an encoded string carries an encrypted payload
+   * @param {string} encodedData
+   * @returns {boolean}
+   */
+  static isEncrypted(encodedData) {
+    try {
+      return this.parseEncodedData(encodedData).flags.includes(ENCODING_CONFIG.FLAGS.ENCRYPTED);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Decodes form data from compressed string
+   * @param {string} encodedData
+   * @param {Object} [options]
+   * @param {string} [options.passphrase] - Required for encrypted payloads
+   * @returns {Promise<Object>}
+   */
+  static async decodeFormData(encodedData, options = {}) {
+    try {
+      const { version, flags, checksum, data } = this.parseEncodedData(encodedData);
+
+      if (!ENCODING_CONFIG.SUPPORTED_VERSIONS.includes(version)) {
+        throw new Error('Unsupported snapshot version');
+      }
+
+      // Verify checksum
+      const calculatedChecksum = await this.calculateChecksum(data);
+      if (checksum !== calculatedChecksum) {
+        throw new Error('Data integrity check failed');
+      }
+
+      const encrypted = flags.includes(ENCODING_CONFIG.FLAGS.ENCRYPTED);
+      if (encrypted && !options.passphrase) {
+        throw ErrorHandler.createError('Snapshot is encrypted and needs a passphrase', {
+          code: 'PASSPHRASE_REQUIRED'
+        });
+      }
+
+      let bytes = encrypted
+        ? await this.decryptBytes(data, options.passphrase)
+        : this.base64UrlToBytes(data);
+
+      if (flags.includes(ENCODING_CONFIG.FLAGS.COMPRESSED)) {
+        bytes = await this.decompressData(bytes);
+      }
+
+      if (flags.includes(ENCODING_CONFIG.FLAGS.COMPACT)) {
+        const { timestamp, formControls } = CompactCodec.decode(bytes);
+
+        return {
+          version: ENCODING_CONFIG.SCHEMA_VERSION,
+          profile: ENCODING_CONFIG.PROFILES.COMPACT,
+          timestamp,
+          url: '',
+          title: '',
+          formControls
+        };
+      }
+
+      let snapshot = JSON.parse(new TextDecoder().decode(bytes));
+
+      // Before the compressed flag existed, gzipped payloads were written as a
+      // JSON index map of the byte array ({"0":31,"1":139,...})
+      if (!flags.includes(ENCODING_CONFIG.FLAGS.COMPRESSED) && this.isLegacyByteMap(snapshot)) {
+        const gzipped = Uint8Array.from(Object.values(snapshot));
+        snapshot = JSON.parse(new TextDecoder().decode(await this.decompressData(gzipped)));
+      }
+
+      return this.migrateSnapshot(snapshot);
+    } catch (error) {
+      console.error('[DataEncoder] Decoding failed:', error);
+      throw ErrorHandler.createError(`Data decoding failed: ${error.message}`, error.context);
+    }
+  }
+
+  /**
+   * Encrypts raw bytes with a passphrase-derived AES-GCM key
+   * @param {Uint8Array} bytes
+   * @param {string} passphrase
+   * @returns {Promise<string>} URL-safe base64 of salt + iv + ciphertext
+   */
+  static async encryptBytes(bytes, passphrase) {
+    const { ALGORITHM, SALT_LENGTH, IV_LENGTH } = ENCODING_CONFIG.ENCRYPTION;
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const key = await this.deriveKey(passphrase, salt);
+
+    const ciphertext = new Uint8Array(
+      await crypto.subtle.encrypt({ name: ALGORITHM, iv }, key, bytes)
+    );
+
+    const combined = new Uint8Array(salt.length + iv.length + ciphertext.length);
+    combined.set(salt, 0);
+    combined.set(iv, salt.length);
+    combined.set(ciphertext, salt.length + iv.length);
+
+    return this.bytesToBase64Url(combined);
+  }
+
+  /**
+   * Decrypts a payload produced by encryptBytes
+   * @param {string} encryptedData
+   * @param {string} passphrase
+   * @returns {Promise<Uint8Array>}
+   */
+  static async decryptBytes(encryptedData, passphrase) {
+    const { ALGORITHM, SALT_LENGTH, IV_LENGTH } = ENCODING_CONFIG.ENCRYPTION;
+    const combined = this.base64UrlToBytes(encryptedData);
+    const salt = combined.slice(0, SALT_LENGTH);
+    const iv = combined.slice(SALT_LENGTH, SALT_LENGTH + IV_LENGTH);
+    const ciphertext = combined.slice(SALT_LENGTH + IV_LENGTH);
+    const key = await this.deriveKey(passphrase, salt);
+
+    try {
+      return new Uint8Array(await crypto.subtle.decrypt({ name: ALGORITHM, iv }, key, ciphertext));
+    } catch (error) {
+      // AES-GCM authentication fails for a wrong passphrase and for tampered data alike
+      throw ErrorHandler.createError('Incorrect passphrase or corrupted snapshot', {
+        code: 'PASSPHRASE_INVALID'
+      });
+    }
+  }
+
+  /**
+   * Derives an AES key from a passphrase with PBKDF2
+   * @param {string} passphrase
+   * @param {Uint8Array} salt
+   * @returns {Promise<CryptoKey>}
+   */
+  static async deriveKey(passphrase, salt) {
+    const { ALGORITHM, KEY_LENGTH, KDF_ITERATIONS, KDF_HASH } = ENCODING_CONFIG.ENCRYPTION;
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: KDF_ITERATIONS, hash: KDF_HASH },
+      baseKey,
+      { name: ALGORITHM, length: KEY_LENGTH },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Upgrades a decoded payload to the current schema. The payload's own
+   * version is its schema; the header version only describes the encoding.
+   * @param {Object} snapshot
+   * @returns {Object}
+   */
+  static migrateSnapshot(snapshot) {
+    const schemaVersion = snapshot.version || ENCODING_CONFIG.SCHEMA_VERSION;
+    if (schemaVersion === ENCODING_CONFIG.SCHEMA_VERSION) {
+      return snapshot;
+    }
+
+    const migrations = window.AngularFormSnapshotMigrations;
+    if (!migrations || !migrations.SnapshotMigrator.canMigrate(schemaVersion, ENCODING_CONFIG.SCHEMA_VERSION)) {
+      throw new Error('Unsupported snapshot schema');
+    }
+
+    const { payload } = migrations.SnapshotMigrator.migrate(
+      snapshot,
+      schemaVersion,
+      ENCODING_CONFIG.SCHEMA_VERSION
+    );
+    return payload;
+  }
+
+  /**
+   * Gzips a payload when it is large enough and compression actually helps.
+   * Payloads over MAX_SNAPSHOT_SIZE stay uncompressed: decoders refuse to
+   * inflate past the limit, and the raw size sends them through the size
+   * reductions instead.
+   * @param {Uint8Array} bytes
+   * @returns {Promise<{bytes: Uint8Array, compressed: boolean}>}
+   */
+  static async packBytes(bytes) {
+    if (bytes.length < ENCODING_CONFIG.COMPRESSION_THRESHOLD ||
+        bytes.length > ENCODING_CONFIG.MAX_SNAPSHOT_SIZE ||
+        typeof CompressionStream === 'undefined') {
+      return { bytes, compressed: false };
+    }
+
+    const compressed = await this.compressData(bytes);
+    return compressed.length < bytes.length
+      ? { bytes: compressed, compressed: true }
+      : { bytes, compressed: false };
+  }
+
+  /**
+   * Gzips bytes through a CompressionStream
+   * @param {Uint8Array} bytes
+   * @returns {Promise<Uint8Array>}
+   */
+  static async compressData(bytes) {
+    return this.pipeBytes(bytes, new CompressionStream('gzip'));
+  }
+
+  /**
+   * Gunzips bytes through a DecompressionStream. Snapshots arrive through
+   * links and pastes, so output past `maxSize` is rejected instead of letting
+   * a small payload inflate without bound.
+   * @param {Uint8Array} bytes
+   * @param {number} [maxSize=ENCODING_CONFIG.MAX_SNAPSHOT_SIZE]
+   * @returns {Promise<Uint8Array>}
+   */
+  static async decompressData(bytes, maxSize = ENCODING_CONFIG.MAX_SNAPSHOT_SIZE) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('Compressed snapshots need DecompressionStream support');
+    }
+
+    const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip')).getReader();
+    const chunks = [];
+    let size = 0;
+    for (let result = await reader.read(); !result.done; result = await reader.read()) {
+      size += result.value.length;
+      if (size > maxSize) {
+        await reader.cancel();
+        throw ErrorHandler.createError('Decompressed snapshot exceeds the size limit', {
+          code: 'SNAPSHOT_TOO_LARGE',
+          limit: maxSize
+        });
+      }
+      chunks.push(result.value);
+    }
+
+    const output = new Uint8Array(size);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      output.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return output;
+  }
+
+  static async pipeBytes(bytes, transform) {
+    // Response collects the streamed chunks into one buffer without re-copying per chunk
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  static isLegacyByteMap(value) {
+    return Boolean(value) &&
+      typeof value === 'object' &&
+      !Array.isArray(value) &&
+      !('formControls' in value) &&
+      Number.isInteger(value['0']);
+  }
+
+  static bytesToBase64Url(bytes) {
+    // Convert in slices to stay clear of argument length limits
+    const CHUNK_SIZE = 0x8000;
+    const parts = [];
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+      parts.push(String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK_SIZE)));
+    }
+    return btoa(parts.join('')).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  static base64UrlToBytes(encodedData) {
+    const base64 = encodedData.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Builds a shareable link to a page with the snapshot in the URL fragment.
+   * A hash route such as `#/orders/42` is kept and the snapshot is appended
+   * to its query (`#/orders/42?ngsnap=...`).
+   * @param {string} encodedData
+   * @param {string} [baseUrl]
+   * @returns {string}
+   */
+  static createShareUrl(encodedData, baseUrl = window.location.href) {
+    const url = new URL(baseUrl);
+    const { route, params } = this.splitFragment(url.hash.slice(1));
+    const kept = params.filter(param => !this.isSnapshotParam(param));
+    kept.push(`${ENCODING_CONFIG.URL_FRAGMENT_KEY}=${encodeURIComponent(encodedData)}`);
+    url.hash = this.joinFragment(route, kept);
+    return url.toString();
+  }
+
+  /**
+   * Extracts an encoded snapshot from a share URL or bare fragment
+   * @param {string} urlOrHash
+   * @returns {string|null}
+   */
+  static extractSnapshotFromUrl(urlOrHash) {
+    if (typeof urlOrHash !== 'string') {
+      return null;
+    }
+
+    const hashIndex = urlOrHash.indexOf('#');
+    const fragment = hashIndex >= 0 ? urlOrHash.slice(hashIndex + 1) : '';
+    const params = new URLSearchParams(this.splitFragment(fragment).params.join('&'));
+    const encoded = params.get(ENCODING_CONFIG.URL_FRAGMENT_KEY);
+
+    return encoded ? encoded.trim() : null;
+  }
+
+  /**
+   * Removes the snapshot parameter from a URL, leaving the hash route and
+   * any other fragment parameters as they were
+   * @param {string} urlString
+   * @returns {string}
+   */
+  static removeSnapshotFromUrl(urlString) {
+    const url = new URL(urlString);
+    const { route, params } = this.splitFragment(url.hash.slice(1));
+    url.hash = this.joinFragment(route, params.filter(param => !this.isSnapshotParam(param)));
+    return url.toString();
+  }
+
+  /**
+   * Splits a URL fragment into its hash route and raw `key=value` parameters.
+   * A fragment without `?` that contains `=` is treated as parameters only.
+   * @param {string} fragment - Fragment without the leading '#'
+   * @returns {{route: string, params: string[]}}
+   */
+  static splitFragment(fragment) {
+    const queryIndex = fragment.indexOf('?');
+    let route = fragment;
+    let query = '';
+
+    if (queryIndex >= 0) {
+      route = fragment.slice(0, queryIndex);
+      query = fragment.slice(queryIndex + 1);
+    } else if (fragment.includes('=')) {
+      route = '';
+      query = fragment;
+    }
+
+    // Parameters are kept as written so the app's own encoding is untouched
+    const params = query.split('&').filter(Boolean);
+
+    return { route, params };
+  }
+
+  /**
+   * Checks whether a raw fragment parameter is the snapshot parameter
+   * @param {string} param
+   * @returns {boolean}
+   */
+  static isSnapshotParam(param) {
+    return param.split('=')[0] === ENCODING_CONFIG.URL_FRAGMENT_KEY;
+  }
+
+  /**
+   * Joins a hash route and fragment parameters back into a fragment
+   * @param {string} route
+   * @param {string[]} params
+   * @returns {string}
+   */
+  static joinFragment(route, params) {
+    if (params.length === 0) {
+      return route;
+    }
+    return route ? `${route}?${params.join('&')}` : params.join('&');
+  }
+
+  /**
+   * Splits an encoded snapshot into numbered parts for tools that truncate
+   * long pastes. Each part reads `ngpart|id|index/total|checksum|data`.
+   * @param {string} encodedData
+   * @param {number} [partSize] - Characters of snapshot data per part
+   * @returns {Promise<string[]>}
+   */
+  static async splitIntoParts(encodedData, partSize = ENCODING_CONFIG.PARTS.DEFAULT_SIZE) {
+    if (!Number.isInteger(partSize) || partSize <= 0) {
+      throw new Error(`Invalid part size: ${partSize}`);
+    }
+
+    const id = Array.from(crypto.getRandomValues(new Uint8Array(ENCODING_CONFIG.PARTS.ID_LENGTH / 2)))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+    const total = Math.ceil(encodedData.length / partSize);
+    const parts = [];
+
+    for (let index = 0; index < total; index++) {
+      const data = encodedData.slice(index * partSize, (index + 1) * partSize);
+      const checksum = await this.calculateChecksum(data);
+      parts.push([ENCODING_CONFIG.PARTS.PREFIX, id, `${index + 1}/${total}`, checksum, data]
+        .join(ENCODING_CONFIG.SEPARATOR));
+    }
+
+    return parts;
+  }
+
+  /**
+   * Checks whether a string looks like a snapshot part
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static isPart(text) {
+    return typeof text === 'string' &&
+      text.startsWith(`${ENCODING_CONFIG.PARTS.PREFIX}${ENCODING_CONFIG.SEPARATOR}`);
+  }
+
+  /**
+   * Parses and verifies a single snapshot part
+   * @param {string} text
+   * @returns {Promise<{id: string, index: number, total: number, data: string}>}
+   */
+  static async parsePart(text) {
+    const fields = text.trim().split(ENCODING_CONFIG.SEPARATOR);
+    // Snapshot data contains the separator itself, so everything after the header is data
+    const [prefix, id, position, checksum] = fields;
+    const data = fields.slice(4).join(ENCODING_CONFIG.SEPARATOR);
+    const match = /^(\d+)\/(\d+)$/.exec(position || '');
+
+    if (prefix !== ENCODING_CONFIG.PARTS.PREFIX || !id || !match || !checksum || !data) {
+      throw new Error('Invalid snapshot part format');
+    }
+
+    const index = Number(match[1]);
+    const total = Number(match[2]);
+    if (index < 1 || index > total) {
+      throw new Error(`Invalid snapshot part number ${position}`);
+    }
+
+    if (await this.calculateChecksum(data) !== checksum) {
+      throw ErrorHandler.createError(`Snapshot part ${position} is damaged or truncated`, {
+        code: 'PART_CHECKSUM_MISMATCH',
+        id,
+        index,
+        total
+      });
+    }
+
+    return { id, index, total, data };
+  }
+
+  /**
+   * Reassembles parts of one snapshot, in any order
+   * @param {Array<{id: string, index: number, total: number, data: string}>} parts
+   * @returns {string}
+   */
+  static joinParts(parts) {
+    if (parts.length === 0) {
+      throw new Error('No snapshot parts to join');
+    }
+
+    const { id, total } = parts[0];
+    const ordered = new Array(total);
+    for (const part of parts) {
+      if (part.id !== id || part.total !== total) {
+        throw new Error('Snapshot parts belong to different snapshots');
+      }
+      ordered[part.index - 1] = part.data;
+    }
+
+    const missing = [];
+    for (let index = 0; index < total; index++) {
+      if (ordered[index] === undefined) {
+        missing.push(index + 1);
+      }
+    }
+    if (missing.length > 0) {
+      throw ErrorHandler.createError(`Missing snapshot parts: ${missing.join(', ')} of ${total}`, {
+        code: 'PARTS_INCOMPLETE',
+        missing
+      });
+    }
+
+    return ordered.join('');
+  }
+
+  static async calculateChecksum(data) {
+    if (crypto.subtle) {
+      const encoder = new TextEncoder();
+      const dataBuffer = encoder.encode(data);
+      const hashBuffer = await crypto.subtle.digest('SHA-256', dataBuffer);
+      const hashArray = Array.from(new Uint8Array(hashBuffer));
+      return hashArray.map(b => b.toString(16).padStart(2, '0')).join('').slice(0, 16);
+    }
+
+    // Fallback: simple hash
+    let hash = 0;
+    for (let i = 0; i < data.length; i++) {
+      const char = data.charCodeAt(i);
+      hash = ((hash << 5) - hash) + char;
+      hash = hash & hash; // Convert to 32-bit integer
+    }
+    return Math.abs(hash).toString(16).padStart(8, '0');
+  }
+}
+
+/**
+ * Matches snapshot controls to live controls by identity, trying each field of
+ * CONTROL_MATCH_RANKS in turn
+ */
+class ControlMatcher {
+  /**
+   * Pairs snapshot controls with live controls
+   * @param {Object[]} snapshotControls
+   * @param {FormControlData[]} liveControls
+   * @param {Object} [options]
+   * @param {Array} [options.ranks] - Subset of CONTROL_MATCH_RANKS to try
+   * @param {Array} [options.results] - Earlier results to continue, filling only unmatched entries
+   * @returns {Array<{snapshotControl: Object, control: FormControlData|null, matchedBy: string|null, confidence: number}>}
+   *   One entry per snapshot control, in snapshot order
+   */
+  static match(snapshotControls, liveControls, options = {}) {
+    const results = options.results || snapshotControls.map(snapshotControl => ({
+      snapshotControl,
+      control: null,
+      matchedBy: null,
+      confidence: 0
+    }));
+    const liveIdentities = liveControls.map(control => this.getIdentity(control));
+    const snapshotIdentities = snapshotControls.map(control => this.getIdentity(control));
+    const alreadyMatched = new Set(results.map(result => result.control).filter(Boolean));
+    const matchedLive = new Set(liveControls.map((control, index) => (alreadyMatched.has(control) ? index : -1)).filter(index => index !== -1));
+
+    for (const rank of options.ranks || CONTROL_MATCH_RANKS) {
+      const liveByKey = this.groupByKey(liveControls, liveIdentities, rank.field, index => !matchedLive.has(index));
+      const snapshotByKey = this.groupByKey(snapshotControls, snapshotIdentities, rank.field, index => !results[index].control);
+
+      snapshotByKey.forEach((snapshotIndexes, key) => {
+        const liveIndexes = liveByKey.get(key);
+        if (!liveIndexes) return;
+
+        // Repeated keys (e.g. the same name in every row) pair up in document order
+        const unique = snapshotIndexes.length === 1 && liveIndexes.length === 1;
+        const confidence = unique ? rank.confidence : Math.round(rank.confidence * 80) / 100;
+
+        snapshotIndexes.slice(0, liveIndexes.length).forEach((snapshotIndex, position) => {
+          const liveIndex = liveIndexes[position];
+          matchedLive.add(liveIndex);
+          Object.assign(results[snapshotIndex], {
+            control: liveControls[liveIndex],
+            matchedBy: rank.field,
+            confidence
+          });
+        });
+      });
+    }
+
+    return results;
+  }
+
+  static groupByKey(controls, identities, field, include) {
+    const groups = new Map();
+    controls.forEach((control, index) => {
+      if (!include(index)) return;
+      const key = this.getMatchKey(control, identities[index], field);
+      if (key === null) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(index);
+    });
+    return groups;
+  }
+
+  /**
+   * Builds the comparison key for one identity field. Form paths are scoped to
+   * their root form, the other fields to the tag name, and radio buttons add
+   * their option value.
+   * @returns {string|null} Null when the control has no value for the field
+   */
+  static getMatchKey(control, identity, field) {
+    const value = identity[field];
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const scope = field === 'formPath' ? identity.form || '' : control.tagName || '';
+    const option = identity.option !== undefined ? `=${identity.option}` : '';
+    return `${scope}|${value}${option}`;
+  }
+
+  /**
+   * Returns the most reliable match key of a control, used to save mappings
+   * @param {Object} control
+   * @returns {string|null} e.g. 'formPath:signup|firstName'
+   */
+  static getPrimaryKey(control) {
+    const identity = this.getIdentity(control);
+    for (const rank of CONTROL_MATCH_RANKS) {
+      const key = this.getMatchKey(control, identity, rank.field);
+      if (key !== null) {
+        return `${rank.field}:${key}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Matches leftover snapshot controls through saved mappings
+   * @param {Array} results - Output of match(), updated in place
+   * @param {FormControlData[]} liveControls
+   * @param {Object<string, string>} mappings - Snapshot primary key to live primary key
+   * @returns {number} Number of controls matched
+   */
+  static applyMappings(results, liveControls, mappings) {
+    const used = new Set(results.map(result => result.control).filter(Boolean));
+    const liveByKey = new Map();
+    liveControls.forEach(control => {
+      const key = used.has(control) ? null : this.getPrimaryKey(control);
+      if (key !== null && !liveByKey.has(key)) {
+        liveByKey.set(key, control);
+      }
+    });
+
+    let applied = 0;
+    results.forEach(result => {
+      if (result.control) return;
+      const target = mappings[this.getPrimaryKey(result.snapshotControl)];
+      const control = target ? liveByKey.get(target) : null;
+      if (!control) return;
+
+      liveByKey.delete(target);
+      Object.assign(result, { control, matchedBy: 'mapping', confidence: MAPPED_MATCH_CONFIDENCE });
+      applied++;
+    });
+
+    return applied;
+  }
+
+  /**
+   * Scores unmatched live controls as candidates for each unmatched snapshot
+   * control by label, placeholder, type and position
+   * @param {Array} results - Output of match()
+   * @param {FormControlData[]} liveControls
+   * @returns {Array<{resultIndex: number, candidates: Array<{liveIndex: number, score: number}>}>}
+   */
+  static proposeCandidates(results, liveControls) {
+    const used = new Set(results.map(result => result.control).filter(Boolean));
+    const freeLive = liveControls
+      .map((control, liveIndex) => ({ control, liveIndex, features: this.getFuzzyFeatures(control) }))
+      .filter(entry => !used.has(entry.control));
+    const relative = (index, total) => (total > 1 ? index / (total - 1) : 0);
+    const proposals = [];
+
+    results.forEach((result, resultIndex) => {
+      if (result.control) return;
+      const features = this.getFuzzyFeatures(result.snapshotControl);
+      const position = relative(resultIndex, results.length);
+
+      const candidates = freeLive
+        .map(({ liveIndex, features: live }) => {
+          const { WEIGHTS } = FUZZY_MATCH;
+          const score =
+            WEIGHTS.label * this.similarity(features.label, live.label) +
+            WEIGHTS.placeholder * this.similarity(features.placeholder, live.placeholder) +
+            WEIGHTS.type * (features.type === live.type ? 1 : 0) +
+            WEIGHTS.position * (1 - Math.abs(position - relative(liveIndex, liveControls.length)));
+          return { liveIndex, score: Math.round(score * 100) / 100 };
+        })
+        .filter(candidate => candidate.score >= FUZZY_MATCH.MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, FUZZY_MATCH.MAX_CANDIDATES);
+
+      if (candidates.length > 0) {
+        proposals.push({ resultIndex, candidates });
+      }
+    });
+
+    return proposals;
+  }
+
+  static getFuzzyFeatures(control) {
+    const identity = this.getIdentity(control);
+    const attributes = control.attributes || {};
+    return {
+      label: identity.label || attributes['aria-label'] || null,
+      placeholder: control.metadata?.placeholder || attributes.placeholder || null,
+      // Ordinals start with tag and input type, e.g. 'input:email#2'
+      type: identity.ordinal ? identity.ordinal.split('#')[0] : `${control.tagName || ''}:${attributes.type || ''}`
+    };
+  }
+
+  /**
+   * Dice coefficient over character bigrams, case- and punctuation-insensitive
+   * @param {string|null} a
+   * @param {string|null} b
+   * @returns {number} 0..1, 0 when either side is missing
+   */
+  static similarity(a, b) {
+    const normalize = text => (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const left = normalize(a);
+    const right = normalize(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const bigrams = text => {
+      const pairs = new Map();
+      for (let i = 0; i < text.length - 1; i++) {
+        const pair = text.slice(i, i + 2);
+        pairs.set(pair, (pairs.get(pair) || 0) + 1);
+      }
+      return pairs;
+    };
+    const leftPairs = bigrams(left);
+    const rightPairs = bigrams(right);
+    let overlap = 0;
+    leftPairs.forEach((count, pair) => {
+      overlap += Math.min(count, rightPairs.get(pair) || 0);
+    });
+
+    const total = Math.max(left.length - 1, 0) + Math.max(right.length - 1, 0);
+    return total > 0 ? (2 * overlap) / total : 0;
+  }
+
+  /**
+   * Returns the recorded identity, or one derived from the fields older
+   * snapshots carried
+   * @param {Object} control
+   * @returns {Object}
+   */
+  static getIdentity(control) {
+    if (control.identity) {
+      return control.identity;
+    }
+
+    const attributes = control.attributes || {};
+    const id = attributes.id && !GENERATED_ID_PATTERN.test(attributes.id) ? attributes.id : null;
+    const identity = {
+      form: null,
+      formPath: null,
+      name: control.name || attributes.name || null,
+      id,
+      label: attributes['aria-label'] || null,
+      ordinal: null
+    };
+    if (attributes.type === 'radio') {
+      identity.option = attributes.value;
+    }
+    return identity;
+  }
+}
+
+/**
+ * Chooses a subset of a snapshot to restore. Controls are keyed by their
+ * primary match key, leaves of structured form groups by `group:<key>|<path>`,
+ * both prefixed with `frame:<frame key>|` when captured inside a frame, so a
+ * saved selection applies to later snapshots of the same page.
+ */
+class RestoreSelection {
+  /**
+   * Builds a forms -> controls tree for the selection UI
+   * @param {Object} snapshot - Decoded snapshot payload
+   * @returns {Array<{id: string, label: string, key?: string, children: Array}>} Root nodes, one per form
+   */
+  static buildTree(snapshot) {
+    const roots = [];
+    const rootFor = label => {
+      let root = roots.find(node => node.label === label);
+      if (!root) {
+        root = { id: label, label, children: [] };
+        roots.push(root);
+      }
+      return root;
+    };
+    const addLeaf = (root, segments, key) => {
+      let node = root;
+      segments.forEach((segment, index) => {
+        const id = `${node.id}/${segment}`;
+        let child = node.children.find(candidate => candidate.id === id);
+        if (!child) {
+          child = { id, label: segment, children: [] };
+          node.children.push(child);
+        }
+        if (index === segments.length - 1) {
+          child.key = key;
+        }
+        node = child;
+      });
+    };
+
+    (snapshot.formGroups || []).forEach(group => {
+      const root = rootFor(this.getRootLabel(group.key, group.frame));
+      this.listLeafPaths(group.value).forEach(path => {
+        addLeaf(root, this.splitFormPath(path), this.getGroupLeafKey(group, path));
+      });
+    });
+
+    (snapshot.formControls || []).forEach(control => {
+      const key = this.getControlKey(control);
+      if (!key) return;
+
+      const identity = ControlMatcher.getIdentity(control);
+      const root = rootFor(this.getRootLabel(identity.form || 'Other controls', control.frame));
+      const segments = identity.formPath
+        ? this.splitFormPath(identity.formPath)
+        : [identity.label || control.name || identity.id || identity.ordinal || control.tagName || 'control'];
+      if (identity.option !== undefined) {
+        segments[segments.length - 1] += ` = ${identity.option}`;
+      }
+      addLeaf(root, segments, key);
+    });
+
+    return roots;
+  }
+
+  /**
+   * Lists every selectable key in a snapshot
+   * @param {Object} snapshot
+   * @returns {string[]}
+   */
+  static listKeys(snapshot) {
+    const keys = [];
+    const collect = node => {
+      if (node.key) keys.push(node.key);
+      node.children.forEach(collect);
+    };
+    this.buildTree(snapshot).forEach(collect);
+    return keys;
+  }
+
+  /**
+   * Returns a copy of the snapshot holding only the selected controls, with
+   * form-group values pruned to the selected leaves. The copy is marked
+   * `selective` so FormArrays are grown to fit but never shrunk.
+   * @param {Object} snapshot
+   * @param {string[]} selectedKeys
+   * @returns {Object}
+   */
+  static filterSnapshot(snapshot, selectedKeys) {
+    const selected = new Set(selectedKeys);
+    const filtered = {
+      ...snapshot,
+      selective: true,
+      formControls: (snapshot.formControls || []).filter(control => selected.has(this.getControlKey(control)))
+    };
+
+    if (snapshot.formGroups) {
+      filtered.formGroups = snapshot.formGroups
+        .map(group => {
+          const value = {};
+          this.listLeafPaths(group.value)
+            .filter(path => selected.has(this.getGroupLeafKey(group, path)))
+            .forEach(path => {
+              const segments = this.splitFormPath(path).map(segment => segment.replace(/^\[(\d+)\]$/, '$1'));
+              FormControlInspector.setValueAtPath(value, segments, FormControlInspector.getValueAtPath(group.value, segments));
+            });
+          return { ...group, value };
+        })
+        .filter(group => Object.keys(group.value).length > 0);
+    }
+
+    return filtered;
+  }
+
+  static getGroupLeafKey(group, path) {
+    const frameKey = DOMUtils.getFrameKey(group.frame);
+    return `${frameKey ? `frame:${frameKey}|` : ''}group:${group.key}|${path}`;
+  }
+
+  /**
+   * Selection key of a snapshot control; controls captured in a frame are
+   * prefixed with the frame so they can't collide with top-document ones
+   * @param {Object} control
+   * @returns {string|null}
+   */
+  static getControlKey(control) {
+    const key = ControlMatcher.getPrimaryKey(control);
+    const frameKey = DOMUtils.getFrameKey(control.frame);
+    return key && frameKey ? `frame:${frameKey}|${key}` : key;
+  }
+
+  static getRootLabel(label, frame) {
+    return frame ? `${label} (${frame.url})` : label;
+  }
+
+  /**
+   * Lists leaf paths of a value tree in form-path notation (`items[0].qty`).
+   * Arrays of primitives and empty containers count as leaves.
+   * @param {*} value
+   * @param {string[]} [path]
+   * @returns {string[]}
+   */
+  static listLeafPaths(value, path = []) {
+    const isContainer = value !== null && typeof value === 'object';
+    const children = isContainer ? Object.entries(value) : [];
+    const primitiveArray = Array.isArray(value) && value.every(item => item === null || typeof item !== 'object');
+
+    if (!isContainer || children.length === 0 || primitiveArray) {
+      return path.length > 0 ? [FormControlInspector.formatFormPath(path)] : [];
+    }
+
+    return children.flatMap(([key, child]) => this.listLeafPaths(child, [...path, key]));
+  }
+
+  /**
+   * Splits a formatted form path into tree segments: `items[2].qty` -> items, [2], qty
+   * @param {string} formPath
+   * @returns {string[]}
+   */
+  static splitFormPath(formPath) {
+    return formPath.match(/\[\d+\]|[^.[\]]+/g) || [formPath];
+  }
+}
+
+/**
+ * Component adapters read and write form components that keep their value in
+ * the component instance, which production builds expose neither through
+ * `ng-reflect-*` attributes nor through the ng debug APIs. Each adapter works
+ * through what is rendered instead: value text, ARIA state, native inputs and
+ * the overlay panels it opens and closes.
+ *
+ * Adapter shape:
+ *   name       - Unique name, recorded in captured metadata
+ *   match      - (element) => boolean
+ *   read       - (element) => value, synchronous
+ *   write      - (element, value) => Promise|void
+ *   selector   - Optional CSS selector used to discover hosts during capture
+ *   ownsInputs - Optional; native inputs inside the host are part of its value
+ *                and are not captured on their own
+ *   valueType  - Optional; recorded with the captured value. 'richText' values
+ *                keep what the adapter read over the form model value, and are
+ *                restored through the adapter rather than the model
+ */
+const COMPONENT_ADAPTER_CONFIG = {
+  PANEL_TIMEOUT: 1000,
+  POLL_INTERVAL: 25,
+  MAX_SLIDER_STEPS: 1000
+};
+
+const MATERIAL_ADAPTERS = [
+  {
+    name: 'mat-select',
+    selector: 'mat-select',
+    match: element => element.matches('mat-select'),
+    read(element) {
+      const text = element.querySelector('.mat-mdc-select-value-text, .mat-select-value-text')?.textContent.trim() || '';
+      if (!ComponentAdapters.isMultiple(element)) {
+        return text;
+      }
+      const selected = ComponentAdapters.getSelectedOptionValues(element);
+      if (selected) {
+        return selected;
+      }
+      // Production builds with a closed panel only render the joined labels,
+      // which is ambiguous for labels containing the separator
+      return text ? text.split(', ') : [];
+    },
+    async write(element, value) {
+      const multiple = ComponentAdapters.isMultiple(element);
+      const wanted = ComponentAdapters.toList(value);
+      const trigger = element.querySelector('.mat-mdc-select-trigger, .mat-select-trigger') || element;
+      const options = await ComponentAdapters.openPanel(element, trigger);
+
+      try {
+        ComponentAdapters.assertOptions(options, wanted);
+        options.forEach(option => {
+          const wantedOption = wanted.some(item => ComponentAdapters.optionMatches(option, item));
+          const selected = option.getAttribute('aria-selected') === 'true';
+          if (multiple ? wantedOption !== selected : wantedOption && !selected) {
+            option.click();
+          }
+        });
+      } finally {
+        // Single selects close themselves on selection
+        ComponentAdapters.closePanel(element);
+      }
+    }
+  },
+  {
+    // Single date inputs and both halves of a mat-date-range-input
+    name: 'mat-datepicker',
+    match: element => element.matches('input.mat-datepicker-input, input.mat-start-date, input.mat-end-date'),
+    read: element => element.value || '',
+    async write(element, value) {
+      // The DateAdapter parses the text on input and reformats it on blur
+      const text = value instanceof Date ? value.toISOString() : String(value ?? '');
+      DOMUtils.triggerChangeEvent(element, text);
+    }
+  },
+  {
+    name: 'mat-autocomplete',
+    match: element => element.matches('input.mat-mdc-autocomplete-trigger, input.mat-autocomplete-trigger'),
+    read: element => element.value || '',
+    async write(element, value) {
+      const text = String(value ?? '');
+      element.focus();
+      element.value = text;
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+
+      // Typing opens the filtered panel; picking the option sets the real value
+      const options = text ? await ComponentAdapters.waitForOptions(element) : [];
+      const option = options.find(candidate => ComponentAdapters.optionMatches(candidate, text));
+      if (option) {
+        option.click();
+      } else {
+        ComponentAdapters.closePanel(element);
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+      element.dispatchEvent(new Event('blur', { bubbles: true }));
+    }
+  },
+  {
+    // Input chips: chips are removed with their remove button and added by
+    // typing into the chip input, as the app's token-end handler expects
+    name: 'mat-chip-grid',
+    selector: 'mat-chip-grid, mat-chip-list',
+    ownsInputs: true,
+    match: element => element.matches('mat-chip-grid') ||
+      (element.matches('mat-chip-list') && element.querySelector('input') !== null),
+    read: element => ComponentAdapters.getChips(element).map(chip => ComponentAdapters.getOptionText(chip)),
+    async write(element, value) {
+      const wanted = ComponentAdapters.toList(value).map(String);
+      const chips = ComponentAdapters.getChips(element);
+
+      chips.forEach(chip => {
+        if (!wanted.includes(ComponentAdapters.getOptionText(chip))) {
+          chip.querySelector('[matChipRemove], .mat-mdc-chip-remove, .mat-chip-remove')?.click();
+        }
+      });
+
+      const input = element.querySelector('input');
+      const present = chips.map(chip => ComponentAdapters.getOptionText(chip));
+      wanted.filter(text => !present.includes(text)).forEach(text => {
+        if (!input) {
+          throw new Error('Chip input not found');
+        }
+        input.value = text;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        ComponentAdapters.dispatchKey(input, 'Enter', 13);
+      });
+    }
+  },
+  {
+    // Selectable chips: the value is the selected chips
+    name: 'mat-chip-listbox',
+    selector: 'mat-chip-listbox, mat-chip-list',
+    match: element => element.matches('mat-chip-listbox') ||
+      (element.matches('mat-chip-list') && element.querySelector('input') === null),
+    read(element) {
+      const selected = ComponentAdapters.getChips(element)
+        .filter(chip => chip.getAttribute('aria-selected') === 'true' ||
+          chip.classList.contains('mat-mdc-chip-selected') ||
+          chip.classList.contains('mat-chip-selected'))
+        .map(chip => ComponentAdapters.getOptionValue(chip));
+      return ComponentAdapters.isMultiple(element) ? selected : selected[0] ?? null;
+    },
+    async write(element, value) {
+      const wanted = ComponentAdapters.toList(value);
+      const chips = ComponentAdapters.getChips(element);
+      ComponentAdapters.assertOptions(chips, wanted);
+
+      const current = ComponentAdapters.toList(this.read(element)).map(String);
+      chips.forEach(chip => {
+        const wantedChip = wanted.some(item => ComponentAdapters.optionMatches(chip, item));
+        const selected = current.includes(String(ComponentAdapters.getOptionValue(chip)));
+        if (wantedChip !== selected) {
+          (chip.querySelector('.mdc-evolution-chip__action--primary') || chip).click();
+        }
+      });
+    }
+  },
+  {
+    // MDC sliders (v15+) render a native range input per thumb; legacy sliders
+    // are ARIA-only hosts that take keyboard input
+    name: 'mat-slider',
+    selector: 'mat-slider',
+    match: element => element.matches('input.mdc-slider__input') ||
+      (element.matches('mat-slider') && element.querySelector('input') === null),
+    read(element) {
+      const raw = element.matches('input') ? element.value : element.getAttribute('aria-valuenow');
+      return raw === null || raw === '' ? null : Number(raw);
+    },
+    async write(element, value) {
+      if (element.matches('input')) {
+        DOMUtils.triggerChangeEvent(element, String(value));
+        return;
+      }
+
+      const target = Number(value);
+      ComponentAdapters.dispatchKey(element, 'Home', 36);
+      for (let step = 0; step < COMPONENT_ADAPTER_CONFIG.MAX_SLIDER_STEPS; step++) {
+        if (Number(element.getAttribute('aria-valuenow')) >= target) break;
+        ComponentAdapters.dispatchKey(element, 'ArrowRight', 39);
+      }
+    }
+  },
+  {
+    name: 'mat-button-toggle-group',
+    selector: 'mat-button-toggle-group',
+    match: element => element.matches('mat-button-toggle-group'),
+    read(element) {
+      const checked = Array.from(element.querySelectorAll('mat-button-toggle'))
+        .filter(toggle => toggle.classList.contains('mat-button-toggle-checked'))
+        .map(toggle => ComponentAdapters.getOptionValue(toggle));
+      return ComponentAdapters.isMultiple(element) ? checked : checked[0] ?? null;
+    },
+    async write(element, value) {
+      const multiple = ComponentAdapters.isMultiple(element);
+      const wanted = ComponentAdapters.toList(value);
+      const toggles = Array.from(element.querySelectorAll('mat-button-toggle'));
+      ComponentAdapters.assertOptions(toggles, wanted);
+
+      toggles.forEach(toggle => {
+        const wantedToggle = wanted.some(item => ComponentAdapters.optionMatches(toggle, item));
+        const checked = toggle.classList.contains('mat-button-toggle-checked');
+        if (multiple ? wantedToggle !== checked : wantedToggle && !checked) {
+          (toggle.querySelector('button') || toggle).click();
+        }
+      });
+    }
+  },
+  {
+    // Each mat-radio-button renders a native radio carrying the option value
+    name: 'mat-radio-group',
+    selector: 'mat-radio-group',
+    ownsInputs: true,
+    match: element => element.matches('mat-radio-group'),
+    read: element => element.querySelector('input[type="radio"]:checked')?.value ?? null,
+    async write(element, value) {
+      if (value === null || value === undefined) return;
+
+      const radio = Array.from(element.querySelectorAll('input[type="radio"]'))
+        .find(input => input.value === String(value));
+      if (!radio) {
+        throw new Error(`Option not found: ${ComponentAdapters.describeValue(value)}`);
+      }
+      if (!radio.checked) {
+        radio.click();
+      }
+    }
+  }
+];
+
+// ng-select and PrimeNG render a hidden or search input inside the host; the
+// host carries formControlName and the value
+const THIRD_PARTY_ADAPTERS = [
+  {
+    name: 'ng-select',
+    selector: 'ng-select',
+    ownsInputs: true,
+    match: element => element.matches('ng-select'),
+    read(element) {
+      const labels = Array.from(element.querySelectorAll('.ng-value .ng-value-label'))
+        .map(label => label.textContent.trim());
+      return element.classList.contains('ng-select-multiple') ? labels : labels[0] ?? null;
+    },
+    async write(element, value) {
+      const multiple = element.classList.contains('ng-select-multiple');
+      const wanted = ComponentAdapters.toList(value);
+      const input = element.querySelector('input[role="combobox"]') || element;
+
+      if (wanted.length === 0) {
+        // The clear button reacts to mousedown, like the rest of ng-select
+        const clear = element.querySelector('.ng-clear-wrapper');
+        if (clear) ComponentAdapters.dispatchMouseDown(clear);
+        return;
+      }
+
+      if (multiple) {
+        element.querySelectorAll('.ng-value').forEach(selected => {
+          const label = selected.querySelector('.ng-value-label')?.textContent.trim();
+          if (!wanted.some(item => String(item) === label)) {
+            selected.querySelector('.ng-value-icon')?.click();
+          }
+        });
+      }
+
+      if (input.getAttribute('aria-expanded') !== 'true') {
+        ComponentAdapters.dispatchMouseDown(element.querySelector('.ng-select-container') || element);
+      }
+      const options = await ComponentAdapters.waitForOptions(input);
+
+      try {
+        ComponentAdapters.assertOptions(options, wanted);
+        options.forEach(option => {
+          const selected = option.getAttribute('aria-selected') === 'true' ||
+            option.classList.contains('ng-option-selected');
+          if (!selected && wanted.some(item => ComponentAdapters.optionMatches(option, item))) {
+            option.click();
+          }
+        });
+      } finally {
+        ComponentAdapters.closePanel(input);
+      }
+    }
+  },
+  {
+    // p-select is the PrimeNG 18 name of p-dropdown
+    name: 'p-dropdown',
+    selector: 'p-dropdown, p-select',
+    ownsInputs: true,
+    match: element => element.matches('p-dropdown, p-select'),
+    read(element) {
+      const instanceValue = ComponentAdapters.getComponentValue(element);
+      if (instanceValue !== undefined) return instanceValue;
+
+      const label = element.querySelector('.p-dropdown-label, .p-select-label');
+      if (!label || label.classList.contains('p-placeholder')) return null;
+      return label.matches('input') ? label.value : label.textContent.trim();
+    },
+    async write(element, value) {
+      if (value === null || value === undefined || value === '') {
+        element.querySelector('.p-dropdown-clear-icon, .p-select-clear-icon')?.click();
+        return;
+      }
+
+      const input = element.querySelector('input[role="combobox"]') || element;
+      const container = element.querySelector('.p-dropdown, .p-select') || element;
+      const options = await ComponentAdapters.openPanel(input, container);
+      const option = options.find(candidate => ComponentAdapters.optionMatches(candidate, value));
+      if (!option) {
+        ComponentAdapters.closePanel(input);
+        throw new Error(`Option not found: ${ComponentAdapters.describeValue(value)}`);
+      }
+      // Selecting closes the panel
+      option.click();
+    }
+  },
+  {
+    name: 'p-multiselect',
+    selector: 'p-multiselect',
+    ownsInputs: true,
+    match: element => element.matches('p-multiselect'),
+    read(element) {
+      const instanceValue = ComponentAdapters.getComponentValue(element);
+      if (instanceValue !== undefined) return instanceValue ?? [];
+
+      const tokens = element.querySelectorAll('.p-multiselect-token-label, .p-multiselect-chip .p-chip-label');
+      if (tokens.length > 0) {
+        return Array.from(tokens).map(token => token.textContent.trim());
+      }
+      const label = element.querySelector('.p-multiselect-label');
+      if (!label || label.classList.contains('p-placeholder')) return [];
+      return label.textContent.trim() ? label.textContent.trim().split(', ') : [];
+    },
+    async write(element, value) {
+      const wanted = ComponentAdapters.toList(value);
+      const input = element.querySelector('input[role="combobox"]') || element;
+      const container = element.querySelector('.p-multiselect') || element;
+      const options = await ComponentAdapters.openPanel(input, container);
+
+      try {
+        ComponentAdapters.assertOptions(options, wanted);
+        options.forEach(option => {
+          const wantedOption = wanted.some(item => ComponentAdapters.optionMatches(option, item));
+          const selected = option.getAttribute('aria-selected') === 'true' || option.classList.contains('p-highlight');
+          if (wantedOption !== selected) {
+            option.click();
+          }
+        });
+      } finally {
+        ComponentAdapters.closePanel(input);
+      }
+    }
+  },
+  {
+    // p-datepicker is the PrimeNG 18 name of p-calendar
+    name: 'p-calendar',
+    selector: 'p-calendar, p-datepicker',
+    ownsInputs: true,
+    match: element => element.matches('p-calendar, p-datepicker'),
+    read: element => element.querySelector('input')?.value || '',
+    async write(element, value) {
+      const input = element.querySelector('input');
+      if (!input) {
+        throw new Error('Inline calendars cannot be restored through the DOM');
+      }
+      // PrimeNG parses typed text with its dateFormat on input and formats it on blur
+      const text = value instanceof Date ? value.toLocaleDateString() : String(value ?? '');
+      DOMUtils.triggerChangeEvent(input, text);
+    }
+  }
+];
+
+// Markup of the editors below; editables inside it are only written through the editor API
+const RICH_TEXT_EDITOR_SELECTOR = 'quill-editor, .ql-container, editor, .tox, .mce-content-body, ckeditor, .ck, .cke, .cke_editable';
+const CONTENTEDITABLE_SELECTOR = '[contenteditable]:not([contenteditable="false"])';
+
+// Rich-text editors keep a document model of their own, so values are written
+// through the editor API (or, for plain contenteditable, with the input events
+// a ControlValueAccessor listens for) and read as sanitized HTML plus text
+const RICH_TEXT_ADAPTERS = [
+  {
+    // ngx-quill hosts and bare Quill containers
+    name: 'quill',
+    selector: 'quill-editor, .ql-container',
+    ownsInputs: true,
+    valueType: 'richText',
+    match: element => element.matches('quill-editor, .ql-container'),
+    read(element) {
+      const quill = ComponentAdapters.getQuill(element);
+      const root = quill?.root || element.querySelector('.ql-editor');
+      return ComponentAdapters.toRichText(root?.innerHTML || '', quill?.getText());
+    },
+    write(element, value) {
+      const html = ComponentAdapters.toRichTextHtml(value);
+      const quill = ComponentAdapters.getQuill(element);
+      if (!quill) {
+        // Quill's mutation observer turns DOM edits of its root into user changes
+        ComponentAdapters.writeEditable(element.querySelector('.ql-editor'), html);
+        return;
+      }
+      if (!quill.isEnabled()) {
+        throw new Error('Control is readonly or disabled');
+      }
+      // A 'user' source is what ngx-quill forwards to the form control
+      quill.clipboard.dangerouslyPasteHTML(html, 'user');
+    }
+  },
+  {
+    // tinymce-angular hosts, textareas TinyMCE has replaced and inline editors
+    name: 'tinymce',
+    selector: 'editor, .mce-content-body',
+    ownsInputs: true,
+    valueType: 'richText',
+    match: element => element.matches('editor') ||
+      (element.matches('textarea, .mce-content-body') && ComponentAdapters.getTinyMCE(element) !== null),
+    read(element) {
+      const editor = ComponentAdapters.getTinyMCE(element);
+      if (!editor) {
+        // Until the editor initializes its content is still in the textarea
+        const textarea = element.matches('textarea') ? element : element.querySelector('textarea');
+        return ComponentAdapters.toRichText(textarea?.value || '');
+      }
+      return ComponentAdapters.toRichText(editor.getContent(), editor.getContent({ format: 'text' }));
+    },
+    write(element, value) {
+      const editor = ComponentAdapters.getTinyMCE(element);
+      if (!editor) {
+        throw new Error('TinyMCE editor is not initialized');
+      }
+      if (editor.mode?.get?.() === 'readonly') {
+        throw new Error('Control is readonly or disabled');
+      }
+      editor.setContent(ComponentAdapters.toRichTextHtml(value));
+      editor.undoManager?.add();
+      // tinymce-angular updates the form control on change; TinyMCE 6 renamed fire to dispatch
+      (editor.dispatch || editor.fire).call(editor, 'change');
+    }
+  },
+  {
+    // ckeditor5-angular hosts and CKEditor 5 editables
+    name: 'ckeditor5',
+    selector: 'ckeditor, .ck-editor__editable',
+    ownsInputs: true,
+    valueType: 'richText',
+    match: element => element.matches('ckeditor, .ck-editor__editable') && ComponentAdapters.getCKEditor5(element) !== null,
+    read: element => ComponentAdapters.toRichText(ComponentAdapters.getCKEditor5(element).getData()),
+    write(element, value) {
+      const editor = ComponentAdapters.getCKEditor5(element);
+      if (editor.isReadOnly) {
+        throw new Error('Control is readonly or disabled');
+      }
+      // The model's change:data event reaches ckeditor5-angular's onChange
+      editor.setData(ComponentAdapters.toRichTextHtml(value));
+    }
+  },
+  {
+    // ckeditor4-angular hosts, textareas CKEditor 4 has replaced and inline editors
+    name: 'ckeditor4',
+    selector: 'ckeditor, .cke_editable',
+    ownsInputs: true,
+    valueType: 'richText',
+    match: element => element.matches('ckeditor, textarea, .cke_editable') && ComponentAdapters.getCKEditor4(element) !== null,
+    read: element => ComponentAdapters.toRichText(ComponentAdapters.getCKEditor4(element).getData()),
+    write(element, value) {
+      const editor = ComponentAdapters.getCKEditor4(element);
+      if (editor.readOnly) {
+        throw new Error('Control is readonly or disabled');
+      }
+      // setData finishes asynchronously in iframe mode; ckeditor4-angular listens for change
+      return new Promise(resolve => {
+        editor.setData(ComponentAdapters.toRichTextHtml(value), {
+          callback: () => {
+            editor.fire('change');
+            resolve();
+          }
+        });
+      });
+    }
+  },
+  {
+    // Editing roots bound through a custom ControlValueAccessor
+    name: 'contenteditable',
+    selector: CONTENTEDITABLE_SELECTOR,
+    valueType: 'richText',
+    match: element => element.matches(CONTENTEDITABLE_SELECTOR) &&
+      !element.parentElement?.closest(CONTENTEDITABLE_SELECTOR) &&
+      !element.closest(RICH_TEXT_EDITOR_SELECTOR),
+    read: element => ComponentAdapters.toRichText(element.innerHTML, element.innerText),
+    write(element, value) {
+      ComponentAdapters.writeEditable(element, ComponentAdapters.toRichTextHtml(value));
+    }
+  }
+];
+
+// Registered adapters, most recently registered first so teams can override built-ins
+const COMPONENT_ADAPTERS = [...THIRD_PARTY_ADAPTERS, ...MATERIAL_ADAPTERS, ...RICH_TEXT_ADAPTERS];
+
+/**
+ * Public adapter registry, consulted by capture and restore before the
+ * generic DOM path, plus the DOM helpers the built-in adapters share
+ */
+class ComponentAdapters {
+  /**
+   * Registers an adapter, replacing any adapter with the same name
+   * @param {{name: string, match: Function, read: Function, write: Function, selector?: string, ownsInputs?: boolean}} adapter
+   * @returns {string} The adapter name
+   */
+  static register(adapter) {
+    if (!adapter || typeof adapter.name !== 'string' || !adapter.name ||
+        typeof adapter.match !== 'function' ||
+        typeof adapter.read !== 'function' ||
+        typeof adapter.write !== 'function') {
+      throw new Error('Component adapter needs a name, match(element), read(element) and write(element, value)');
+    }
+
+    if (adapter.selector !== undefined && !this.isValidSelector(adapter.selector)) {
+      throw new Error(`Component adapter ${adapter.name} has an invalid selector: ${adapter.selector}`);
+    }
+
+    this.unregister(adapter.name);
+    COMPONENT_ADAPTERS.unshift(adapter);
+    return adapter.name;
+  }
+
+  /**
+   * Checks a discovery selector up front; one invalid selector would make
+   * the joined host selector throw and hide every adapter's controls
+   * @param {*} selector
+   * @returns {boolean}
+   */
+  static isValidSelector(selector) {
+    if (typeof selector !== 'string' || !selector.trim()) {
+      return false;
+    }
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean} Whether an adapter was removed
+   */
+  static unregister(name) {
+    const index = COMPONENT_ADAPTERS.findIndex(adapter => adapter.name === name);
+    if (index === -1) return false;
+    COMPONENT_ADAPTERS.splice(index, 1);
+    return true;
+  }
+
+  static list() {
+    return COMPONENT_ADAPTERS.map(adapter => adapter.name);
+  }
+
+  /**
+   * Finds the adapter for an element. A throwing match() counts as no match
+   * so one faulty registration cannot break capture.
+   * @param {Element} element
+   * @returns {Object|null}
+   */
+  static find(element) {
+    if (!element || typeof element.matches !== 'function') {
+      return null;
+    }
+    return COMPONENT_ADAPTERS.find(adapter => {
+      try {
+        return adapter.match(element);
+      } catch (error) {
+        console.warn(`[ComponentAdapters] ${adapter.name} match() failed:`, error);
+        return false;
+      }
+    }) || null;
+  }
+
+  /**
+   * Joins the discovery selectors of all registered adapters
+   * @returns {string|null}
+   */
+  static getHostSelector() {
+    const selectors = COMPONENT_ADAPTERS.map(adapter => adapter.selector).filter(Boolean);
+    return selectors.length > 0 ? selectors.join(', ') : null;
+  }
+
+  /**
+   * Returns the adapter host an inner input belongs to, if any
+   * @param {Element} element
+   * @returns {Element|null}
+   */
+  static getOwningHost(element) {
+    for (let parent = element?.parentElement; parent; parent = parent.parentElement) {
+      if (this.find(parent)?.ownsInputs) {
+        return parent;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reads `value` from the component instance in development builds
+   * @param {Element} element
+   * @returns {*} Undefined when the debug APIs or the instance are missing
+   */
+  static getComponentValue(element) {
+    try {
+      const instance = window.ng?.getComponent?.(element);
+      if (instance && 'value' in instance) {
+        return FormControlInspector.toSnapshotValue(instance.value);
+      }
+    } catch (error) {
+      // Not a component host
+    }
+    return undefined;
+  }
+
+  static isMultiple(element) {
+    // Button toggle groups only mark multiple selection through their role
+    return element.getAttribute('aria-multiselectable') === 'true' ||
+      (element.matches('mat-button-toggle-group') && element.getAttribute('role') === 'group');
+  }
+
+  static toList(value) {
+    return [].concat(value ?? []).filter(item => item !== null && item !== '');
+  }
+
+  static getChips(element) {
+    return Array.from(element.querySelectorAll('mat-chip-row, mat-chip-option, mat-chip, mat-basic-chip'));
+  }
+
+  /**
+   * Reads the visible text of an option, chip or toggle without icon ligatures
+   * @param {Element} option
+   * @returns {string}
+   */
+  static getOptionText(option) {
+    const label = option.querySelector(
+      '.mdc-list-item__primary-text, .mat-option-text, .mat-button-toggle-label-content, ' +
+      '.mat-mdc-chip-action-label, .mdc-evolution-chip__text-label, .ng-option-label'
+    ) || option;
+    const clone = label.cloneNode(true);
+    clone.querySelectorAll('mat-icon, .mat-icon').forEach(icon => icon.remove());
+    return clone.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Reads an option's value from the component instance in development
+   * builds, falling back to its text
+   * @param {Element} option
+   * @returns {*}
+   */
+  static getOptionValue(option) {
+    const instanceValue = this.getComponentValue(option);
+    if (instanceValue !== undefined) {
+      return instanceValue;
+    }
+    return option.getAttribute('ng-reflect-value') ?? this.getOptionText(option);
+  }
+
+  /**
+   * Checks whether an option holds a value. Object values, e.g. PrimeNG
+   * options bound without optionValue, compare by content; without the
+   * instance an option matches when its text is one of the object's fields.
+   * @param {Element} option
+   * @param {*} value
+   * @returns {boolean}
+   */
+  static optionMatches(option, value) {
+    if (value !== null && typeof value === 'object') {
+      const optionValue = this.getOptionValue(option);
+      if (optionValue !== null && typeof optionValue === 'object') {
+        return JSON.stringify(optionValue) === JSON.stringify(FormControlInspector.toSnapshotValue(value));
+      }
+      const text = this.getOptionText(option);
+      return !Array.isArray(value) && Object.values(value).some(field => typeof field === 'string' && field === text);
+    }
+
+    const text = String(value);
+    return String(this.getOptionValue(option)) === text || this.getOptionText(option) === text;
+  }
+
+  /**
+   * Formats a wanted value for error messages
+   * @param {*} value
+   * @returns {string}
+   */
+  static describeValue(value) {
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  static assertOptions(options, wanted) {
+    const missing = wanted.filter(item => !options.some(option => this.optionMatches(option, item)));
+    if (missing.length > 0) {
+      throw new Error(`Option not found: ${missing.map(item => this.describeValue(item)).join(', ')}`);
+    }
+  }
+
+  /**
+   * Lists the options of the overlay panel a trigger controls
+   * @param {Element} trigger
+   * @returns {Element[]}
+   */
+  static getPanelOptions(trigger) {
+    const panelId = trigger.getAttribute('aria-controls') || trigger.getAttribute('aria-owns');
+    // Panels render next to the trigger, inside its shadow root, or at the end of the body
+    const panel = (panelId && (trigger.getRootNode().getElementById?.(panelId) || document.getElementById(panelId))) ||
+      document.querySelector('.cdk-overlay-container');
+    return panel ? Array.from(panel.querySelectorAll('mat-option, [role="option"]')) : [];
+  }
+
+  /**
+   * Reads the values of the selected options of a select: the aria-selected
+   * options of its open panel, or the component's selected options in
+   * development builds
+   * @param {Element} host - Element carrying aria-expanded and aria-controls
+   * @returns {Array|null} Null when neither is available
+   */
+  static getSelectedOptionValues(host) {
+    if (host.getAttribute('aria-expanded') === 'true') {
+      return this.getPanelOptions(host)
+        .filter(option => option.getAttribute('aria-selected') === 'true')
+        .map(option => this.getOptionValue(option));
+    }
+
+    try {
+      const selected = window.ng?.getComponent?.(host)?.selected;
+      if (Array.isArray(selected)) {
+        return selected.map(option => FormControlInspector.toSnapshotValue(option.value));
+      }
+    } catch (error) {
+      // Not a component host
+    }
+    return null;
+  }
+
+  /**
+   * Opens a trigger's overlay panel and waits for its options to render
+   * @param {Element} host - Element carrying aria-expanded and aria-controls
+   * @param {Element} trigger - Element to click
+   * @returns {Promise<Element[]>}
+   */
+  static async openPanel(host, trigger) {
+    if (host.getAttribute('aria-expanded') !== 'true') {
+      trigger.click();
+    }
+    const options = await this.waitForOptions(host);
+    if (options.length === 0) {
+      throw new Error('Options panel did not open');
+    }
+    return options;
+  }
+
+  static async waitForOptions(trigger) {
+    const deadline = Date.now() + COMPONENT_ADAPTER_CONFIG.PANEL_TIMEOUT;
+    let options = this.getPanelOptions(trigger);
+    while (options.length === 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, COMPONENT_ADAPTER_CONFIG.POLL_INTERVAL));
+      options = this.getPanelOptions(trigger);
+    }
+    return options;
+  }
+
+  /**
+   * Closes an open overlay with Escape, or through its backdrop
+   * @param {Element} host
+   */
+  static closePanel(host) {
+    if (host.getAttribute('aria-expanded') !== 'true') return;
+
+    this.dispatchKey(host, 'Escape', 27);
+    if (host.getAttribute('aria-expanded') === 'true') {
+      document.querySelector('.cdk-overlay-backdrop')?.click();
+    }
+  }
+
+  /**
+   * Dispatches a keydown component handlers recognize. Material and ng-select
+   * read the deprecated keyCode/which, which KeyboardEvent's constructor
+   * leaves at 0; PrimeNG reads code.
+   * @param {Element} element
+   * @param {string} key
+   * @param {number} keyCode
+   */
+  static dispatchKey(element, key, keyCode) {
+    const event = new KeyboardEvent('keydown', { key, code: key, bubbles: true, cancelable: true });
+    Object.defineProperty(event, 'keyCode', { get: () => keyCode });
+    Object.defineProperty(event, 'which', { get: () => keyCode });
+    element.dispatchEvent(event);
+  }
+
+  static dispatchMouseDown(element) {
+    element.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true, button: 0 }));
+  }
+
+  /**
+   * Builds a rich-text snapshot value
+   * @param {string} html
+   * @param {string} [text] - Editor's own plain text; derived from the HTML when missing
+   * @returns {{html: string, text: string}}
+   */
+  static toRichText(html, text) {
+    const sanitized = DOMUtils.sanitizeHtml(html);
+    if (text === undefined || text === null) {
+      const template = document.createElement('template');
+      template.innerHTML = sanitized;
+      text = template.content.textContent;
+    }
+    // Quill and contenteditable report a trailing newline for the last block
+    return { html: sanitized, text: String(text).replace(/\n+$/, '') };
+  }
+
+  /**
+   * Returns the HTML to write for a rich-text value. Plain strings (e.g. a
+   * model value captured before rich-text support) are taken as HTML, and
+   * everything is sanitized again since snapshots can arrive through a link.
+   * @param {{html?: string, text?: string}|string|null} value
+   * @returns {string}
+   */
+  static toRichTextHtml(value) {
+    if (value && typeof value === 'object' && typeof value.html !== 'string') {
+      const container = document.createElement('div');
+      container.textContent = value.text ?? '';
+      return container.innerHTML.replace(/\n/g, '<br>');
+    }
+    return DOMUtils.sanitizeHtml(value && typeof value === 'object' ? value.html : value ?? '');
+  }
+
+  /**
+   * Replaces the content of an editing root and fires the events a
+   * ControlValueAccessor on it listens for
+   * @param {Element|null} editable
+   * @param {string} html - Sanitized HTML
+   */
+  static writeEditable(editable, html) {
+    if (!editable) {
+      throw new Error('Editable content not found');
+    }
+    editable.innerHTML = html;
+    ['input', 'change', 'blur'].forEach(type => editable.dispatchEvent(new Event(type, { bubbles: true })));
+  }
+
+  static getQuill(element) {
+    const container = element.matches('.ql-container') ? element : element.querySelector('.ql-container');
+    if (!container) return null;
+    // Quill 1 keeps the instance on its container; Quill 2 only hands it out through Quill.find
+    const quill = container.__quill || window.Quill?.find?.(container);
+    return typeof quill?.getText === 'function' ? quill : null;
+  }
+
+  static getTinyMCE(element) {
+    const editors = window.tinymce?.get?.() || [];
+    return editors.find(editor => {
+      const target = editor.getElement?.();
+      return target === element || (target && element.contains(target));
+    }) || null;
+  }
+
+  static getCKEditor5(element) {
+    const editable = element.matches('.ck-editor__editable') ? element : element.querySelector('.ck-editor__editable');
+    return editable?.ckeditorInstance || null;
+  }
+
+  static getCKEditor4(element) {
+    return Object.values(window.CKEDITOR?.instances || {}).find(editor => {
+      const target = editor.element?.$;
+      return target === element || (target && element.contains(target));
+    }) || null;
+  }
+}
+
+/**
+ * DOM Utilities
+ */
+class DOMUtils {
+  /**
+   * Route key used to scope saved mappings and restore profiles: origin and
+   * path, plus the hash route for apps using hash-based routing
+   * @param {string} href
+   * @returns {string}
+   */
+  static getRouteKey(href) {
+    const url = new URL(href);
+    // about:blank and srcdoc frames have an opaque origin
+    if (url.origin === 'null') {
+      return `${url.protocol}${url.pathname}`;
+    }
+    const hashRoute = url.hash.startsWith('#/') ? url.hash.split('?')[0] : '';
+    return `${url.origin}${url.pathname}${hashRoute}`;
+  }
+
+  /**
    * Safely executes a function in the page context
    * @param {Function} fn
    * @param {...any} args
@@ -864,6 +3618,139 @@ class DOMUtils {
     });
   }
 
+  /**
+   * querySelectorAll that also searches open shadow roots. Matches inside a
+   * shadow root follow the light-DOM matches of the tree hosting it.
+   * @param {string} selector
+   * @param {Document|Element|ShadowRoot} [root]
+   * @returns {Element[]}
+   */
+  static querySelectorAllDeep(selector, root = document) {
+    const results = Array.from(root.querySelectorAll(selector));
+    this.getShadowHosts(root).forEach(host => {
+      results.push(...this.querySelectorAllDeep(selector, host.shadowRoot));
+    });
+    return results;
+  }
+
+  /**
+   * querySelector for a path that may cross shadow boundaries with ` >>> `
+   * (as written by FormControlInspector.generateElementPath). A selector
+   * without boundaries also matches inside open shadow roots.
+   * @param {string} selector
+   * @param {Document|Element|ShadowRoot} [root]
+   * @returns {Element|null}
+   */
+  static querySelectorDeep(selector, root = document) {
+    const [first, ...inner] = selector.split(/\s*>>>\s*/);
+    if (inner.length === 0) {
+      return root.querySelector(first) || this.querySelectorAllDeep(first, root)[0] || null;
+    }
+
+    let element = root.querySelector(first);
+    for (const part of inner) {
+      element = element?.shadowRoot?.querySelector(part) || null;
+    }
+    return element;
+  }
+
+  /**
+   * Lists elements with an open shadow root in a tree, the root included
+   * @param {Document|Element|ShadowRoot} root
+   * @returns {Element[]}
+   */
+  static getShadowHosts(root) {
+    const hosts = Array.from(root.querySelectorAll('*')).filter(element => element.shadowRoot);
+    if (root.shadowRoot) {
+      hosts.unshift(root);
+    }
+    return hosts;
+  }
+
+  /**
+   * Node.contains that also looks through shadow roots up to their hosts
+   * @param {Node} ancestor
+   * @param {Node} node
+   * @returns {boolean}
+   */
+  static containsDeep(ancestor, node) {
+    for (let current = node; current; current = current.parentNode || current.host) {
+      if (current === ancestor) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Lists the iframes and frames of a document whose content is reachable
+   * from it, i.e. the loaded same-origin ones
+   * @param {Document} [root]
+   * @returns {Array<{element: Element, window: Window}>}
+   */
+  static getSameOriginFrames(root = document) {
+    return this.querySelectorAllDeep('iframe, frame', root)
+      .map(element => ({ element, window: this.getFrameWindow(element) }))
+      .filter(frame => frame.window);
+  }
+
+  /**
+   * Returns the window of a frame element when its document is same-origin
+   * @param {Element|null} element
+   * @returns {Window|null}
+   */
+  static getFrameWindow(element) {
+    try {
+      return element?.contentWindow && element.contentDocument ? element.contentWindow : null;
+    } catch (error) {
+      // Cross-origin access throws in some browsers instead of returning null
+      return null;
+    }
+  }
+
+  /**
+   * Key grouping snapshot controls by the frame they were captured in
+   * @param {{path: string[], url: string, root?: string}} [frame]
+   * @returns {string|null} Null for the top document
+   */
+  static getFrameKey(frame) {
+    return frame ? [frame.root || '', ...frame.path].join(' |> ') : null;
+  }
+
+  /**
+   * Strips scripts, embedded content, form fields, event handler attributes
+   * and script URLs from an HTML fragment. Parsing into a template runs no
+   * scripts and loads no resources.
+   * @param {string} html
+   * @returns {string}
+   */
+  static sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = String(html ?? '');
+    const { content } = template;
+
+    content.querySelectorAll(RICH_TEXT_SANITIZER.BLOCKED_TAGS.join(', ')).forEach(element => element.remove());
+    content.querySelectorAll('*').forEach(element => {
+      Array.from(element.attributes).forEach(({ name, value }) => {
+        const attribute = name.toLowerCase();
+        if (attribute.startsWith('on') ||
+            RICH_TEXT_SANITIZER.BLOCKED_ATTRIBUTES.includes(attribute) ||
+            (RICH_TEXT_SANITIZER.URL_ATTRIBUTES.includes(attribute) && this.isUnsafeUrl(value)) ||
+            (attribute === 'style' && RICH_TEXT_SANITIZER.UNSAFE_STYLE_PATTERN.test(value))) {
+          element.removeAttribute(name);
+        }
+      });
+    });
+
+    return template.innerHTML;
+  }
+
+  static isUnsafeUrl(value) {
+    // Browsers ignore whitespace and control characters inside the scheme
+    const url = [...value].filter(ch => ch.charCodeAt(0) > 0x20 && !/\s/.test(ch)).join('');
+    return RICH_TEXT_SANITIZER.UNSAFE_URL_PATTERN.test(url) && !RICH_TEXT_SANITIZER.SAFE_DATA_URL_PATTERN.test(url);
+  }
+
   /**
    * Waits for element to be available
    * @param {string} selector
@@ -964,9 +3851,15 @@ class ErrorHandler {
 window.AngularFormSnapshotUtils = {
   AngularDetector,
   FormControlInspector,
+  ControlMatcher,
+  RestoreSelection,
+  ComponentAdapters,
   DataEncoder,
+  CompactCodec,
   DOMUtils,
   ErrorHandler,
   ENCODING_CONFIG,
+  CONTROL_MATCH_RANKS,
+  FUZZY_MATCH,
   FORM_CONTROL_SELECTORS
 };
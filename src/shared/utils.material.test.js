@@ -0,0 +1,486 @@
+/* eslint-env jest, node */
+
+require('./snapshot-migrations');
+require('./utils');
+
+const { ComponentAdapters } = window.AngularFormSnapshotUtils;
+
+/**
+ * Renders markup into the document and returns its first element
+ * @param {string} html
+ * @returns {Element}
+ */
+function render(html) {
+  document.body.innerHTML = html.trim();
+  return document.body.firstElementChild;
+}
+
+/**
+ * Adapter registered for an element, asserting it is the expected one
+ * @param {Element} element
+ * @param {string} name
+ * @returns {Object}
+ */
+function adapterFor(element, name) {
+  const adapter = ComponentAdapters.find(element);
+  expect(adapter?.name).toBe(name);
+  return adapter;
+}
+
+/**
+ * Wires a minimal mat-select: the trigger opens an overlay panel of
+ * mat-options, clicking an option selects it (toggles it when multiple) and
+ * Escape closes the panel, as Material does
+ * @param {{multiple?: boolean, options: string[], selected?: string[]}} config
+ * @returns {Element} The mat-select host
+ */
+function renderMatSelect({ multiple = false, options, selected = [] }) {
+  const host = render(`
+    <mat-select aria-expanded="false" aria-multiselectable="${multiple}">
+      <div class="mat-mdc-select-trigger"><span class="mat-mdc-select-value-text"></span></div>
+    </mat-select>
+  `);
+  const state = new Set(selected);
+  const valueText = host.querySelector('.mat-mdc-select-value-text');
+  const updateText = () => {
+    valueText.textContent = options.filter(option => state.has(option)).join(', ');
+  };
+
+  const close = () => {
+    document.getElementById('select-panel')?.remove();
+    host.setAttribute('aria-expanded', 'false');
+    host.removeAttribute('aria-controls');
+  };
+
+  host.querySelector('.mat-mdc-select-trigger').addEventListener('click', () => {
+    const panel = document.createElement('div');
+    panel.id = 'select-panel';
+    panel.setAttribute('role', 'listbox');
+    options.forEach(label => {
+      const option = document.createElement('mat-option');
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', String(state.has(label)));
+      option.innerHTML = `<span class="mdc-list-item__primary-text">${label}</span>`;
+      option.addEventListener('click', () => {
+        if (multiple) {
+          state.has(label) ? state.delete(label) : state.add(label);
+        } else {
+          state.clear();
+          state.add(label);
+        }
+        option.setAttribute('aria-selected', String(state.has(label)));
+        updateText();
+        if (!multiple) close();
+      });
+      panel.appendChild(option);
+    });
+    document.body.appendChild(panel);
+    host.setAttribute('aria-expanded', 'true');
+    host.setAttribute('aria-controls', panel.id);
+  });
+
+  host.addEventListener('keydown', event => {
+    if (event.keyCode === 27) close();
+  });
+
+  updateText();
+  return host;
+}
+
+afterEach(() => {
+  document.body.innerHTML = '';
+  delete window.ng;
+});
+
+describe('mat-select adapter', () => {
+  test('reads and writes a single select', async () => {
+    const host = renderMatSelect({ options: ['Red', 'Green', 'Blue'], selected: ['Red'] });
+    const adapter = adapterFor(host, 'mat-select');
+
+    expect(adapter.read(host)).toBe('Red');
+
+    await adapter.write(host, 'Blue');
+
+    expect(adapter.read(host)).toBe('Blue');
+    expect(host.getAttribute('aria-expanded')).toBe('false');
+  });
+
+  test('rejects a value with no matching option and closes the panel', async () => {
+    const host = renderMatSelect({ options: ['Red', 'Green'] });
+
+    await expect(adapterFor(host, 'mat-select').write(host, 'Purple')).rejects.toThrow('Option not found: Purple');
+    expect(host.getAttribute('aria-expanded')).toBe('false');
+  });
+
+  test('writes a multiple select by toggling options', async () => {
+    const host = renderMatSelect({ multiple: true, options: ['Red', 'Green', 'Blue'], selected: ['Red', 'Green'] });
+    const adapter = adapterFor(host, 'mat-select');
+
+    await adapter.write(host, ['Green', 'Blue']);
+
+    expect(host.querySelector('.mat-mdc-select-value-text').textContent).toBe('Green, Blue');
+    expect(host.getAttribute('aria-expanded')).toBe('false');
+  });
+
+  test('reads a multiple select from the aria-selected options of its open panel', () => {
+    const host = renderMatSelect({ multiple: true, options: ['Red, dark', 'Green'], selected: ['Red, dark', 'Green'] });
+    host.querySelector('.mat-mdc-select-trigger').click();
+
+    expect(adapterFor(host, 'mat-select').read(host)).toEqual(['Red, dark', 'Green']);
+  });
+
+  test('reads a multiple select from the component in development builds', () => {
+    const host = renderMatSelect({ multiple: true, options: ['Red, dark', 'Green'], selected: ['Red, dark'] });
+    window.ng = {
+      getComponent: element => (element === host ? { selected: [{ value: 'red-dark' }, { value: 'green' }] } : null)
+    };
+
+    expect(adapterFor(host, 'mat-select').read(host)).toEqual(['red-dark', 'green']);
+  });
+
+  test('falls back to the value text when neither the panel nor the component is available', () => {
+    const host = renderMatSelect({ multiple: true, options: ['Red', 'Green'], selected: ['Red', 'Green'] });
+
+    expect(adapterFor(host, 'mat-select').read(host)).toEqual(['Red', 'Green']);
+  });
+});
+
+describe('mat-datepicker adapter', () => {
+  test('reads and writes a date input through input, change and blur', async () => {
+    const input = render('<input class="mat-datepicker-input" value="1/2/2024">');
+    const adapter = adapterFor(input, 'mat-datepicker');
+    const events = [];
+    ['input', 'change', 'blur'].forEach(type => input.addEventListener(type, () => events.push(type)));
+
+    expect(adapter.read(input)).toBe('1/2/2024');
+
+    await adapter.write(input, '3/4/2025');
+
+    expect(adapter.read(input)).toBe('3/4/2025');
+    expect(events).toEqual(['input', 'change', 'blur']);
+  });
+
+  test('writes Date values as ISO text', async () => {
+    const input = render('<input class="mat-datepicker-input">');
+
+    await adapterFor(input, 'mat-datepicker').write(input, new Date('2025-03-04T00:00:00.000Z'));
+
+    expect(input.value).toBe('2025-03-04T00:00:00.000Z');
+  });
+
+  test('reads and writes both halves of a date range', async () => {
+    render(`
+      <mat-date-range-input>
+        <input class="mat-start-date" value="1/1/2024">
+        <input class="mat-end-date" value="1/7/2024">
+      </mat-date-range-input>
+    `);
+    const start = document.querySelector('.mat-start-date');
+    const end = document.querySelector('.mat-end-date');
+    const adapter = adapterFor(start, 'mat-datepicker');
+    expect(ComponentAdapters.find(end)).toBe(adapter);
+
+    expect([adapter.read(start), adapter.read(end)]).toEqual(['1/1/2024', '1/7/2024']);
+
+    await adapter.write(start, '2/1/2024');
+    await adapter.write(end, '2/14/2024');
+
+    expect([adapter.read(start), adapter.read(end)]).toEqual(['2/1/2024', '2/14/2024']);
+  });
+});
+
+describe('mat-autocomplete adapter', () => {
+  /**
+   * Typing renders a panel of the options containing the text; clicking one
+   * sets the input to it and closes the panel
+   */
+  function renderAutocomplete(options) {
+    const input = render('<input class="mat-mdc-autocomplete-trigger" aria-expanded="false">');
+    const picked = [];
+
+    input.addEventListener('input', () => {
+      document.getElementById('auto-panel')?.remove();
+      const panel = document.createElement('div');
+      panel.id = 'auto-panel';
+      options
+        .filter(option => option.toLowerCase().includes(input.value.toLowerCase()))
+        .forEach(label => {
+          const option = document.createElement('mat-option');
+          option.setAttribute('role', 'option');
+          option.innerHTML = `<span class="mdc-list-item__primary-text">${label}</span>`;
+          option.addEventListener('click', () => {
+            input.value = label;
+            picked.push(label);
+            panel.remove();
+            input.setAttribute('aria-expanded', 'false');
+          });
+          panel.appendChild(option);
+        });
+      document.body.appendChild(panel);
+      input.setAttribute('aria-controls', panel.id);
+      input.setAttribute('aria-expanded', 'true');
+    });
+    input.addEventListener('keydown', event => {
+      if (event.keyCode === 27) {
+        document.getElementById('auto-panel')?.remove();
+        input.setAttribute('aria-expanded', 'false');
+      }
+    });
+
+    return { input, picked };
+  }
+
+  test('writes by typing and picking the matching option', async () => {
+    const { input, picked } = renderAutocomplete(['Berlin', 'Bern', 'Paris']);
+    const adapter = adapterFor(input, 'mat-autocomplete');
+
+    await adapter.write(input, 'Bern');
+
+    expect(picked).toEqual(['Bern']);
+    expect(adapter.read(input)).toBe('Bern');
+    expect(input.getAttribute('aria-expanded')).toBe('false');
+  });
+
+  test('keeps free text that matches no option and closes the panel', async () => {
+    const { input, picked } = renderAutocomplete(['Berlin', 'Paris']);
+    const changes = [];
+    input.addEventListener('change', () => changes.push(input.value));
+
+    await adapterFor(input, 'mat-autocomplete').write(input, 'Lyon');
+
+    expect(picked).toEqual([]);
+    expect(input.value).toBe('Lyon');
+    expect(changes).toEqual(['Lyon']);
+    expect(input.getAttribute('aria-expanded')).toBe('false');
+  });
+});
+
+describe('mat-chip-grid adapter', () => {
+  const chipRow = label => `
+    <mat-chip-row>
+      <span class="mdc-evolution-chip__text-label">${label}<mat-icon>cancel</mat-icon></span>
+      <button matChipRemove class="mat-mdc-chip-remove"></button>
+    </mat-chip-row>
+  `;
+
+  /** Remove buttons drop their chip; Enter in the input adds one */
+  function renderChipGrid(labels) {
+    const grid = render(`<mat-chip-grid>${labels.map(chipRow).join('')}<input></mat-chip-grid>`);
+    const input = grid.querySelector('input');
+
+    grid.addEventListener('click', event => {
+      if (event.target.matches('.mat-mdc-chip-remove')) {
+        event.target.closest('mat-chip-row').remove();
+      }
+    });
+    input.addEventListener('keydown', event => {
+      if (event.keyCode === 13 && input.value) {
+        input.insertAdjacentHTML('beforebegin', chipRow(input.value));
+        input.value = '';
+      }
+    });
+
+    return grid;
+  }
+
+  test('reads chip labels without icon text', () => {
+    const grid = renderChipGrid(['Angular', 'RxJS']);
+
+    expect(adapterFor(grid, 'mat-chip-grid').read(grid)).toEqual(['Angular', 'RxJS']);
+  });
+
+  test('writes by removing and typing chips', async () => {
+    const grid = renderChipGrid(['Angular', 'Vue']);
+    const adapter = adapterFor(grid, 'mat-chip-grid');
+
+    await adapter.write(grid, ['Angular', 'RxJS', 'NgRx']);
+
+    expect(adapter.read(grid)).toEqual(['Angular', 'RxJS', 'NgRx']);
+  });
+
+  test('owns its chip input', () => {
+    const grid = renderChipGrid(['Angular']);
+
+    expect(ComponentAdapters.getOwningHost(grid.querySelector('input'))).toBe(grid);
+  });
+});
+
+describe('mat-chip-listbox adapter', () => {
+  /** Clicking a chip's primary action selects it, exclusively unless multiple */
+  function renderChipListbox(labels, { multiple = false, selected = [] } = {}) {
+    const listbox = render(`
+      <mat-chip-listbox aria-multiselectable="${multiple}">
+        ${labels.map(label => `
+          <mat-chip-option aria-selected="${selected.includes(label)}">
+            <span class="mdc-evolution-chip__action--primary">
+              <span class="mdc-evolution-chip__text-label">${label}</span>
+            </span>
+          </mat-chip-option>
+        `).join('')}
+      </mat-chip-listbox>
+    `);
+
+    listbox.querySelectorAll('mat-chip-option').forEach(chip => {
+      chip.addEventListener('click', () => {
+        const wasSelected = chip.getAttribute('aria-selected') === 'true';
+        if (!multiple) {
+          listbox.querySelectorAll('mat-chip-option').forEach(other => other.setAttribute('aria-selected', 'false'));
+        }
+        chip.setAttribute('aria-selected', String(!wasSelected));
+      });
+    });
+
+    return listbox;
+  }
+
+  test('reads and writes a single-selection listbox', async () => {
+    const listbox = renderChipListbox(['Small', 'Medium', 'Large'], { selected: ['Small'] });
+    const adapter = adapterFor(listbox, 'mat-chip-listbox');
+
+    expect(adapter.read(listbox)).toBe('Small');
+
+    await adapter.write(listbox, 'Large');
+
+    expect(adapter.read(listbox)).toBe('Large');
+  });
+
+  test('reads and writes a multiple-selection listbox', async () => {
+    const listbox = renderChipListbox(['Small', 'Medium', 'Large'], { multiple: true, selected: ['Small'] });
+    const adapter = adapterFor(listbox, 'mat-chip-listbox');
+
+    expect(adapter.read(listbox)).toEqual(['Small']);
+
+    await adapter.write(listbox, ['Medium', 'Large']);
+
+    expect(adapter.read(listbox)).toEqual(['Medium', 'Large']);
+  });
+
+  test('rejects chips that are not rendered', async () => {
+    const listbox = renderChipListbox(['Small']);
+
+    await expect(adapterFor(listbox, 'mat-chip-listbox').write(listbox, 'Huge')).rejects.toThrow('Option not found: Huge');
+  });
+});
+
+describe('mat-slider adapter', () => {
+  test('reads and writes the native input of an MDC slider', async () => {
+    render('<mat-slider><input class="mdc-slider__input" type="range" min="0" max="100" value="20"></mat-slider>');
+    const input = document.querySelector('input');
+    const adapter = adapterFor(input, 'mat-slider');
+
+    expect(adapter.read(input)).toBe(20);
+
+    await adapter.write(input, 55);
+
+    expect(adapter.read(input)).toBe(55);
+  });
+
+  test('writes a legacy slider with keyboard steps', async () => {
+    const slider = render('<mat-slider aria-valuenow="70" aria-valuemin="0" aria-valuemax="100"></mat-slider>');
+    slider.addEventListener('keydown', event => {
+      const now = Number(slider.getAttribute('aria-valuenow'));
+      if (event.keyCode === 36) slider.setAttribute('aria-valuenow', '0');
+      if (event.keyCode === 39) slider.setAttribute('aria-valuenow', String(Math.min(100, now + 10)));
+    });
+    const adapter = adapterFor(slider, 'mat-slider');
+
+    expect(adapter.read(slider)).toBe(70);
+
+    await adapter.write(slider, 30);
+
+    expect(adapter.read(slider)).toBe(30);
+  });
+});
+
+describe('mat-button-toggle-group adapter', () => {
+  /** Clicking a toggle's button checks it, exclusively unless multiple */
+  function renderToggleGroup(labels, { multiple = false, checked = [] } = {}) {
+    const group = render(`
+      <mat-button-toggle-group role="${multiple ? 'group' : 'radiogroup'}">
+        ${labels.map(label => `
+          <mat-button-toggle class="${checked.includes(label) ? 'mat-button-toggle-checked' : ''}">
+            <button><span class="mat-button-toggle-label-content">${label}</span></button>
+          </mat-button-toggle>
+        `).join('')}
+      </mat-button-toggle-group>
+    `);
+
+    group.querySelectorAll('mat-button-toggle').forEach(toggle => {
+      toggle.querySelector('button').addEventListener('click', () => {
+        if (!multiple) {
+          group.querySelectorAll('mat-button-toggle').forEach(other => other.classList.remove('mat-button-toggle-checked'));
+          toggle.classList.add('mat-button-toggle-checked');
+        } else {
+          toggle.classList.toggle('mat-button-toggle-checked');
+        }
+      });
+    });
+
+    return group;
+  }
+
+  test('reads and writes a single-selection group', async () => {
+    const group = renderToggleGroup(['Day', 'Week', 'Month'], { checked: ['Day'] });
+    const adapter = adapterFor(group, 'mat-button-toggle-group');
+
+    expect(adapter.read(group)).toBe('Day');
+
+    await adapter.write(group, 'Month');
+
+    expect(adapter.read(group)).toBe('Month');
+  });
+
+  test('reads and writes a multiple-selection group', async () => {
+    const group = renderToggleGroup(['Bold', 'Italic', 'Underline'], { multiple: true, checked: ['Bold'] });
+    const adapter = adapterFor(group, 'mat-button-toggle-group');
+
+    expect(adapter.read(group)).toEqual(['Bold']);
+
+    await adapter.write(group, ['Italic', 'Underline']);
+
+    expect(adapter.read(group)).toEqual(['Italic', 'Underline']);
+  });
+});
+
+describe('mat-radio-group adapter', () => {
+  function renderRadioGroup(values, checked) {
+    return render(`
+      <mat-radio-group>
+        ${values.map(value => `
+          <mat-radio-button>
+            <input type="radio" name="plan" value="${value}" ${value === checked ? 'checked' : ''}>
+          </mat-radio-button>
+        `).join('')}
+      </mat-radio-group>
+    `);
+  }
+
+  test('reads and writes the checked radio', async () => {
+    const group = renderRadioGroup(['basic', 'pro'], 'basic');
+    const adapter = adapterFor(group, 'mat-radio-group');
+
+    expect(adapter.read(group)).toBe('basic');
+
+    await adapter.write(group, 'pro');
+
+    expect(adapter.read(group)).toBe('pro');
+  });
+
+  test('reads null when nothing is checked and leaves it that way for null', async () => {
+    const group = renderRadioGroup(['basic', 'pro'], null);
+    const adapter = adapterFor(group, 'mat-radio-group');
+
+    expect(adapter.read(group)).toBeNull();
+
+    await adapter.write(group, null);
+
+    expect(adapter.read(group)).toBeNull();
+  });
+
+  test('rejects values with no radio and owns its radios', async () => {
+    const group = renderRadioGroup(['basic', 'pro'], 'basic');
+
+    await expect(adapterFor(group, 'mat-radio-group').write(group, 'team')).rejects.toThrow('Option not found: team');
+    expect(ComponentAdapters.getOwningHost(group.querySelector('input'))).toBe(group);
+  });
+});